@@ -0,0 +1,40 @@
+/**
+ * ボードファイルの読み込みエラー
+ */
+import { encodeBoardLoadError, formatBoardFormatIssue, type BoardFormatIssue } from '@shared/boardFormat';
+
+/** エラーメッセージに並べる問題の最大件数（残りは件数だけ示す） */
+const MAX_LISTED_ISSUES = 10;
+
+/**
+ * ボードを読み込めなかったことを示すエラー
+ * 形式の問題があった場合は、どのファイルのどの項目かを issues に持つ
+ */
+export class BoardLoadError extends Error {
+  /** 形式の問題（JSONとして読めない・バージョンが新しいなどの場合は空） */
+  readonly issues: BoardFormatIssue[];
+
+  constructor(message: string, issues: BoardFormatIssue[] = []) {
+    super(issues.length > 0 ? `${message}\n${listIssues(issues)}` : message);
+    this.name = 'BoardLoadError';
+    this.issues = issues;
+  }
+
+  /**
+   * IPCで送る例外に変換する（読み込みエラーであることをメッセージに埋め込む）
+   */
+  toIpcError(): Error {
+    return new Error(encodeBoardLoadError(this.message));
+  }
+}
+
+/**
+ * 問題を箇条書きにする
+ */
+function listIssues(issues: BoardFormatIssue[]): string {
+  const lines = issues.slice(0, MAX_LISTED_ISSUES).map(issue => `- ${formatBoardFormatIssue(issue)}`);
+  if (issues.length > MAX_LISTED_ISSUES) {
+    lines.push(`- ほか${issues.length - MAX_LISTED_ISSUES}件`);
+  }
+  return lines.join('\n');
+}
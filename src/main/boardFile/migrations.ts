@@ -0,0 +1,144 @@
+/**
+ * ボードファイルのマイグレーション
+ * 古い形式で保存されたボードを、読み込み時に現在の形式（BOARD_FORMAT_VERSION）へ順に変換する
+ * 形式を変えるときは BOARD_FORMAT_VERSION を上げ、ここに1件追加する
+ */
+import { BOARD_FORMAT_VERSION } from '@shared/boardFormat';
+import { clampImportance, normalizeTags } from '../llm/topicSchema';
+import { BoardLoadError } from './errors';
+
+/** JSONのオブジェクト */
+type JsonObject = Record<string, unknown>;
+
+/**
+ * 読み込んだままのボードファイルの内容（形式は検証前）
+ */
+export interface RawBoardFiles {
+  board: unknown;
+  nodes: unknown;
+  summaries: unknown;
+}
+
+/**
+ * 1つ前の形式から変換するマイグレーション
+ */
+interface BoardMigration {
+  /** 変換後の形式バージョン */
+  version: number;
+  /** 変換の内容（ログ用） */
+  description: string;
+  /** 変換処理（形式がまだ検証されていないため、想定外の値はそのまま残して検証に任せる） */
+  migrate: (files: RawBoardFiles) => RawBoardFiles;
+}
+
+/** マイグレーション（バージョン順） */
+const MIGRATIONS: BoardMigration[] = [
+  {
+    version: 1,
+    description: 'formatVersion導入前の形式: 省略された配列を補い、保存された生成中の状態を消し、トピックのメタ情報を整える',
+    migrate: (files) => ({
+      board: files.board,
+      nodes: Array.isArray(files.nodes)
+        ? files.nodes.map((node) => {
+          if (!isObject(node)) return node;
+          // 生成中に保存された回答は、読み込み後に生成が続くことはない
+          const { isLoading: _isLoading, metadata, ...rest } = node;
+          const migratedMetadata = migrateMetadata(metadata);
+          return {
+            ...rest,
+            title: rest.title ?? '',
+            parentIds: rest.parentIds ?? [],
+            childrenIds: rest.childrenIds ?? [],
+            ...(migratedMetadata && { metadata: migratedMetadata })
+          };
+        })
+        : files.nodes,
+      // summaries.json は省略できたため、ない場合は空にする
+      summaries: files.summaries ?? []
+    })
+  }
+];
+
+/**
+ * マイグレーションの結果
+ */
+export interface MigrationResult {
+  files: RawBoardFiles;
+  /** 読み込んだファイルの形式バージョン（formatVersionのない形式は0） */
+  fromVersion: number;
+}
+
+/**
+ * ボードファイルを現在の形式に変換する
+ * @param files - 読み込んだままのボードファイルの内容
+ * @throws BoardLoadError - 形式バージョンが読み取れない、または現在より新しい場合
+ */
+export function migrateBoardFiles(files: RawBoardFiles): MigrationResult {
+  const fromVersion = readFormatVersion(files.board);
+  if (fromVersion > BOARD_FORMAT_VERSION) {
+    throw new BoardLoadError(
+      `このボードは新しいバージョンのアプリで保存されています（形式バージョン ${fromVersion}、このアプリは ${BOARD_FORMAT_VERSION} まで対応）。アプリを更新してから開いてください`
+    );
+  }
+
+  let migrated = files;
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= fromVersion) continue;
+    migrated = migration.migrate(migrated);
+    console.log(`[Files] Migrated board to format version ${migration.version}: ${migration.description}`);
+  }
+
+  return {
+    files: isObject(migrated.board)
+      ? { ...migrated, board: { ...migrated.board, formatVersion: BOARD_FORMAT_VERSION } }
+      : migrated,
+    fromVersion
+  };
+}
+
+/**
+ * ノードのメタ情報を現在の形式に整える
+ * formatVersion導入前はLLMが返したトピックの重要度・タグを検証せずに保存していたため、
+ * null・"4"・0・3.5 のような重要度や文字列のタグが残っていることがある
+ * - 重要度: 数値（数値の文字列を含む）なら1〜5の整数に丸め、それ以外は消す
+ * - タグ: 文字列の配列でなければ正規化した配列にする
+ * - メタ情報自体がオブジェクトでなければ消す
+ */
+function migrateMetadata(metadata: unknown): JsonObject | undefined {
+  if (!isObject(metadata)) return undefined;
+
+  const { importance, tags, ...rest } = metadata;
+  const importanceNumber = typeof importance === 'string' && importance.trim() ? Number(importance) : importance;
+  return {
+    ...rest,
+    ...(typeof importanceNumber === 'number' && Number.isFinite(importanceNumber) && {
+      importance: clampImportance(importanceNumber)
+    }),
+    ...(tags !== undefined && tags !== null && {
+      tags: Array.isArray(tags) && tags.every(tag => typeof tag === 'string') ? tags : normalizeTags(tags)
+    })
+  };
+}
+
+/**
+ * board.json の形式バージョンを読み取る（formatVersionがなければ0）
+ */
+function readFormatVersion(board: unknown): number {
+  if (!isObject(board) || board.formatVersion === undefined) {
+    return 0;
+  }
+  const version = board.formatVersion;
+  if (typeof version !== 'number' || !Number.isInteger(version) || version < 0) {
+    throw new BoardLoadError('ボードの形式が正しくありません', [
+      { file: 'board.json', path: 'formatVersion', message: `0以上の整数ではありません（${JSON.stringify(version)}）` }
+    ]);
+  }
+  return version;
+}
+
+/**
+ * JSONのオブジェクトか（配列・nullは除く）
+ */
+function isObject(value: unknown): value is JsonObject {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
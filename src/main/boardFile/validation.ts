@@ -0,0 +1,288 @@
+/**
+ * ボードファイルの形式の検証
+ * マイグレーション後の内容が現在の Board / MindNode / Summary の形になっているかを調べ、
+ * 問題のあるファイル・ノード・項目をすべて挙げる（参照先の有無などのつながりは検証しない）
+ */
+import type { LLMErrorKind, NodeType, Provider, Role, SummaryScope, UsageKind } from '@shared/types';
+import type { PromptTemplateKind } from '@shared/promptTemplates';
+import type { BoardFormatIssue } from '@shared/boardFormat';
+import type { RawBoardFiles } from './migrations';
+
+/** 問題の報告先 */
+type Report = (path: string, message: string) => void;
+
+/** 値の検証規則 */
+type Rule = (value: unknown, path: string, report: Report) => void;
+
+/*
+ * 取りうる値の一覧（型に値を追加したときに型エラーで気づけるよう、Recordで定義する）
+ */
+const PROVIDERS: Record<Provider, true> = { openai: true, anthropic: true, google: true, local: true };
+const NODE_TYPES: Record<NodeType, true> = { root: true, message: true, note: true, topic: true };
+const ROLES: Record<Role, true> = { user: true, assistant: true, system: true };
+const USAGE_KINDS: Record<UsageKind, true> = { chat: true, topics: true, followUps: true, note: true, summary: true };
+const SUMMARY_SCOPES: Record<SummaryScope, true> = { board: true, nodeSubtree: true };
+const PROMPT_TEMPLATE_KINDS: Record<PromptTemplateKind, true> = { topics: true, followUps: true, note: true, summary: true };
+const LLM_ERROR_KINDS: Record<LLMErrorKind, true> = {
+  auth: true,
+  quota: true,
+  rateLimit: true,
+  contextLength: true,
+  network: true,
+  server: true,
+  budget: true,
+  cancelled: true,
+  invalidResponse: true,
+  unknown: true
+};
+
+/*
+ * 基本の規則
+ */
+const string: Rule = (value, path, report) => {
+  if (typeof value !== 'string') report(path, `文字列ではありません（${describe(value)}）`);
+};
+
+const id: Rule = (value, path, report) => {
+  if (typeof value !== 'string' || value.length === 0) report(path, `空でない文字列ではありません（${describe(value)}）`);
+};
+
+const number: Rule = (value, path, report) => {
+  if (typeof value !== 'number' || !Number.isFinite(value)) report(path, `数値ではありません（${describe(value)}）`);
+};
+
+const boolean: Rule = (value, path, report) => {
+  if (typeof value !== 'boolean') report(path, `true / false ではありません（${describe(value)}）`);
+};
+
+const dateTime: Rule = (value, path, report) => {
+  if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) {
+    report(path, `日時（ISO8601形式）ではありません（${describe(value)}）`);
+  }
+};
+
+/**
+ * 整数の範囲
+ */
+function integerIn(min: number, max: number): Rule {
+  return (value, path, report) => {
+    if (typeof value !== 'number' || !Number.isInteger(value) || value < min || value > max) {
+      report(path, `${min}〜${max}の整数ではありません（${describe(value)}）`);
+    }
+  };
+}
+
+/**
+ * 決まった値のいずれか
+ */
+function oneOf(values: Record<string, true>): Rule {
+  const allowed = Object.keys(values);
+  return (value, path, report) => {
+    if (typeof value !== 'string' || !allowed.includes(value)) {
+      report(path, `${allowed.join(' / ')} のいずれでもありません（${describe(value)}）`);
+    }
+  };
+}
+
+/**
+ * 省略できる項目（undefinedのみ省略とみなす）
+ */
+function optional(rule: Rule): Rule {
+  return (value, path, report) => {
+    if (value !== undefined) rule(value, path, report);
+  };
+}
+
+/**
+ * 要素がすべて規則に合う配列
+ */
+function arrayOf(rule: Rule): Rule {
+  return (value, path, report) => {
+    if (!Array.isArray(value)) {
+      report(path, `配列ではありません（${describe(value)}）`);
+      return;
+    }
+    value.forEach((item, index) => rule(item, `${path}[${index}]`, report));
+  };
+}
+
+/**
+ * 項目ごとの規則に合うオブジェクト（規則にない項目は検証しない）
+ */
+function object(shape: Record<string, Rule>): Rule {
+  return (value, path, report) => {
+    if (!isObject(value)) {
+      report(path, `オブジェクトではありません（${describe(value)}）`);
+      return;
+    }
+    for (const [key, rule] of Object.entries(shape)) {
+      rule(value[key], path ? `${path}.${key}` : key, report);
+    }
+  };
+}
+
+/**
+ * 指定した種類だけを持つオブジェクト
+ */
+function recordOf(keys: Record<string, true>, rule: Rule): Rule {
+  const allowed = Object.keys(keys);
+  return (value, path, report) => {
+    if (!isObject(value)) {
+      report(path, `オブジェクトではありません（${describe(value)}）`);
+      return;
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const itemPath = `${path}.${key}`;
+      if (!allowed.includes(key)) {
+        report(itemPath, `${allowed.join(' / ')} のいずれでもありません`);
+        continue;
+      }
+      rule(item, itemPath, report);
+    }
+  };
+}
+
+/*
+ * データモデルの規則
+ */
+const tokenUsage = object({
+  promptTokens: number,
+  completionTokens: number,
+  totalTokens: number,
+  costJPY: optional(number)
+});
+
+const boardRule = object({
+  id,
+  title: string,
+  description: optional(string),
+  rootNodeId: id,
+  createdAt: dateTime,
+  updatedAt: dateTime,
+  settings: object({
+    defaultProvider: oneOf(PROVIDERS),
+    defaultModel: string,
+    temperature: number,
+    budgetJPY: optional(number),
+    systemPrompt: optional(string),
+    promptTemplates: optional(recordOf(PROMPT_TEMPLATE_KINDS, object({ system: string, user: string }))),
+    autoGenerateTopics: optional(boolean),
+    // 抽出数・重要度の下限は使うときに範囲内に丸めるため、数値であればよい
+    maxTopics: optional(number),
+    minTopicImportance: optional(number),
+    autoSuggestFollowUps: optional(boolean)
+  }),
+  usageLog: optional(arrayOf(object({
+    id,
+    kind: oneOf(USAGE_KINDS),
+    provider: oneOf(PROVIDERS),
+    model: string,
+    nodeId: optional(string),
+    usage: tokenUsage,
+    createdAt: dateTime
+  })))
+});
+
+const nodeRule = object({
+  id,
+  boardId: string,
+  type: oneOf(NODE_TYPES),
+  role: oneOf(ROLES),
+  title: string,
+  content: string,
+  parentIds: arrayOf(id),
+  childrenIds: arrayOf(id),
+  provider: optional(oneOf(PROVIDERS)),
+  model: optional(string),
+  temperature: optional(number),
+  usage: optional(tokenUsage),
+  suggestedQuestions: optional(arrayOf(string)),
+  createdBy: oneOf({ user: true, ai: true }),
+  createdAt: dateTime,
+  updatedAt: dateTime,
+  position: object({ x: number, y: number }),
+  metadata: optional(object({
+    importance: optional(integerIn(1, 5)),
+    tags: optional(arrayOf(string)),
+    pin: optional(boolean),
+    preferred: optional(boolean)
+  })),
+  qaPairId: optional(string),
+  error: optional(object({ kind: oneOf(LLM_ERROR_KINDS), message: string }))
+});
+
+const summaryRule = object({
+  id,
+  boardId: string,
+  scope: oneOf(SUMMARY_SCOPES),
+  targetNodeId: optional(string),
+  content: string,
+  provider: oneOf(PROVIDERS),
+  model: string,
+  usage: optional(tokenUsage),
+  createdAt: dateTime,
+  updatedAt: dateTime
+});
+
+/**
+ * ボードファイルの形式を検証する
+ * @param files - マイグレーション後のボードファイルの内容
+ * @returns 形式の問題（なければ空）
+ */
+export function validateBoardFiles(files: RawBoardFiles): BoardFormatIssue[] {
+  const issues: BoardFormatIssue[] = [];
+  const reporter = (file: string): Report => (path, message) => {
+    issues.push({ file, path: path || '（全体）', message });
+  };
+
+  boardRule(files.board, '', reporter('board.json'));
+  validateList(files.nodes, nodeRule, reporter('nodes.json'));
+  validateList(files.summaries, summaryRule, reporter('summaries.json'));
+
+  return issues;
+}
+
+/**
+ * ノード・サマリーの一覧を検証する
+ * 位置がわかるよう、問題の場所には要素の番号とIDを付ける。IDの重複も報告する
+ */
+function validateList(value: unknown, rule: Rule, report: Report): void {
+  if (!Array.isArray(value)) {
+    report('', `配列ではありません（${describe(value)}）`);
+    return;
+  }
+
+  const firstIndexById = new Map<unknown, number>();
+  value.forEach((item, index) => {
+    const itemId = isObject(item) ? item.id : undefined;
+    const label = typeof itemId === 'string' && itemId ? `[${index}]（id: ${itemId}）` : `[${index}]`;
+    rule(item, label, report);
+
+    if (typeof itemId === 'string' && itemId) {
+      const firstIndex = firstIndexById.get(itemId);
+      if (firstIndex !== undefined) {
+        report(`${label}.id`, `[${firstIndex}] と同じIDです`);
+      } else {
+        firstIndexById.set(itemId, index);
+      }
+    }
+  });
+}
+
+/**
+ * 問題のある値を短く表す
+ */
+function describe(value: unknown): string {
+  if (value === undefined) return '項目がありません';
+  if (Array.isArray(value)) return '配列';
+  if (isObject(value)) return 'オブジェクト';
+  const text = JSON.stringify(value);
+  return text.length > 40 ? `${text.slice(0, 40)}…` : text;
+}
+
+/**
+ * JSONのオブジェクトか（配列・nullは除く）
+ */
+function isObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
@@ -0,0 +1,239 @@
+/**
+ * 料金・予算関連の処理とIPCハンドラ
+ * - models.yamlの料金から使用量のコストを計算する
+ * - 今月の利用額（全ボード合計）をユーザーデータに記録する
+ * - 送信前に予算を超える見込みかをチェックする
+ */
+import { ipcMain, app } from 'electron';
+import { readFile, writeFile, mkdir, rename } from 'fs/promises';
+import { join, dirname } from 'path';
+import { calculateCostJPY } from '@shared/cost';
+import { estimateTokens } from '@shared/tokenEstimate';
+import type { BudgetContext, MonthlyUsage } from '@shared/ipc';
+import type { ModelPricing, Provider, TokenUsage } from '@shared/types';
+import { LLMError } from '../llm/errors';
+import { getSettings, loadModelsConfig } from './settingsHandlers';
+
+/** models.yamlに為替レートが定義されていない場合の円換算レート */
+const DEFAULT_USD_TO_JPY = 150;
+
+/** この割合を超えたら警告する（上限を超える場合は送信しない） */
+const BUDGET_WARNING_RATIO = 0.8;
+
+/** 月ごとの利用額の記録ファイル */
+const getLedgerPath = () => join(app.getPath('userData'), 'usage-ledger.json');
+
+/** 月ごとの利用額（YYYY-MM → 円） */
+type UsageLedger = Record<string, number>;
+
+/** 記録のキャッシュ */
+let cachedLedger: UsageLedger | null = null;
+
+/** 書き込みの直列化（同時に複数の呼び出しが完了しても記録が欠けないようにする） */
+let ledgerWriteQueue: Promise<void> = Promise.resolve();
+
+/**
+ * 予算チェックの対象となる呼び出し内容
+ */
+export interface BudgetCheckRequest {
+  provider: Provider;
+  model?: string;
+  /** LLMに送るプロンプト全体（トークン数の概算に使う） */
+  promptText: string;
+  /** 見込みの出力トークン数 */
+  expectedOutputTokens: number;
+  /** ボードの予算情報 */
+  budget?: BudgetContext;
+}
+
+/**
+ * 予算関連のIPCハンドラを登録する
+ */
+export function registerBudgetHandlers(): void {
+  ipcMain.handle('get-monthly-usage', async (): Promise<MonthlyUsage> => {
+    const ledger = await loadLedger();
+    const month = currentMonth();
+    return { month, costJPY: ledger[month] ?? 0 };
+  });
+}
+
+/**
+ * 使用量にmodels.yamlの料金から計算したコスト（円）を付与する
+ * ローカルLLMは0円、料金が定義されていないモデルはコストなしとする
+ * @param provider - プロバイダー種別
+ * @param model - モデルID
+ * @param usage - プロバイダーから返された使用量
+ */
+export async function withCost(
+  provider: Provider,
+  model: string | undefined,
+  usage: TokenUsage | undefined
+): Promise<TokenUsage | undefined> {
+  if (!usage) return undefined;
+
+  const rate = await findRate(provider, model);
+  if (!rate) return usage;
+
+  return { ...usage, costJPY: calculateCostJPY(usage, rate.pricing, rate.usdToJpy) };
+}
+
+/**
+ * 今月の利用額に加算する
+ * @param costJPY - 加算する金額（円）
+ */
+export async function addMonthlySpend(costJPY: number | undefined): Promise<void> {
+  if (!costJPY) return;
+
+  const ledger = await loadLedger();
+  const month = currentMonth();
+  ledger[month] = (ledger[month] ?? 0) + costJPY;
+
+  ledgerWriteQueue = ledgerWriteQueue.then(() => saveLedger(ledger)).catch((error) => {
+    console.error('Failed to save usage ledger:', error);
+  });
+  await ledgerWriteQueue;
+}
+
+/**
+ * 送信前に予算をチェックする
+ * 月間予算・ボード予算のどちらかを超える見込みならLLMError（kind: 'budget'）を投げ、
+ * 上限の一定割合を超える見込みなら警告メッセージを返す
+ * @param request - 予算チェックの対象
+ * @returns 警告メッセージ（問題なければundefined）
+ */
+export async function checkBudget(request: BudgetCheckRequest): Promise<string | undefined> {
+  return checkCombinedBudget([request]);
+}
+
+/**
+ * まとめて送る複数の呼び出しについて、見込みコストの合計で予算をチェックする
+ * 別案の並列送信のように、1件ずつでは上限内でも合計で上限を超える場合に送信前に止めるために使う
+ * 料金が定義されていないモデルは費用を見積もれないため、予算が設定されていれば警告だけ返して送信する
+ * @param requests - 予算チェックの対象（ボードの予算情報は先頭のものを使う）
+ * @returns 警告メッセージ（問題なければundefined）
+ */
+export async function checkCombinedBudget(requests: BudgetCheckRequest[]): Promise<string | undefined> {
+  const settings = await getSettings();
+  // モックモードでは実際の費用が発生しないため止めない
+  if (settings.llmMode === 'mock' || requests.length === 0) return undefined;
+
+  const budget = requests[0].budget;
+  const hasBudget = (settings.monthlyBudgetJPY ?? 0) > 0 || (budget?.boardBudgetJPY ?? 0) > 0;
+  const unpricedModels = new Set<string>();
+  let projectedCost = 0;
+
+  for (const request of requests) {
+    const rate = await findRate(request.provider, request.model);
+    if (!rate) {
+      unpricedModels.add(request.model || '未指定');
+      continue;
+    }
+    projectedCost += calculateCostJPY({
+      promptTokens: estimateTokens(request.promptText),
+      completionTokens: request.expectedOutputTokens,
+      totalTokens: 0
+    }, rate.pricing, rate.usdToJpy);
+  }
+
+  const warnings: string[] = [];
+
+  // 料金のかからない呼び出し（ローカルLLMなど）は止めない
+  if (projectedCost > 0) {
+    if (settings.monthlyBudgetJPY && settings.monthlyBudgetJPY > 0) {
+      const ledger = await loadLedger();
+      const warning = evaluateLimit('今月の予算', settings.monthlyBudgetJPY, ledger[currentMonth()] ?? 0, projectedCost);
+      if (warning) warnings.push(warning);
+    }
+
+    if (budget?.boardBudgetJPY && budget.boardBudgetJPY > 0) {
+      const warning = evaluateLimit('ボードの予算', budget.boardBudgetJPY, budget.boardSpentJPY, projectedCost);
+      if (warning) warnings.push(warning);
+    }
+  }
+
+  if (hasBudget && unpricedModels.size > 0) {
+    warnings.push(`モデル（${Array.from(unpricedModels).join('、')}）の料金が models.yaml に定義されていないため、予算を確認できません（この呼び出しの費用は利用額に加算されません）`);
+  }
+
+  return warnings.length > 0 ? warnings.join('\n') : undefined;
+}
+
+/**
+ * 1つの予算について、超過なら例外を投げ、警告域なら警告メッセージを返す
+ */
+function evaluateLimit(label: string, limit: number, spent: number, projectedCost: number): string | undefined {
+  const projected = spent + projectedCost;
+  if (projected > limit) {
+    throw new LLMError(
+      'budget',
+      `${label}（${formatYen(limit)}）を超える見込みのため送信を中止しました（利用済み ${formatYen(spent)} + 見込み ${formatYen(projectedCost)}）`
+    );
+  }
+  if (projected >= limit * BUDGET_WARNING_RATIO) {
+    return `${label}の${Math.floor((projected / limit) * 100)}%に達する見込みです（${formatYen(projected)} / ${formatYen(limit)}）`;
+  }
+  return undefined;
+}
+
+/**
+ * モデルの料金と為替レートを取得する
+ * ローカルLLMは0円として扱い、料金未定義のモデルはnullを返す
+ */
+async function findRate(
+  provider: Provider,
+  model: string | undefined
+): Promise<{ pricing: ModelPricing; usdToJpy: number } | null> {
+  if (provider === 'local') {
+    return { pricing: { input: 0, output: 0 }, usdToJpy: DEFAULT_USD_TO_JPY };
+  }
+
+  const config = await loadModelsConfig();
+  const pricing = config.providers[provider]?.models.find((m) => m.id === model)?.pricing;
+  if (!pricing) return null;
+
+  return { pricing, usdToJpy: config.exchangeRate?.usdToJpy ?? DEFAULT_USD_TO_JPY };
+}
+
+/**
+ * 現在の月（YYYY-MM、ローカル時刻）
+ */
+function currentMonth(): string {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * 金額を表示用に整形する
+ */
+function formatYen(value: number): string {
+  return `¥${value.toLocaleString('ja-JP', { maximumFractionDigits: 1 })}`;
+}
+
+/**
+ * 利用額の記録を読み込む
+ */
+async function loadLedger(): Promise<UsageLedger> {
+  if (cachedLedger) {
+    return cachedLedger;
+  }
+
+  try {
+    const data = await readFile(getLedgerPath(), 'utf-8');
+    cachedLedger = JSON.parse(data) as UsageLedger;
+  } catch {
+    // 記録がなければ空から始める
+    cachedLedger = {};
+  }
+  return cachedLedger;
+}
+
+/**
+ * 利用額の記録を保存する（一時ファイルに書いてから置き換える）
+ */
+async function saveLedger(ledger: UsageLedger): Promise<void> {
+  const ledgerPath = getLedgerPath();
+  await mkdir(dirname(ledgerPath), { recursive: true });
+  const tempPath = `${ledgerPath}.tmp`;
+  await writeFile(tempPath, JSON.stringify(ledger, null, 2), 'utf-8');
+  await rename(tempPath, ledgerPath);
+}
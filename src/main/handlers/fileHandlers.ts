@@ -2,12 +2,35 @@
  * ファイル操作のIPCハンドラ
  */
 import { ipcMain, dialog } from 'electron';
-import { readFile, writeFile, mkdir, readdir, stat } from 'fs/promises';
-import { dirname, join } from 'path';
-import type { BoardData } from '@shared/types';
-import type { BoardInfo } from '@shared/ipc';
+import { readFile, writeFile, mkdir, readdir, stat, rename, unlink } from 'fs/promises';
+import { basename, dirname, join } from 'path';
+import type { Board, BoardData } from '@shared/types';
+import type { BoardInfo, InterruptedSave, InterruptedSaveAction, DuplicateBoardGroup, MergeDuplicateBoardsResult } from '@shared/ipc';
+import { mergeBoardData } from '@shared/boardMerge';
+import { BOARD_FORMAT_VERSION } from '@shared/boardFormat';
+import { BoardLoadError } from '../boardFile/errors';
+import { migrateBoardFiles, type RawBoardFiles } from '../boardFile/migrations';
+import { validateBoardFiles } from '../boardFile/validation';
 import { getSettings, saveSettings } from './settingsHandlers';
 
+/** ボードを構成するファイル（保存順） */
+const BOARD_FILES = ['board.json', 'nodes.json', 'summaries.json'] as const;
+
+/** 保存中の一時ファイルの拡張子 */
+const TEMP_SUFFIX = '.tmp';
+
+/** 一時ファイルをすべて書き終えたことを示す印（これがあれば置き換えを完了させてよい） */
+const COMMIT_MARKER = '.save-commit';
+
+/** ボードフォルダごとの保存の待ち行列（手動保存と自動保存が同じ一時ファイルに書き込まないよう直列化する） */
+const saveQueues = new Map<string, Promise<unknown>>();
+
+/** 統合で不要になったボードフォルダの退避先（親フォルダ直下。board.jsonを持たないため一覧には出ない） */
+const MERGED_BACKUP_DIR = '.merged-duplicates';
+
+/** フォルダ名に含めるボードIDの文字数 */
+const FOLDER_ID_LENGTH = 8;
+
 /**
  * ファイル操作関連のIPCハンドラを登録する
  */
@@ -49,7 +72,7 @@ export function registerFileHandlers(): void {
     }
 
     const dirPath = result.filePaths[0];
-    return loadBoardFromDirectory(dirPath);
+    return loadBoardForIpc(dirPath);
   });
 
   // ボードを保存
@@ -60,12 +83,13 @@ export function registerFileHandlers(): void {
       // 親フォルダ内に自動保存
       const settings = await getSettings();
       if (settings.parentFolderPath) {
-        // ボードタイトルをサニタイズしてフォルダ名に使用
-        const sanitizedTitle = data.board.title
-          .replace(/[/\\?%*:|"<>]/g, '-')
-          .replace(/\s+/g, '_')
-          .substring(0, 50);
-        dirPath = join(settings.parentFolderPath, `${sanitizedTitle}_${Date.now()}`);
+        // 同じボードの保存が重なっても同じフォルダに決まるよう、ボードごとに直列化して保存先を決める
+        const parentPath = settings.parentFolderPath;
+        return enqueueSave(`board:${data.board.id}`, async () => {
+          const boardPath = await resolveBoardFolder(parentPath, data.board);
+          await enqueueSave(boardPath, () => saveBoardToDirectory(data, boardPath));
+          return boardPath;
+        });
       } else {
         // 親フォルダ未設定の場合はダイアログ表示
         const result = await dialog.showOpenDialog({
@@ -80,13 +104,47 @@ export function registerFileHandlers(): void {
       }
     }
 
-    await saveBoardToDirectory(data, dirPath);
-    return dirPath;
+    const targetPath = dirPath;
+    await enqueueSave(targetPath, () => saveBoardToDirectory(data, targetPath));
+    return targetPath;
+  });
+
+  // 前回保存し終えなかったボードを探す（置き換えの途中で止まったものはここで完了させる）
+  ipcMain.handle('find-interrupted-saves', async (): Promise<InterruptedSave[]> => {
+    const settings = await getSettings();
+    if (!settings.parentFolderPath) {
+      return [];
+    }
+    return findInterruptedSaves(settings.parentFolderPath);
+  });
+
+  // 保存し終えなかった一時ファイルを復元または破棄する
+  ipcMain.handle('resolve-interrupted-save', async (_, folderPath: string, action: InterruptedSaveAction): Promise<void> => {
+    await enqueueSave(folderPath, () => resolveInterruptedSave(folderPath, action));
+  });
+
+  // 複数のフォルダに保存されている同じボードを探す
+  ipcMain.handle('find-duplicate-boards', async (): Promise<DuplicateBoardGroup[]> => {
+    const settings = await getSettings();
+    if (!settings.parentFolderPath) {
+      return [];
+    }
+    return findDuplicateBoards(settings.parentFolderPath);
+  });
+
+  // 同じボードのフォルダを1つに統合する
+  ipcMain.handle('merge-duplicate-boards', async (_, boardId: string): Promise<MergeDuplicateBoardsResult> => {
+    const settings = await getSettings();
+    if (!settings.parentFolderPath) {
+      throw new Error('親フォルダが設定されていません');
+    }
+    const parentPath = settings.parentFolderPath;
+    return enqueueSave(`board:${boardId}`, () => mergeDuplicateBoards(parentPath, boardId));
   });
 
   // 指定パスからボードを読み込み
   ipcMain.handle('load-board-from-path', async (_, filePath: string) => {
-    return loadBoardFromDirectory(filePath);
+    return loadBoardForIpc(filePath);
   });
 
   // 保存ダイアログを表示
@@ -118,54 +176,338 @@ export function registerFileHandlers(): void {
 
 /**
  * ディレクトリからボードデータを読み込む
+ * 古い形式のボードは現在の形式に変換してから、形式を検証する
+ * @throws BoardLoadError - ファイルがない・JSONとして読めない・形式が正しくない場合
+ */
+async function loadBoardFromDirectory(dirPath: string): Promise<BoardData> {
+  const files: RawBoardFiles = {
+    board: await readJsonFile(dirPath, 'board.json'),
+    nodes: await readJsonFile(dirPath, 'nodes.json'),
+    // summaries.jsonがなくてもOK（マイグレーションで空にする）
+    summaries: await readJsonFile(dirPath, 'summaries.json', { optional: true })
+  };
+
+  const { files: migrated, fromVersion } = migrateBoardFiles(files);
+  const issues = validateBoardFiles(migrated);
+  if (issues.length > 0) {
+    throw new BoardLoadError(`ボードの形式が正しくありません（${issues.length}件）`, issues);
+  }
+
+  if (fromVersion < BOARD_FORMAT_VERSION) {
+    console.log(`[Files] Loaded board in format version ${fromVersion}; it will be saved as version ${BOARD_FORMAT_VERSION}: ${dirPath}`);
+  }
+  return migrated as unknown as BoardData;
+}
+
+/**
+ * IPCで返すためにボードを読み込む（読み込みエラーは種別がわかる形で送る）
+ * @param dirPath - ボードのディレクトリ
  */
-async function loadBoardFromDirectory(dirPath: string): Promise<BoardData | null> {
+async function loadBoardForIpc(dirPath: string): Promise<BoardData> {
   try {
-    const boardJson = await readFile(join(dirPath, 'board.json'), 'utf-8');
-    const nodesJson = await readFile(join(dirPath, 'nodes.json'), 'utf-8');
-    
-    let summaries: any[] = [];
-    try {
-      const summariesJson = await readFile(join(dirPath, 'summaries.json'), 'utf-8');
-      summaries = JSON.parse(summariesJson);
-    } catch {
-      // summaries.jsonがなくてもOK
+    return await loadBoardFromDirectory(dirPath);
+  } catch (error) {
+    console.error('Failed to load board:', error);
+    if (error instanceof BoardLoadError) {
+      throw error.toIpcError();
     }
+    throw error;
+  }
+}
 
-    return {
-      board: JSON.parse(boardJson),
-      nodes: JSON.parse(nodesJson),
-      summaries
-    };
+/**
+ * ボードのJSONファイルを読み込む
+ * @param dirPath - ボードのディレクトリ
+ * @param name - ファイル名
+ * @param options.optional - ファイルがなくてもよい（ない場合はundefinedを返す）
+ * @throws BoardLoadError - ファイルがない（optionalでない場合）・JSONとして読めない場合
+ */
+async function readJsonFile(dirPath: string, name: string, options: { optional?: boolean } = {}): Promise<unknown> {
+  let text: string;
+  try {
+    text = await readFile(join(dirPath, name), 'utf-8');
   } catch (error) {
-    console.error('Failed to load board:', error);
-    return null;
+    if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+      if (options.optional) return undefined;
+      throw new BoardLoadError(`${name} が見つかりません（${dirPath}）`);
+    }
+    throw new BoardLoadError(`${name} を読み込めません: ${error instanceof Error ? error.message : String(error)}`);
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new BoardLoadError(`${name} をJSONとして読み取れません: ${error instanceof Error ? error.message : String(error)}`);
   }
 }
 
 /**
  * ボードデータをディレクトリに保存する
+ * 途中で落ちても読み込めないボードが残らないよう、次の順で書き込む
+ * 1. すべてのファイルを一時ファイルに書き出す（ここで止まっても元のファイルはそのまま）
+ * 2. 書き出し完了の印を置く
+ * 3. 一時ファイルを本来の名前に置き換える（renameは原子的。ここで止まったら起動時に残りを置き換える）
+ * 4. 印を消す
  */
 async function saveBoardToDirectory(data: BoardData, dirPath: string): Promise<void> {
   await mkdir(dirPath, { recursive: true });
 
-  await writeFile(
-    join(dirPath, 'board.json'),
-    JSON.stringify(data.board, null, 2),
-    'utf-8'
-  );
+  const contents: Record<(typeof BOARD_FILES)[number], unknown> = {
+    'board.json': { ...data.board, formatVersion: BOARD_FORMAT_VERSION },
+    'nodes.json': data.nodes,
+    'summaries.json': data.summaries
+  };
+  for (const name of BOARD_FILES) {
+    await writeFile(join(dirPath, name + TEMP_SUFFIX), JSON.stringify(contents[name], null, 2), 'utf-8');
+  }
 
-  await writeFile(
-    join(dirPath, 'nodes.json'),
-    JSON.stringify(data.nodes, null, 2),
-    'utf-8'
-  );
+  await writeFile(join(dirPath, COMMIT_MARKER), new Date().toISOString(), 'utf-8');
+  await commitTempFiles(dirPath);
+}
 
-  await writeFile(
-    join(dirPath, 'summaries.json'),
-    JSON.stringify(data.summaries, null, 2),
-    'utf-8'
-  );
+/**
+ * 一時ファイルを本来の名前に置き換え、書き出し完了の印を消す
+ * @param dirPath - ボードのディレクトリ
+ */
+async function commitTempFiles(dirPath: string): Promise<void> {
+  for (const name of BOARD_FILES) {
+    const tempPath = join(dirPath, name + TEMP_SUFFIX);
+    if (await exists(tempPath)) {
+      await rename(tempPath, join(dirPath, name));
+    }
+  }
+  await unlink(join(dirPath, COMMIT_MARKER)).catch(() => undefined);
+}
+
+/**
+ * 同じキー（ボードのディレクトリ、または保存先を決める前のボードID）の処理を直列に実行する
+ * @param key - 直列化の単位
+ * @param task - 保存処理
+ */
+async function enqueueSave<T>(key: string, task: () => Promise<T>): Promise<T> {
+  const previous = saveQueues.get(key) ?? Promise.resolve();
+  const current = previous.catch(() => undefined).then(task);
+  saveQueues.set(key, current);
+  try {
+    return await current;
+  } finally {
+    if (saveQueues.get(key) === current) {
+      saveQueues.delete(key);
+    }
+  }
+}
+
+/**
+ * 保存先が決まっていないボードの保存先フォルダを決める
+ * 親フォルダ内に同じボードIDのフォルダがあればそれを使い（最後に更新されたもの）、
+ * なければ「タイトル_ボードIDの先頭」で作る。保存のたびに新しいフォルダを作らないよう、時刻は使わない
+ * @param parentPath - 親フォルダ
+ * @param board - 保存するボード
+ */
+async function resolveBoardFolder(parentPath: string, board: Board): Promise<string> {
+  const existing = (await getBoardListFromFolder(parentPath)).find(b => b.id === board.id);
+  if (existing) {
+    return existing.folderPath;
+  }
+
+  // ボードタイトルをサニタイズしてフォルダ名に使用
+  const sanitizedTitle = board.title
+    .replace(/[/\\?%*:|"<>]/g, '-')
+    .replace(/\s+/g, '_')
+    .substring(0, 50);
+  const folderPath = join(parentPath, `${sanitizedTitle}_${board.id.slice(0, FOLDER_ID_LENGTH)}`);
+  // 別のボード（またはボード以外）が同じ名前のフォルダを使っていれば、IDをすべて含めた名前にする
+  return (await exists(folderPath)) ? join(parentPath, `${sanitizedTitle}_${board.id}`) : folderPath;
+}
+
+/**
+ * 親フォルダ内で同じボードIDを持つフォルダをまとめる
+ * @param parentPath - 親フォルダ
+ */
+async function findDuplicateBoards(parentPath: string): Promise<DuplicateBoardGroup[]> {
+  const byId = new Map<string, BoardInfo[]>();
+  for (const info of await getBoardListFromFolder(parentPath)) {
+    byId.set(info.id, [...(byId.get(info.id) ?? []), info]);
+  }
+
+  const groups: DuplicateBoardGroup[] = [];
+  for (const [boardId, infos] of byId) {
+    if (infos.length < 2) continue;
+
+    // 一覧は更新日時の新しい順なので、先頭が統合先になる
+    const folders = await Promise.all(infos.map(async (info) => {
+      const data = await loadBoardFromDirectory(info.folderPath).catch(() => null);
+      return { ...info, nodeCount: data?.nodes.length ?? 0 };
+    }));
+    groups.push({ boardId, title: infos[0].title, folders });
+  }
+  return groups;
+}
+
+/**
+ * 同じボードIDのフォルダを、最後に更新されたフォルダに統合する
+ * 統合元のフォルダは削除せず退避フォルダに移す
+ * @param parentPath - 親フォルダ
+ * @param boardId - 統合するボードのID
+ */
+async function mergeDuplicateBoards(parentPath: string, boardId: string): Promise<MergeDuplicateBoardsResult> {
+  const infos = (await getBoardListFromFolder(parentPath)).filter(b => b.id === boardId);
+  if (infos.length === 0) {
+    throw new Error('統合するボードが見つかりません');
+  }
+
+  const versions: BoardData[] = [];
+  for (const info of infos) {
+    try {
+      versions.push(await loadBoardFromDirectory(info.folderPath));
+    } catch (error) {
+      throw new Error(`ボードを読み込めないため統合できません: ${info.folderPath}\n${error instanceof Error ? error.message : String(error)}`);
+    }
+  }
+
+  const [target, ...sources] = infos;
+  const merged = mergeBoardData(versions);
+  await enqueueSave(target.folderPath, () => saveBoardToDirectory(merged, target.folderPath));
+
+  const backupDir = join(parentPath, MERGED_BACKUP_DIR);
+  await mkdir(backupDir, { recursive: true });
+  const backupPaths: string[] = [];
+  for (const source of sources) {
+    const backupPath = join(backupDir, `${basename(source.folderPath)}_${Date.now()}`);
+    await enqueueSave(source.folderPath, () => rename(source.folderPath, backupPath));
+    backupPaths.push(backupPath);
+  }
+
+  console.log(`[Files] Merged ${infos.length} folders of board ${boardId} into ${target.folderPath}`);
+  return { folderPath: target.folderPath, nodeCount: merged.nodes.length, backupPaths };
+}
+
+/**
+ * 親フォルダ内のボードから、保存し終えなかった一時ファイルを探す
+ * 書き出し完了の印があるもの（置き換えの途中で止まったもの）は置き換えを完了させ、結果に含めない
+ * @param parentPath - 親フォルダ
+ */
+async function findInterruptedSaves(parentPath: string): Promise<InterruptedSave[]> {
+  const interrupted: InterruptedSave[] = [];
+
+  let entries;
+  try {
+    entries = await readdir(parentPath, { withFileTypes: true });
+  } catch (error) {
+    console.error('Failed to scan for interrupted saves:', error);
+    return interrupted;
+  }
+
+  for (const entry of entries) {
+    if (!entry.isDirectory()) continue;
+    const folderPath = join(parentPath, entry.name);
+
+    const tempFiles = BOARD_FILES.map((name) => name + TEMP_SUFFIX);
+    const presentTempFiles: string[] = [];
+    for (const tempFile of tempFiles) {
+      if (await exists(join(folderPath, tempFile))) {
+        presentTempFiles.push(tempFile);
+      }
+    }
+
+    if (await exists(join(folderPath, COMMIT_MARKER))) {
+      try {
+        await enqueueSave(folderPath, () => commitTempFiles(folderPath));
+        console.log(`[Files] Completed interrupted save: ${folderPath}`);
+      } catch (error) {
+        console.error(`Failed to complete interrupted save (${folderPath}):`, error);
+      }
+      continue;
+    }
+    if (presentTempFiles.length === 0) continue;
+
+    interrupted.push(await describeInterruptedSave(folderPath));
+  }
+
+  return interrupted;
+}
+
+/**
+ * 保存し終えなかったボードの情報を集める
+ * @param folderPath - ボードのディレクトリ
+ */
+async function describeInterruptedSave(folderPath: string): Promise<InterruptedSave> {
+  const files: InterruptedSave['files'] = [];
+  const missingFiles: string[] = [];
+  let savedAt = '';
+  let title = '';
+
+  for (const name of BOARD_FILES) {
+    const tempPath = join(folderPath, name + TEMP_SUFFIX);
+    if (!(await exists(tempPath))) {
+      missingFiles.push(name);
+      continue;
+    }
+
+    const { mtime } = await stat(tempPath);
+    if (mtime.toISOString() > savedAt) {
+      savedAt = mtime.toISOString();
+    }
+
+    try {
+      const parsed = JSON.parse(await readFile(tempPath, 'utf-8'));
+      if (name === 'board.json' && typeof parsed?.title === 'string') {
+        title = parsed.title;
+      }
+      files.push({ name, recoverable: true });
+    } catch {
+      // 書き込み途中で止まったファイルはJSONとして読めない
+      files.push({ name, recoverable: false });
+    }
+  }
+
+  if (!title) {
+    try {
+      title = JSON.parse(await readFile(join(folderPath, 'board.json'), 'utf-8')).title ?? '';
+    } catch {
+      // board.jsonがなければフォルダ名で表示する
+    }
+  }
+
+  const recoverable = missingFiles.length === 0 && files.every(f => f.recoverable);
+  return { folderPath, title, savedAt, files, missingFiles, recoverable };
+}
+
+/**
+ * 保存し終えなかった一時ファイルを復元または破棄する
+ * 復元はすべてのファイルの一時ファイルがそろって読める場合だけ行い、
+ * 書き出し完了の印を付けてから置き換える（置き換えの途中で止まっても次回起動時に完了させる）
+ * @param folderPath - ボードのディレクトリ
+ * @param action - 'recover'（復元）または 'discard'（破棄）
+ */
+async function resolveInterruptedSave(folderPath: string, action: InterruptedSaveAction): Promise<void> {
+  if (action === 'recover') {
+    if (!(await describeInterruptedSave(folderPath)).recoverable) {
+      throw new Error('一時ファイルがそろっていないか読み取れないため復元できません');
+    }
+    await writeFile(join(folderPath, COMMIT_MARKER), new Date().toISOString(), 'utf-8');
+    await commitTempFiles(folderPath);
+    return;
+  }
+
+  for (const name of BOARD_FILES) {
+    const tempPath = join(folderPath, name + TEMP_SUFFIX);
+    if (await exists(tempPath)) {
+      await unlink(tempPath);
+    }
+  }
+}
+
+/**
+ * ファイルが存在するか
+ */
+async function exists(filePath: string): Promise<boolean> {
+  try {
+    await stat(filePath);
+    return true;
+  } catch {
+    return false;
+  }
 }
 
 /**
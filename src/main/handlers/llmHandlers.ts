@@ -1,82 +1,327 @@
 /**
  * LLM関連のIPCハンドラ
  */
-import { ipcMain } from 'electron';
-import { OpenAIProvider } from '../llm/openaiProvider';
+import { ipcMain, app } from 'electron';
+import type { IpcMainInvokeEvent } from 'electron';
+import { join } from 'path';
+import { registerBuiltinProviders } from '../llm';
+import { getProvider, resetProviders as resetProviderInstances } from '../llm/providerRegistry';
+import { LLMError, toLLMError } from '../llm/errors';
+import { withRetry } from '../llm/retry';
+import { MockProvider } from '../llm/mockProvider';
+import { RecordingProvider } from '../llm/recordings';
+import { buildTopicsPrompt, buildFollowUpsPrompt, buildNotePrompt } from '../llm/prompts';
 import { getSettings } from './settingsHandlers';
-import type { LLMRequest, LLMResponse, GenerateTopicsRequest, GeneratedTopic, GenerateNoteRequest, GenerateSummaryRequest } from '@shared/ipc';
+import { checkBudget, checkCombinedBudget, withCost, addMonthlySpend, type BudgetCheckRequest } from './budgetHandlers';
+import { resolvePromptTemplate } from './promptTemplateHandlers';
+import { estimateMessagesTokens, estimateTokens } from '@shared/tokenEstimate';
+import type { LLMProvider } from '../llm/types';
+import type { ModelConfig, Provider, TokenUsage } from '@shared/types';
+import type { LLMRequest, LLMResponse, LLMStreamDelta, GenerateTopicsRequest, GenerateTopicsResponse, GenerateFollowUpsRequest, GenerateFollowUpsResponse, GenerateNoteRequest, GenerateSummaryRequest, GenerateTextResponse } from '@shared/ipc';
 
-/** LLMプロバイダーのインスタンスキャッシュ */
-let openaiProvider: OpenAIProvider | null = null;
+/** プロバイダー未指定時のデフォルト（旧バージョンのレンダラーとの互換用） */
+const FALLBACK_PROVIDER: Provider = 'openai';
+
+/** 予算チェックで見込む出力トークン数（呼び出しの種類ごと） */
+const EXPECTED_OUTPUT_TOKENS = {
+  chat: 1000,
+  topics: 500,
+  followUps: 300,
+  note: 800,
+  summary: 2000
+};
+
+/** 実行中リクエストのAbortController（requestId → controller） */
+const inFlightRequests = new Map<string, AbortController>();
 
 /**
  * LLM関連のIPCハンドラを登録する
  */
 export function registerLLMHandlers(): void {
-  ipcMain.handle('send-llm-request', async (_, request: LLMRequest): Promise<LLMResponse> => {
-    const settings = await getSettings();
-
-    switch (request.provider) {
-      case 'openai': {
-        if (!settings.openaiApiKey) {
-          throw new Error('OpenAI APIキーが設定されていません');
-        }
-        if (!openaiProvider) {
-          openaiProvider = new OpenAIProvider(settings.openaiApiKey);
-        }
-        return openaiProvider.chat(request);
+  registerBuiltinProviders();
+
+  handleLLMChannel('send-llm-request', async (_, request: LLMRequest, signal): Promise<LLMResponse> => {
+    const providerKey = request.provider || FALLBACK_PROVIDER;
+    const budgetWarning = await checkBudget(toChatBudgetRequest(request));
+    const provider = await resolveProvider(providerKey);
+    const response = await runLLMCall(signal, () => provider.chat(request, { signal }));
+    return { ...response, usage: await settleUsage(providerKey, request.model, response.usage), budgetWarning };
+  });
+
+  // ストリーミングチャット（差分はllm-stream-deltaで逐次通知）
+  // キャンセル時はエラーにせず、それまでに受け取った部分回答を aborted: true で返す
+  // （プロバイダーは使用量を最後にしか返さないため、送信済みなら使用量はプロンプトと部分回答から概算する）
+  handleLLMChannel('send-llm-request-stream', async (event, request: LLMRequest, signal): Promise<LLMResponse> => {
+    const providerKey = request.provider || FALLBACK_PROVIDER;
+    const budgetWarning = await checkBudget(toChatBudgetRequest(request));
+    const provider = await resolveProvider(providerKey);
+    const requestId = request.requestId || '';
+    let partialContent = '';
+    let sent = false;
+
+    try {
+      const response = await runLLMCall(
+        signal,
+        () => {
+          sent = true;
+          return provider.chatStream(request, (delta) => {
+            partialContent += delta;
+            if (!event.sender.isDestroyed()) {
+              const payload: LLMStreamDelta = { requestId, delta };
+              event.sender.send('llm-stream-delta', payload);
+            }
+          }, { signal });
+        },
+        // 差分を送信済みの場合はやり直すと回答が重複するためリトライしない
+        () => partialContent === ''
+      );
+      return { ...response, usage: await settleUsage(providerKey, request.model, response.usage), budgetWarning };
+    } catch (error) {
+      if (error instanceof LLMError && error.kind === 'cancelled') {
+        const usage = sent
+          ? await settleUsage(providerKey, request.model, estimateUsage(request.messages, partialContent))
+          : undefined;
+        return { content: partialContent, usage, aborted: true, budgetWarning };
       }
-      case 'anthropic':
-        throw new Error('Anthropicプロバイダーは未実装です');
-      case 'google':
-        throw new Error('Googleプロバイダーは未実装です');
-      case 'local':
-        throw new Error('Localプロバイダーは未実装です');
-      default:
-        throw new Error(`未知のプロバイダー: ${request.provider}`);
+      throw error;
     }
   });
 
   // トピック生成
-  ipcMain.handle('generate-topics', async (_, request: GenerateTopicsRequest): Promise<GeneratedTopic[]> => {
-    const settings = await getSettings();
-    if (!settings.openaiApiKey) {
-      throw new Error('OpenAI APIキーが設定されていません');
-    }
-    if (!openaiProvider) {
-      openaiProvider = new OpenAIProvider(settings.openaiApiKey);
-    }
-    return openaiProvider.generateTopics(request);
+  handleLLMChannel('generate-topics', async (_, baseRequest: GenerateTopicsRequest, signal): Promise<GenerateTopicsResponse> => {
+    const request = { ...baseRequest, promptTemplate: await resolvePromptTemplate('topics', baseRequest.promptTemplate) };
+    const providerKey = request.provider || FALLBACK_PROVIDER;
+    const { systemPrompt, userPrompt } = buildTopicsPrompt(request);
+    const budgetWarning = await checkBudget({
+      provider: providerKey,
+      model: request.model,
+      promptText: `${systemPrompt}\n${userPrompt}`,
+      expectedOutputTokens: EXPECTED_OUTPUT_TOKENS.topics,
+      budget: request.budget
+    });
+    const provider = await resolveProvider(providerKey);
+    const response = await runLLMCall(signal, () => provider.generateTopics(request, { signal }));
+    return { ...response, usage: await settleUsage(providerKey, request.model, response.usage), budgetWarning };
+  });
+
+  // フォローアップ質問の提案
+  handleLLMChannel('generate-follow-ups', async (_, baseRequest: GenerateFollowUpsRequest, signal): Promise<GenerateFollowUpsResponse> => {
+    const request = { ...baseRequest, promptTemplate: await resolvePromptTemplate('followUps', baseRequest.promptTemplate) };
+    const providerKey = request.provider || FALLBACK_PROVIDER;
+    const { systemPrompt, userPrompt } = buildFollowUpsPrompt(request);
+    const budgetWarning = await checkBudget({
+      provider: providerKey,
+      model: request.model,
+      promptText: `${systemPrompt}\n${userPrompt}`,
+      expectedOutputTokens: EXPECTED_OUTPUT_TOKENS.followUps,
+      budget: request.budget
+    });
+    const provider = await resolveProvider(providerKey);
+    const response = await runLLMCall(signal, () => provider.generateFollowUps(request, { signal }));
+    return { ...response, usage: await settleUsage(providerKey, request.model, response.usage), budgetWarning };
   });
 
   // ノート生成
-  ipcMain.handle('generate-note', async (_, request: GenerateNoteRequest): Promise<string> => {
-    const settings = await getSettings();
-    if (!settings.openaiApiKey) {
-      throw new Error('OpenAI APIキーが設定されていません');
-    }
-    if (!openaiProvider) {
-      openaiProvider = new OpenAIProvider(settings.openaiApiKey);
-    }
-    return openaiProvider.generateNote(request);
+  handleLLMChannel('generate-note', async (_, baseRequest: GenerateNoteRequest, signal): Promise<GenerateTextResponse> => {
+    const request = { ...baseRequest, promptTemplate: await resolvePromptTemplate('note', baseRequest.promptTemplate) };
+    const providerKey = request.provider || FALLBACK_PROVIDER;
+    const { systemPrompt, userPrompt } = buildNotePrompt(request);
+    const budgetWarning = await checkBudget({
+      provider: providerKey,
+      model: request.model,
+      promptText: `${systemPrompt}\n${userPrompt}`,
+      expectedOutputTokens: EXPECTED_OUTPUT_TOKENS.note,
+      budget: request.budget
+    });
+    const provider = await resolveProvider(providerKey);
+    const response = await runLLMCall(signal, () => provider.generateNote(request, { signal }));
+    return { ...response, usage: await settleUsage(providerKey, request.model, response.usage), budgetWarning };
   });
 
   // サマリー生成
-  ipcMain.handle('generate-summary', async (_, request: GenerateSummaryRequest): Promise<string> => {
-    const settings = await getSettings();
-    if (!settings.openaiApiKey) {
-      throw new Error('OpenAI APIキーが設定されていません');
+  handleLLMChannel('generate-summary', async (_, baseRequest: GenerateSummaryRequest, signal): Promise<GenerateTextResponse> => {
+    const request = { ...baseRequest, promptTemplate: await resolvePromptTemplate('summary', baseRequest.promptTemplate) };
+    const providerKey = request.provider || FALLBACK_PROVIDER;
+    // サマリーのプロンプトは上位20ノード・各300文字までに絞られるため、同じ条件で概算する
+    const budgetWarning = await checkBudget({
+      provider: providerKey,
+      model: request.model,
+      promptText: request.nodes.slice(0, 20).map((n) => `${n.title}\n${n.content.substring(0, 300)}`).join('\n'),
+      expectedOutputTokens: EXPECTED_OUTPUT_TOKENS.summary,
+      budget: request.budget
+    });
+    const provider = await resolveProvider(providerKey);
+    const response = await runLLMCall(signal, () => provider.generateSummary(request, { signal }));
+    return { ...response, usage: await settleUsage(providerKey, request.model, response.usage), budgetWarning };
+  });
+
+  // 実行中のリクエストをキャンセル
+  ipcMain.handle('cancel-llm-request', async (_, requestId: string): Promise<void> => {
+    inFlightRequests.get(requestId)?.abort();
+  });
+
+  // まとめて送るチャットの予算チェック（並列に送ると1件ずつのチェックでは合計の超過を止められないため）
+  ipcMain.handle('check-llm-budget', async (_, requests: LLMRequest[]): Promise<string | undefined> => {
+    try {
+      return await checkCombinedBudget(requests.map(toChatBudgetRequest));
+    } catch (error) {
+      throw toLLMError(error).toIpcError();
     }
-    if (!openaiProvider) {
-      openaiProvider = new OpenAIProvider(settings.openaiApiKey);
+  });
+}
+
+/**
+ * チャットリクエストから予算チェックの対象を作る
+ * @param request - チャットリクエスト
+ */
+function toChatBudgetRequest(request: LLMRequest): BudgetCheckRequest {
+  return {
+    provider: request.provider || FALLBACK_PROVIDER,
+    model: request.model,
+    promptText: request.messages.map((m) => m.content).join('\n'),
+    expectedOutputTokens: request.maxTokens ?? EXPECTED_OUTPUT_TOKENS.chat,
+    budget: request.budget
+  };
+}
+
+/**
+ * LLM呼び出しのIPCハンドラを登録する
+ * - requestIdを指定するとcancel-llm-requestで中断できる
+ *   （予算チェックやプロバイダーの準備中に届いたキャンセルも取りこぼさないよう、ハンドラ本体より先に登録する）
+ * - 例外は種別付きのエラーに変換してレンダラーへ返す（失敗までに発生した使用量は料金を付けて記録し、エラーに含める）
+ * @param channel - IPCチャンネル名
+ * @param handler - ハンドラ本体（キャンセル用のAbortSignalを受け取る）
+ */
+function handleLLMChannel<TRequest extends { requestId?: string; provider?: Provider; model?: string }, TResult>(
+  channel: string,
+  handler: (event: IpcMainInvokeEvent, request: TRequest, signal: AbortSignal) => Promise<TResult>
+): void {
+  ipcMain.handle(channel, async (event, request: TRequest) => {
+    const controller = new AbortController();
+    const requestId = request.requestId;
+    if (requestId) {
+      inFlightRequests.set(requestId, controller);
+    }
+
+    try {
+      return await handler(event, request, controller.signal);
+    } catch (error) {
+      const llmError = toLLMError(error);
+      console.error(`[LLM] ${channel} failed (${llmError.kind}):`, llmError.message);
+      if (llmError.usage) {
+        llmError.usage = await settleUsage(request.provider || FALLBACK_PROVIDER, request.model, llmError.usage);
+      }
+      throw llmError.toIpcError();
+    } finally {
+      if (requestId) {
+        inFlightRequests.delete(requestId);
+      }
     }
-    return openaiProvider.generateSummary(request);
   });
 }
 
+/**
+ * LLM呼び出しを実行する
+ * - signalが中断されると kind: 'cancelled' のLLMErrorを投げる（呼び出し前に中断済みなら送信しない）
+ * - 429・5xxは指数バックオフでリトライする
+ * @param signal - キャンセル用のAbortSignal（handleLLMChannelから受け取ったもの）
+ * @param fn - 呼び出し本体
+ * @param canRetry - リトライしてよいかの判定（省略時は常に可）
+ */
+async function runLLMCall<T>(
+  signal: AbortSignal,
+  fn: () => Promise<T>,
+  canRetry?: () => boolean
+): Promise<T> {
+  if (signal.aborted) {
+    throw new LLMError('cancelled', 'リクエストはキャンセルされました');
+  }
+
+  try {
+    return await withRetry(fn, {
+      signal,
+      canRetry,
+      onRetry: (error, attempt, delayMs) => {
+        console.warn(`[LLM] ${error.kind} (status: ${error.status ?? '-'}), retry #${attempt} in ${Math.round(delayMs)}ms`);
+      }
+    });
+  } catch (error) {
+    const llmError = toLLMError(error);
+    if (signal.aborted) {
+      throw new LLMError('cancelled', 'リクエストはキャンセルされました', { usage: llmError.usage });
+    }
+    throw llmError;
+  }
+}
+
+/**
+ * 使用量にコストを付与し、今月の利用額に加算する
+ * @param provider - プロバイダー種別
+ * @param model - モデルID
+ * @param usage - プロバイダーから返された使用量
+ */
+async function settleUsage(
+  provider: Provider,
+  model: string | undefined,
+  usage: TokenUsage | undefined
+): Promise<TokenUsage | undefined> {
+  // モックモードでは実際の費用は発生しないため、料金を付けず利用額にも加算しない
+  if ((await getSettings()).llmMode === 'mock') {
+    return usage;
+  }
+
+  const priced = await withCost(provider, model, usage);
+  await addMonthlySpend(priced?.costJPY);
+  return priced;
+}
+
+/**
+ * 使用量をプロンプトと出力のテキストから概算する
+ * @param messages - 送信したメッセージ
+ * @param content - 受け取った出力
+ */
+function estimateUsage(messages: Array<{ content: string }>, content: string): TokenUsage {
+  const promptTokens = estimateMessagesTokens(messages);
+  const completionTokens = estimateTokens(content);
+  return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+}
+
+/**
+ * リクエストのプロバイダー種別からインスタンスを取得する
+ * 設定のLLMモードがモックなら記録を再生するプロバイダー、記録なら応答を記録するプロバイダーを返す
+ * @param provider - プロバイダー種別（未指定時はOpenAI）
+ */
+async function resolveProvider(provider: Provider | undefined): Promise<LLMProvider> {
+  const settings = await getSettings();
+  const recordingsDir = settings.llmRecordingsPath || join(app.getPath('userData'), 'llm-recordings');
+
+  switch (settings.llmMode) {
+    case 'mock':
+      // APIキーやネットワークがなくても使えるよう、実際のプロバイダーは生成しない
+      return new MockProvider(recordingsDir);
+    case 'record':
+      return new RecordingProvider(getProvider(provider || FALLBACK_PROVIDER, settings), recordingsDir);
+    default:
+      return getProvider(provider || FALLBACK_PROVIDER, settings);
+  }
+}
+
 /**
  * APIキー変更時にプロバイダーをリセットする
  */
 export function resetProviders(): void {
-  openaiProvider = null;
+  resetProviderInstances();
+}
+
+/**
+ * ローカルエンドポイントから利用可能なモデル一覧を取得する
+ * @returns モデル一覧（エンドポイント未設定時は空配列）
+ */
+export async function listLocalModels(): Promise<ModelConfig[]> {
+  const settings = await getSettings();
+  if (!settings.localEndpoint) {
+    return [];
+  }
+  const provider = getProvider('local', settings);
+  return provider.listModels ? provider.listModels() : [];
 }
@@ -0,0 +1,95 @@
+/**
+ * プロンプトテンプレートのIPCハンドラ
+ * ユーザーが編集したテンプレートをユーザーデータに保存し、
+ * 生成時に「ボードの上書き → ユーザー設定 → 既定」の順で解決する
+ */
+import { ipcMain, app } from 'electron';
+import { readFile, writeFile, mkdir, rename } from 'fs/promises';
+import { join, dirname } from 'path';
+import {
+  DEFAULT_PROMPT_TEMPLATES,
+  isSamePromptTemplate,
+  type PromptTemplate,
+  type PromptTemplateKind,
+  type PromptTemplates
+} from '@shared/promptTemplates';
+
+/** ユーザーが編集したテンプレートの保存先 */
+const getTemplatesPath = () => join(app.getPath('userData'), 'prompt-templates.json');
+
+/** 既定から変更されたテンプレートのキャッシュ */
+let cachedOverrides: Partial<PromptTemplates> | null = null;
+
+/**
+ * プロンプトテンプレート関連のIPCハンドラを登録する
+ */
+export function registerPromptTemplateHandlers(): void {
+  ipcMain.handle('get-prompt-templates', async (): Promise<PromptTemplates> => {
+    return getUserPromptTemplates();
+  });
+
+  ipcMain.handle('save-prompt-templates', async (_, templates: PromptTemplates): Promise<void> => {
+    // 既定と同じものは保存しない（既定が更新されたときに追従させるため）
+    const overrides: Partial<PromptTemplates> = {};
+    for (const kind of Object.keys(DEFAULT_PROMPT_TEMPLATES) as PromptTemplateKind[]) {
+      if (templates[kind] && !isSamePromptTemplate(templates[kind], DEFAULT_PROMPT_TEMPLATES[kind])) {
+        overrides[kind] = templates[kind];
+      }
+    }
+    await saveOverrides(overrides);
+  });
+}
+
+/**
+ * ユーザー設定のテンプレートを取得する（未編集の種類は既定）
+ */
+export async function getUserPromptTemplates(): Promise<PromptTemplates> {
+  const overrides = await loadOverrides();
+  return { ...DEFAULT_PROMPT_TEMPLATES, ...overrides };
+}
+
+/**
+ * 生成に使うテンプレートを解決する
+ * @param kind - テンプレートの種類
+ * @param boardTemplate - ボードごとの上書き（リクエストに添付されたもの）
+ */
+export async function resolvePromptTemplate(
+  kind: PromptTemplateKind,
+  boardTemplate?: PromptTemplate
+): Promise<PromptTemplate> {
+  if (boardTemplate) {
+    return boardTemplate;
+  }
+  const templates = await getUserPromptTemplates();
+  return templates[kind];
+}
+
+/**
+ * 既定から変更されたテンプレートを読み込む
+ */
+async function loadOverrides(): Promise<Partial<PromptTemplates>> {
+  if (cachedOverrides) {
+    return cachedOverrides;
+  }
+
+  try {
+    const data = await readFile(getTemplatesPath(), 'utf-8');
+    cachedOverrides = JSON.parse(data) as Partial<PromptTemplates>;
+  } catch {
+    // 未編集なら既定のみ
+    cachedOverrides = {};
+  }
+  return cachedOverrides;
+}
+
+/**
+ * 既定から変更されたテンプレートを保存する（一時ファイルに書いてから置き換える）
+ */
+async function saveOverrides(overrides: Partial<PromptTemplates>): Promise<void> {
+  const templatesPath = getTemplatesPath();
+  await mkdir(dirname(templatesPath), { recursive: true });
+  const tempPath = `${templatesPath}.tmp`;
+  await writeFile(tempPath, JSON.stringify(overrides, null, 2), 'utf-8');
+  await rename(tempPath, templatesPath);
+  cachedOverrides = overrides;
+}
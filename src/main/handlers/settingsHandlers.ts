@@ -6,8 +6,8 @@ import { readFile, writeFile, mkdir } from 'fs/promises';
 import { join, dirname } from 'path';
 import * as yaml from 'js-yaml';
 import type { AppSettings, AvailableModelsResponse } from '@shared/ipc';
-import type { ModelsConfigFile, Provider } from '@shared/types';
-import { resetProviders } from './llmHandlers';
+import type { ModelConfig, ModelsConfigFile, Provider } from '@shared/types';
+import { resetProviders, listLocalModels } from './llmHandlers';
 
 /** 設定ファイルのパス */
 const getSettingsPath = () => join(app.getPath('userData'), 'settings.json');
@@ -40,7 +40,7 @@ let cachedSettings: AppSettings | null = null;
 /**
  * モデル設定を読み込む
  */
-async function loadModelsConfig(): Promise<ModelsConfigFile> {
+export async function loadModelsConfig(): Promise<ModelsConfigFile> {
   if (cachedModelsConfig) {
     return cachedModelsConfig;
   }
@@ -84,12 +84,61 @@ export function registerSettingsHandlers(): void {
 
   ipcMain.handle('get-available-models', async (): Promise<AvailableModelsResponse> => {
     const config = await loadModelsConfig();
-    return {
-      providers: config.providers
-    };
+    const settings = await getSettings();
+    const providers = applyProviderOverrides(config.providers, settings);
+
+    // ローカルプロバイダーはエンドポイントから実際のモデル一覧を取得する
+    if (providers.local?.enabled) {
+      providers.local = {
+        ...providers.local,
+        models: await discoverLocalModels(providers.local.models)
+      };
+    }
+
+    return { providers };
   });
 }
 
+/**
+ * 設定画面での有効/無効の切り替えをモデル設定に反映する
+ * @param providers - models.yamlのプロバイダー設定
+ * @param settings - アプリ設定
+ */
+function applyProviderOverrides(
+  providers: ModelsConfigFile['providers'],
+  settings: AppSettings
+): ModelsConfigFile['providers'] {
+  const result = { ...providers };
+  for (const provider of Object.keys(result) as Provider[]) {
+    const enabled = settings.enabledProviders?.[provider];
+    if (enabled !== undefined) {
+      result[provider] = { ...result[provider], enabled };
+    }
+  }
+  return result;
+}
+
+/**
+ * ローカルエンドポイントのモデル一覧とmodels.yamlの定義を統合する
+ * 取得に失敗した場合はmodels.yamlの定義のみを返す
+ * @param configuredModels - models.yamlに定義されたモデル
+ */
+async function discoverLocalModels(configuredModels: ModelConfig[]): Promise<ModelConfig[]> {
+  try {
+    const discovered = await listLocalModels();
+    // models.yamlの定義（表示名・説明）を優先し、未定義のモデルを追加
+    const configuredIds = new Set(configuredModels.map((m) => m.id));
+    const models = [...configuredModels, ...discovered.filter((m) => !configuredIds.has(m.id))];
+    if (models.length > 0 && !models.some((m) => m.isDefault)) {
+      models[0] = { ...models[0], isDefault: true };
+    }
+    return models;
+  } catch (error) {
+    console.warn('Failed to discover local models:', error);
+    return configuredModels;
+  }
+}
+
 /**
  * 設定を取得する
  */
@@ -7,6 +7,8 @@ import { electronApp, optimizer, is } from '@electron-toolkit/utils';
 import { registerFileHandlers } from './handlers/fileHandlers';
 import { registerLLMHandlers } from './handlers/llmHandlers';
 import { registerSettingsHandlers } from './handlers/settingsHandlers';
+import { registerBudgetHandlers } from './handlers/budgetHandlers';
+import { registerPromptTemplateHandlers } from './handlers/promptTemplateHandlers';
 
 /**
  * メインウィンドウを作成する
@@ -58,6 +60,8 @@ app.whenReady().then(() => {
   registerFileHandlers();
   registerLLMHandlers();
   registerSettingsHandlers();
+  registerBudgetHandlers();
+  registerPromptTemplateHandlers();
 
   createWindow();
 
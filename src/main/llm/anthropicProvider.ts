@@ -0,0 +1,257 @@
+/**
+ * Anthropic LLMプロバイダー
+ */
+import Anthropic from '@anthropic-ai/sdk';
+import type { LLMRequest, LLMResponse, GenerateTopicsRequest, GenerateTopicsResponse, GenerateFollowUpsRequest, GenerateFollowUpsResponse, GenerateNoteRequest, GenerateSummaryRequest, GenerateTextResponse } from '@shared/ipc';
+import type { TokenUsage } from '@shared/types';
+import { buildTopicsPrompt, buildFollowUpsPrompt, buildNotePrompt, buildSummaryPrompt, stripMarkdownFence, DEFAULT_MAX_FOLLOW_UPS, type PromptPair } from './prompts';
+import { DEFAULT_MAX_TOPICS } from '@shared/topicSettings';
+import { generateValidated, buildRetryMessage, type StructuredOutputSpec } from './structuredOutput';
+import { TOPICS_OUTPUT, validateTopics } from './topicSchema';
+import { FOLLOW_UPS_OUTPUT, validateFollowUps } from './followUpSchema';
+import type { LLMProvider, LLMCallOptions } from './types';
+
+/** モデル未指定時のデフォルトモデル */
+const DEFAULT_MODEL = 'claude-sonnet-4-5';
+
+/** max_tokens未指定時の上限（Anthropic APIでは必須パラメータ） */
+const DEFAULT_MAX_TOKENS = 4096;
+
+/**
+ * Anthropic Messages APIを使用したLLMプロバイダー
+ */
+export class AnthropicProvider implements LLMProvider {
+  private client: Anthropic;
+
+  /**
+   * AnthropicProviderを初期化する
+   * @param apiKey - Anthropic APIキー
+   */
+  constructor(apiKey: string) {
+    // リトライはメインプロセスのリトライ層（retry.ts）で行うため、SDK側では行わない
+    this.client = new Anthropic({ apiKey, maxRetries: 0 });
+  }
+
+  /**
+   * チャットリクエストを送信する
+   * systemロールのメッセージはAnthropicのsystemパラメータにまとめて渡す
+   * @param request - LLMリクエスト
+   * @param options - 呼び出しオプション（中断シグナルなど）
+   * @returns LLMレスポンス
+   */
+  async chat(request: LLMRequest, options: LLMCallOptions = {}): Promise<LLMResponse> {
+    const { system, messages } = toAnthropicMessages(request.messages);
+
+    const response = await this.client.messages.create({
+      model: request.model || DEFAULT_MODEL,
+      system: system || undefined,
+      messages,
+      temperature: request.temperature ?? 0.7,
+      max_tokens: request.maxTokens ?? DEFAULT_MAX_TOKENS
+    }, { signal: options.signal });
+
+    return {
+      content: extractText(response),
+      usage: toTokenUsage(response)
+    };
+  }
+
+  /**
+   * チャットリクエストをストリーミングで送信する
+   * @param request - LLMリクエスト
+   * @param onDelta - 差分テキストを受け取るコールバック
+   * @param options - 呼び出しオプション（中断シグナルなど）
+   * @returns 最終的なLLMレスポンス
+   */
+  async chatStream(request: LLMRequest, onDelta: (delta: string) => void, options: LLMCallOptions = {}): Promise<LLMResponse> {
+    const { system, messages } = toAnthropicMessages(request.messages);
+
+    const stream = this.client.messages.stream({
+      model: request.model || DEFAULT_MODEL,
+      system: system || undefined,
+      messages,
+      temperature: request.temperature ?? 0.7,
+      max_tokens: request.maxTokens ?? DEFAULT_MAX_TOKENS
+    }, { signal: options.signal });
+    stream.on('text', onDelta);
+
+    const response = await stream.finalMessage();
+    return {
+      content: extractText(response),
+      usage: toTokenUsage(response)
+    };
+  }
+
+  /**
+   * トピックを生成する
+   * @param request - トピック生成リクエスト
+   * @param options - 呼び出しオプション（中断シグナルなど）
+   * @returns 生成されたトピック配列と使用量
+   */
+  async generateTopics(request: GenerateTopicsRequest, options: LLMCallOptions = {}): Promise<GenerateTopicsResponse> {
+    const maxTopics = request.maxTopics || DEFAULT_MAX_TOPICS;
+    const { value, usage } = await this.requestStructured(
+      request.model, buildTopicsPrompt(request), TOPICS_OUTPUT, (text) => validateTopics(text, maxTopics), options
+    );
+    return { topics: value, usage };
+  }
+
+  /**
+   * 回答に対するフォローアップ質問を提案する
+   * @param request - フォローアップ質問の提案リクエスト
+   * @param options - 呼び出しオプション（中断シグナルなど）
+   * @returns 提案された質問文と使用量
+   */
+  async generateFollowUps(request: GenerateFollowUpsRequest, options: LLMCallOptions = {}): Promise<GenerateFollowUpsResponse> {
+    const maxQuestions = request.maxQuestions || DEFAULT_MAX_FOLLOW_UPS;
+    const { value, usage } = await this.requestStructured(
+      request.model, buildFollowUpsPrompt(request), FOLLOW_UPS_OUTPUT, (text) => validateFollowUps(text, maxQuestions), options
+    );
+    return { questions: value, usage };
+  }
+
+  /**
+   * 構造化出力（JSON）を要求し、検証済みの値を返す
+   * AnthropicにはJSONモードがないため、入力スキーマ付きのツール呼び出しを強制してその引数を受け取る
+   * 出力が不正な場合は1回だけ再要求する
+   */
+  private async requestStructured<T>(
+    model: string | undefined,
+    { systemPrompt, userPrompt }: PromptPair,
+    spec: StructuredOutputSpec,
+    validate: (text: string) => T,
+    options: LLMCallOptions
+  ): Promise<{ value: T; usage?: TokenUsage }> {
+    const toolName = `record_${spec.name}`;
+
+    return generateValidated(spec, validate, async (feedback) => {
+      const messages: Anthropic.MessageParam[] = [{ role: 'user', content: userPrompt }];
+      if (feedback) {
+        messages.push(
+          { role: 'assistant', content: feedback.previousOutput || '（出力なし）' },
+          { role: 'user', content: buildRetryMessage(spec, feedback) }
+        );
+      }
+
+      const response = await this.client.messages.create({
+        model: model || DEFAULT_MODEL,
+        system: systemPrompt,
+        messages,
+        tools: [{
+          name: toolName,
+          description: `${spec.label}の結果を記録する`,
+          input_schema: spec.schema as Anthropic.Tool.InputSchema
+        }],
+        tool_choice: { type: 'tool', name: toolName },
+        max_tokens: DEFAULT_MAX_TOKENS
+      }, { signal: options.signal });
+
+      const toolUse = response.content.find((block) => block.type === 'tool_use');
+      return {
+        text: toolUse ? JSON.stringify(toolUse.input) : extractText(response),
+        usage: toTokenUsage(response)
+      };
+    });
+  }
+
+  /**
+   * ノートの下書きを生成する
+   * @param request - ノート生成リクエスト
+   * @param options - 呼び出しオプション（中断シグナルなど）
+   * @returns 生成されたノートの内容と使用量
+   */
+  async generateNote(request: GenerateNoteRequest, options: LLMCallOptions = {}): Promise<GenerateTextResponse> {
+    const { systemPrompt, userPrompt } = buildNotePrompt(request);
+
+    const response = await this.client.messages.create({
+      model: request.model || DEFAULT_MODEL,
+      system: systemPrompt,
+      messages: [{ role: 'user', content: userPrompt }],
+      temperature: 0.7,
+      max_tokens: DEFAULT_MAX_TOKENS
+    }, { signal: options.signal });
+
+    return {
+      content: extractText(response),
+      usage: toTokenUsage(response)
+    };
+  }
+
+  /**
+   * サマリーを生成する
+   * @param request - サマリー生成リクエスト
+   * @param options - 呼び出しオプション（中断シグナルなど）
+   * @returns 生成されたサマリーと使用量
+   */
+  async generateSummary(request: GenerateSummaryRequest, options: LLMCallOptions = {}): Promise<GenerateTextResponse> {
+    const { systemPrompt, userPrompt } = buildSummaryPrompt(request);
+
+    const response = await this.client.messages.create({
+      model: request.model || DEFAULT_MODEL,
+      system: systemPrompt,
+      messages: [{ role: 'user', content: userPrompt }],
+      temperature: 0.7,
+      max_tokens: 2000
+    }, { signal: options.signal });
+
+    // コードブロックで囲まれている場合は除去
+    return {
+      content: stripMarkdownFence(extractText(response)),
+      usage: toTokenUsage(response)
+    };
+  }
+}
+
+/**
+ * 共通形式のメッセージ配列をAnthropic形式に変換する
+ * - systemロールはsystemパラメータへ集約（出現順に連結）
+ * - 同じロールが連続する場合は1つのメッセージに結合
+ * - 先頭がassistantの場合はAPIの制約に合わせてuserメッセージを補う
+ */
+function toAnthropicMessages(messages: LLMRequest['messages']): {
+  system: string;
+  messages: Anthropic.MessageParam[];
+} {
+  const systemParts: string[] = [];
+  const result: Anthropic.MessageParam[] = [];
+
+  for (const msg of messages) {
+    if (msg.role === 'system') {
+      systemParts.push(msg.content);
+      continue;
+    }
+
+    const last = result[result.length - 1];
+    if (last && last.role === msg.role) {
+      last.content = `${last.content}\n\n${msg.content}`;
+    } else {
+      result.push({ role: msg.role, content: msg.content });
+    }
+  }
+
+  if (result.length > 0 && result[0].role === 'assistant') {
+    result.unshift({ role: 'user', content: '（これまでの会話の続きです）' });
+  }
+
+  return { system: systemParts.join('\n\n'), messages: result };
+}
+
+/**
+ * レスポンスのテキストブロックを連結して取り出す
+ */
+function extractText(response: Anthropic.Message): string {
+  return response.content
+    .map((block) => (block.type === 'text' ? block.text : ''))
+    .join('');
+}
+
+/**
+ * レスポンスの使用量を共通形式に変換する
+ */
+function toTokenUsage(response: Anthropic.Message): TokenUsage {
+  return {
+    promptTokens: response.usage.input_tokens,
+    completionTokens: response.usage.output_tokens,
+    totalTokens: response.usage.input_tokens + response.usage.output_tokens
+  };
+}
@@ -0,0 +1,142 @@
+/**
+ * LLM呼び出しエラーの分類
+ * 各SDKの例外を共通のLLMErrorに変換し、リトライ可否と利用者向けの種別を判定する
+ */
+import type { LLMErrorKind, TokenUsage } from '@shared/types';
+import { encodeLLMError } from '@shared/llmError';
+
+/**
+ * 種別付きのLLMエラー
+ */
+export class LLMError extends Error {
+  /** エラー種別 */
+  readonly kind: LLMErrorKind;
+  /** HTTPステータス（取得できた場合） */
+  readonly status?: number;
+  /** Retry-Afterヘッダーで指示された待ち時間（ミリ秒） */
+  readonly retryAfterMs?: number;
+  /** 失敗までに発生した使用量（IPCハンドラで料金を付けて記録し、レンダラーへ渡す） */
+  usage?: TokenUsage;
+
+  constructor(
+    kind: LLMErrorKind,
+    message: string,
+    options: { status?: number; retryAfterMs?: number; usage?: TokenUsage } = {}
+  ) {
+    super(message);
+    this.name = 'LLMError';
+    this.kind = kind;
+    this.status = options.status;
+    this.retryAfterMs = options.retryAfterMs;
+    this.usage = options.usage;
+  }
+
+  /** リトライで解消する見込みがあるか（429のレート制限と5xx） */
+  get retryable(): boolean {
+    return this.kind === 'rateLimit' || this.kind === 'server';
+  }
+
+  /**
+   * IPCで送る例外に変換する（種別をメッセージに埋め込む）
+   */
+  toIpcError(): Error {
+    return new Error(encodeLLMError(this.kind, this.message, this.usage));
+  }
+}
+
+/** SDKの例外から参照するプロパティ（SDKごとに型が異なるため緩く扱う） */
+interface SdkErrorLike {
+  name?: string;
+  message?: string;
+  status?: number;
+  code?: string | null;
+  type?: string;
+  headers?: unknown;
+  cause?: { code?: string };
+}
+
+/** コンテキスト長超過を示すメッセージ（OpenAI / Anthropic / Gemini / ローカルLLM） */
+const CONTEXT_LENGTH_PATTERN = /context_length_exceeded|context length|context window|prompt is too long|too many tokens|maximum context/i;
+
+/** 残高・利用上限不足を示すメッセージ */
+const QUOTA_PATTERN = /insufficient_quota|billing|credit balance/i;
+
+/** 接続エラーを示すコード */
+const NETWORK_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'ETIMEDOUT', 'EAI_AGAIN', 'EHOSTUNREACH'];
+
+/**
+ * 任意の例外をLLMErrorに変換する
+ * @param error - SDKなどから投げられた例外
+ */
+export function toLLMError(error: unknown): LLMError {
+  if (error instanceof LLMError) return error;
+
+  const err = (error ?? {}) as SdkErrorLike;
+  const message = err.message || String(error);
+  const status = typeof err.status === 'number' ? err.status : undefined;
+  const detail = `${err.code ?? ''} ${err.type ?? ''} ${message}`;
+
+  if (status === 401 || status === 403) {
+    return new LLMError('auth', message, { status });
+  }
+  if (status === 429) {
+    // OpenAIは残高不足も429で返すため、メッセージで区別する
+    if (QUOTA_PATTERN.test(detail)) {
+      return new LLMError('quota', message, { status });
+    }
+    return new LLMError('rateLimit', message, { status, retryAfterMs: parseRetryAfter(err.headers) });
+  }
+  if (status === 402) {
+    return new LLMError('quota', message, { status });
+  }
+  if (CONTEXT_LENGTH_PATTERN.test(detail) && (status === undefined || status === 400 || status === 413)) {
+    return new LLMError('contextLength', message, { status });
+  }
+  if (status !== undefined && status >= 500) {
+    return new LLMError('server', message, { status, retryAfterMs: parseRetryAfter(err.headers) });
+  }
+  if (
+    err.name === 'APIConnectionError' ||
+    err.name === 'APIConnectionTimeoutError' ||
+    NETWORK_ERROR_CODES.includes(err.cause?.code ?? '') ||
+    /fetch failed|network|timed out/i.test(message)
+  ) {
+    return new LLMError('network', message);
+  }
+
+  return new LLMError('unknown', message, { status });
+}
+
+/**
+ * Retry-Afterヘッダーを待ち時間（ミリ秒）に変換する
+ * 秒数・HTTP日付のどちらの形式にも対応し、OpenAIの retry-after-ms も参照する
+ * @param headers - レスポンスヘッダー（HeadersまたはRecord）
+ */
+function parseRetryAfter(headers: unknown): number | undefined {
+  const retryAfterMs = getHeader(headers, 'retry-after-ms');
+  if (retryAfterMs && !Number.isNaN(Number(retryAfterMs))) {
+    return Number(retryAfterMs);
+  }
+
+  const retryAfter = getHeader(headers, 'retry-after');
+  if (!retryAfter) return undefined;
+
+  const seconds = Number(retryAfter);
+  if (!Number.isNaN(seconds)) {
+    return seconds * 1000;
+  }
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * ヘッダー値を取得する（Headersオブジェクトとプレーンオブジェクトの両方に対応）
+ */
+function getHeader(headers: unknown, name: string): string | undefined {
+  if (!headers || typeof headers !== 'object') return undefined;
+  if (typeof (headers as Headers).get === 'function') {
+    return (headers as Headers).get(name) ?? undefined;
+  }
+  const value = (headers as Record<string, unknown>)[name];
+  return typeof value === 'string' ? value : undefined;
+}
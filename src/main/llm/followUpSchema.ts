@@ -0,0 +1,59 @@
+/**
+ * フォローアップ質問の構造化出力
+ * JSONスキーマの定義と、LLM出力の検証・正規化を各プロバイダーで共有する
+ */
+import { OutputValidationError, parseJsonOutput, type StructuredOutputSpec } from './structuredOutput';
+import { MIN_FOLLOW_UPS } from './prompts';
+
+/**
+ * フォローアップ質問の出力定義
+ */
+export const FOLLOW_UPS_OUTPUT: StructuredOutputSpec = {
+  name: 'follow_up_questions',
+  label: 'フォローアップ質問の提案',
+  formatHint: '{"questions": [文字列]}',
+  schema: {
+    type: 'object',
+    properties: {
+      questions: {
+        type: 'array',
+        items: { type: 'string', description: 'そのまま送信できる一文の質問' }
+      }
+    },
+    required: ['questions'],
+    additionalProperties: false
+  }
+};
+
+/**
+ * LLMの出力を検証し、質問文の配列に正規化する
+ * - `{"questions": [...]}` 形式と配列そのものの両方を受け付ける
+ * - 前後の空白と先頭の番号・記号を除き、空のもの・重複を捨て、最大数を超えた分は切り捨てる
+ * - 有効な質問が最小数（最大数が最小数より小さい場合は最大数）に満たなければ不正とする
+ * @param content - LLMの出力テキスト
+ * @param maxQuestions - 質問の最大数
+ * @throws OutputValidationError JSONとして解釈できない・questions配列がない・有効な質問が最小数に満たない場合
+ */
+export function validateFollowUps(content: string, maxQuestions: number): string[] {
+  const parsed = parseJsonOutput(content);
+
+  const list = Array.isArray(parsed) ? parsed : (parsed as { questions?: unknown } | null)?.questions;
+  if (!Array.isArray(list)) {
+    throw new OutputValidationError('questions 配列がありません');
+  }
+
+  const questions = list
+    .filter((item): item is string => typeof item === 'string')
+    .map(question => question.trim().replace(/^(?:\d+[.)．]|[-*・])\s*/, '').trim())
+    .filter(question => question.length > 0);
+  const unique = Array.from(new Set(questions));
+  if (unique.length === 0) {
+    throw new OutputValidationError('質問が1つもありません');
+  }
+  const minQuestions = Math.min(MIN_FOLLOW_UPS, maxQuestions);
+  if (unique.length < minQuestions) {
+    throw new OutputValidationError(`質問が${unique.length}個しかありません（${minQuestions}個以上必要です）`);
+  }
+
+  return unique.slice(0, maxQuestions);
+}
@@ -0,0 +1,259 @@
+/**
+ * Google Gemini LLMプロバイダー
+ */
+import { GoogleGenAI } from '@google/genai';
+import type { Content, GenerateContentResponse } from '@google/genai';
+import type { LLMRequest, LLMResponse, GenerateTopicsRequest, GenerateTopicsResponse, GenerateFollowUpsRequest, GenerateFollowUpsResponse, GenerateNoteRequest, GenerateSummaryRequest, GenerateTextResponse } from '@shared/ipc';
+import { buildTopicsPrompt, buildFollowUpsPrompt, buildNotePrompt, buildSummaryPrompt, stripMarkdownFence, DEFAULT_MAX_FOLLOW_UPS, type PromptPair } from './prompts';
+import { DEFAULT_MAX_TOPICS } from '@shared/topicSettings';
+import { generateValidated, buildRetryMessage, type StructuredOutputSpec } from './structuredOutput';
+import { TOPICS_OUTPUT, validateTopics } from './topicSchema';
+import { FOLLOW_UPS_OUTPUT, validateFollowUps } from './followUpSchema';
+import type { TokenUsage } from '@shared/types';
+import type { LLMProvider, LLMCallOptions } from './types';
+
+/** モデル未指定時のデフォルトモデル */
+const DEFAULT_MODEL = 'gemini-2.5-flash';
+
+/**
+ * Google Gemini APIを使用したLLMプロバイダー
+ */
+export class GoogleProvider implements LLMProvider {
+  private client: GoogleGenAI;
+
+  /**
+   * GoogleProviderを初期化する
+   * @param apiKey - Google AI Studio APIキー
+   */
+  constructor(apiKey: string) {
+    this.client = new GoogleGenAI({ apiKey });
+  }
+
+  /**
+   * チャットリクエストを送信する
+   * systemロールのメッセージはsystemInstructionにまとめて渡す
+   * @param request - LLMリクエスト
+   * @param options - 呼び出しオプション（中断シグナルなど）
+   * @returns LLMレスポンス
+   */
+  async chat(request: LLMRequest, options: LLMCallOptions = {}): Promise<LLMResponse> {
+    const { systemInstruction, contents } = toGeminiContents(request.messages);
+
+    const response = await this.client.models.generateContent({
+      model: request.model || DEFAULT_MODEL,
+      contents,
+      config: {
+        abortSignal: options.signal,
+        systemInstruction: systemInstruction || undefined,
+        temperature: request.temperature ?? 0.7,
+        maxOutputTokens: request.maxTokens
+      }
+    });
+
+    return {
+      content: response.text || '',
+      usage: extractUsage(response)
+    };
+  }
+
+  /**
+   * チャットリクエストをストリーミングで送信する
+   * @param request - LLMリクエスト
+   * @param onDelta - 差分テキストを受け取るコールバック
+   * @param options - 呼び出しオプション（中断シグナルなど）
+   * @returns 最終的なLLMレスポンス
+   */
+  async chatStream(request: LLMRequest, onDelta: (delta: string) => void, options: LLMCallOptions = {}): Promise<LLMResponse> {
+    const { systemInstruction, contents } = toGeminiContents(request.messages);
+
+    const stream = await this.client.models.generateContentStream({
+      model: request.model || DEFAULT_MODEL,
+      contents,
+      config: {
+        abortSignal: options.signal,
+        systemInstruction: systemInstruction || undefined,
+        temperature: request.temperature ?? 0.7,
+        maxOutputTokens: request.maxTokens
+      }
+    });
+
+    let content = '';
+    let usage: LLMResponse['usage'];
+    for await (const chunk of stream) {
+      const delta = chunk.text;
+      if (delta) {
+        content += delta;
+        onDelta(delta);
+      }
+      // 使用量は最後のチャンクほど正確なので上書きしていく
+      usage = extractUsage(chunk) ?? usage;
+    }
+
+    return { content, usage };
+  }
+
+  /**
+   * トピックを生成する（JSONモード＋レスポンススキーマ）
+   * @param request - トピック生成リクエスト
+   * @param options - 呼び出しオプション（中断シグナルなど）
+   * @returns 生成されたトピック配列と使用量
+   */
+  async generateTopics(request: GenerateTopicsRequest, options: LLMCallOptions = {}): Promise<GenerateTopicsResponse> {
+    const maxTopics = request.maxTopics || DEFAULT_MAX_TOPICS;
+    const { value, usage } = await this.requestStructured(
+      request.model, buildTopicsPrompt(request), TOPICS_OUTPUT, (text) => validateTopics(text, maxTopics), options
+    );
+    return { topics: value, usage };
+  }
+
+  /**
+   * 回答に対するフォローアップ質問を提案する（JSONモード＋レスポンススキーマ）
+   * @param request - フォローアップ質問の提案リクエスト
+   * @param options - 呼び出しオプション（中断シグナルなど）
+   * @returns 提案された質問文と使用量
+   */
+  async generateFollowUps(request: GenerateFollowUpsRequest, options: LLMCallOptions = {}): Promise<GenerateFollowUpsResponse> {
+    const maxQuestions = request.maxQuestions || DEFAULT_MAX_FOLLOW_UPS;
+    const { value, usage } = await this.requestStructured(
+      request.model, buildFollowUpsPrompt(request), FOLLOW_UPS_OUTPUT, (text) => validateFollowUps(text, maxQuestions), options
+    );
+    return { questions: value, usage };
+  }
+
+  /**
+   * 構造化出力（JSON）を要求し、検証済みの値を返す
+   * 出力が不正な場合は1回だけ再要求する
+   */
+  private async requestStructured<T>(
+    model: string | undefined,
+    { systemPrompt, userPrompt }: PromptPair,
+    spec: StructuredOutputSpec,
+    validate: (text: string) => T,
+    options: LLMCallOptions
+  ): Promise<{ value: T; usage?: TokenUsage }> {
+    return generateValidated(spec, validate, async (feedback) => {
+      const contents: Content[] = [{ role: 'user', parts: [{ text: userPrompt }] }];
+      if (feedback) {
+        contents.push(
+          { role: 'model', parts: [{ text: feedback.previousOutput || '（出力なし）' }] },
+          { role: 'user', parts: [{ text: buildRetryMessage(spec, feedback) }] }
+        );
+      }
+
+      const response = await this.client.models.generateContent({
+        model: model || DEFAULT_MODEL,
+        contents,
+        config: {
+          abortSignal: options.signal,
+          systemInstruction: systemPrompt,
+          responseMimeType: 'application/json',
+          responseJsonSchema: spec.schema
+        }
+      });
+
+      return {
+        text: response.text || '',
+        usage: extractUsage(response)
+      };
+    });
+  }
+
+  /**
+   * ノートの下書きを生成する
+   * @param request - ノート生成リクエスト
+   * @param options - 呼び出しオプション（中断シグナルなど）
+   * @returns 生成されたノートの内容と使用量
+   */
+  async generateNote(request: GenerateNoteRequest, options: LLMCallOptions = {}): Promise<GenerateTextResponse> {
+    const { systemPrompt, userPrompt } = buildNotePrompt(request);
+
+    const response = await this.client.models.generateContent({
+      model: request.model || DEFAULT_MODEL,
+      contents: userPrompt,
+      config: {
+        abortSignal: options.signal,
+        systemInstruction: systemPrompt,
+        temperature: 0.7
+      }
+    });
+
+    return {
+      content: response.text || '',
+      usage: extractUsage(response)
+    };
+  }
+
+  /**
+   * サマリーを生成する
+   * @param request - サマリー生成リクエスト
+   * @param options - 呼び出しオプション（中断シグナルなど）
+   * @returns 生成されたサマリーと使用量
+   */
+  async generateSummary(request: GenerateSummaryRequest, options: LLMCallOptions = {}): Promise<GenerateTextResponse> {
+    const { systemPrompt, userPrompt } = buildSummaryPrompt(request);
+
+    const response = await this.client.models.generateContent({
+      model: request.model || DEFAULT_MODEL,
+      contents: userPrompt,
+      config: {
+        abortSignal: options.signal,
+        systemInstruction: systemPrompt,
+        temperature: 0.7,
+        maxOutputTokens: 2000
+      }
+    });
+
+    // コードブロックで囲まれている場合は除去
+    return {
+      content: stripMarkdownFence(response.text || ''),
+      usage: extractUsage(response)
+    };
+  }
+}
+
+/**
+ * 共通形式のメッセージ配列をGemini形式に変換する
+ * - systemロールはsystemInstructionへ集約（出現順に連結）
+ * - assistantロールはGeminiの"model"ロールに対応付け
+ * - 同じロールが連続する場合は1つのContentに結合
+ */
+function toGeminiContents(messages: LLMRequest['messages']): {
+  systemInstruction: string;
+  contents: Content[];
+} {
+  const systemParts: string[] = [];
+  const contents: Content[] = [];
+
+  for (const msg of messages) {
+    if (msg.role === 'system') {
+      systemParts.push(msg.content);
+      continue;
+    }
+
+    const role = msg.role === 'assistant' ? 'model' : 'user';
+    const last = contents[contents.length - 1];
+    if (last && last.role === role) {
+      last.parts = [...(last.parts || []), { text: msg.content }];
+    } else {
+      contents.push({ role, parts: [{ text: msg.content }] });
+    }
+  }
+
+  return { systemInstruction: systemParts.join('\n\n'), contents };
+}
+
+/**
+ * レスポンスからトークン使用量を取り出す
+ */
+function extractUsage(response: GenerateContentResponse): LLMResponse['usage'] {
+  const usage = response.usageMetadata;
+  if (!usage) return undefined;
+
+  const promptTokens = usage.promptTokenCount ?? 0;
+  const completionTokens = usage.candidatesTokenCount ?? 0;
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: usage.totalTokenCount ?? promptTokens + completionTokens
+  };
+}
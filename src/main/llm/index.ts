@@ -0,0 +1,43 @@
+/**
+ * 組み込みLLMプロバイダーの登録
+ * 新しいプロバイダーはクラスを実装し、ここに1行登録を追加する
+ */
+import { registerProvider } from './providerRegistry';
+import { LLMError } from './errors';
+import { OpenAIProvider } from './openaiProvider';
+import { AnthropicProvider } from './anthropicProvider';
+import { GoogleProvider } from './googleProvider';
+import { LocalProvider } from './localProvider';
+
+/**
+ * 組み込みプロバイダーをレジストリに登録する
+ */
+export function registerBuiltinProviders(): void {
+  registerProvider('openai', (settings) => {
+    if (!settings.openaiApiKey) {
+      throw new LLMError('auth', 'OpenAI APIキーが設定されていません');
+    }
+    return new OpenAIProvider(settings.openaiApiKey);
+  });
+
+  registerProvider('anthropic', (settings) => {
+    if (!settings.anthropicApiKey) {
+      throw new LLMError('auth', 'Anthropic APIキーが設定されていません');
+    }
+    return new AnthropicProvider(settings.anthropicApiKey);
+  });
+
+  registerProvider('google', (settings) => {
+    if (!settings.googleApiKey) {
+      throw new LLMError('auth', 'Google APIキーが設定されていません');
+    }
+    return new GoogleProvider(settings.googleApiKey);
+  });
+
+  registerProvider('local', (settings) => {
+    if (!settings.localEndpoint) {
+      throw new LLMError('network', 'ローカルエンドポイントが設定されていません');
+    }
+    return new LocalProvider(settings.localEndpoint, settings.localApiKey);
+  });
+}
@@ -0,0 +1,50 @@
+/**
+ * ローカルLLMプロバイダー
+ * Ollama / llama.cpp / LM Studio などのOpenAI互換エンドポイントに接続する
+ */
+import type OpenAI from 'openai';
+import type { ModelConfig } from '@shared/types';
+import { OpenAIProvider } from './openaiProvider';
+import type { StructuredOutputSpec } from './structuredOutput';
+
+/** 認証不要なエンドポイント向けのダミーAPIキー（SDKが空文字を受け付けないため） */
+const NO_AUTH_API_KEY = 'local';
+
+/** モデル一覧取得のタイムアウト（ミリ秒） */
+const LIST_MODELS_TIMEOUT_MS = 3000;
+
+/**
+ * OpenAI互換APIを使用したローカルLLMプロバイダー
+ * 通信先は設定されたエンドポイントのみで、外部サービスには送信しない
+ */
+export class LocalProvider extends OpenAIProvider {
+  /**
+   * LocalProviderを初期化する
+   * @param endpoint - OpenAI互換APIのベースURL（例: http://localhost:11434/v1）
+   * @param apiKey - 認証が必要な場合のAPIキー（省略可）
+   */
+  constructor(endpoint: string, apiKey?: string) {
+    super(apiKey || NO_AUTH_API_KEY, endpoint);
+  }
+
+  /**
+   * エンドポイントの /models から利用可能なモデル一覧を取得する
+   * @returns モデル設定の配列
+   */
+  async listModels(): Promise<ModelConfig[]> {
+    const page = await this.client.models.list({ timeout: LIST_MODELS_TIMEOUT_MS, maxRetries: 0 });
+    return page.data.map((model) => ({
+      id: model.id,
+      name: model.id,
+      description: model.owned_by ? `提供元: ${model.owned_by}` : undefined
+    }));
+  }
+
+  /**
+   * 構造化出力ではJSONモードのみ指定する
+   * サーバーによってJSONスキーマ指定への対応がまちまちなため、形式の検証と再要求に任せる
+   */
+  protected jsonResponseFormat(_spec: StructuredOutputSpec): OpenAI.ResponseFormatJSONObject {
+    return { type: 'json_object' };
+  }
+}
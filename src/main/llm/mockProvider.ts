@@ -0,0 +1,191 @@
+/**
+ * モックLLMプロバイダー
+ * APIを呼ばずに、記録済みの応答（なければリクエストから決まる定型の応答）を返す
+ * 同じリクエストには常に同じ応答を返すため、オフラインのデモや質問フローの再現に使える
+ */
+import type { LLMRequest, LLMResponse, GenerateTopicsRequest, GenerateTopicsResponse, GenerateFollowUpsRequest, GenerateFollowUpsResponse, GenerateNoteRequest, GenerateSummaryRequest, GenerateTextResponse, GeneratedTopic } from '@shared/ipc';
+import type { TokenUsage } from '@shared/types';
+import { estimateTokens } from '@shared/tokenEstimate';
+import { DEFAULT_MAX_TOPICS } from '@shared/topicSettings';
+import { DEFAULT_MAX_FOLLOW_UPS } from './prompts';
+import { loadRecording, type RecordedOperation } from './recordings';
+import { LLMError } from './errors';
+import { sleep } from './retry';
+import type { LLMProvider, LLMCallOptions } from './types';
+
+/** ストリーミングで1回に送る文字数 */
+const STREAM_CHUNK_SIZE = 8;
+
+/** ストリーミングの差分を送る間隔（ミリ秒） */
+const STREAM_INTERVAL_MS = 20;
+
+/** 定型の応答で見出しに使う文字数 */
+const HEADLINE_LENGTH = 30;
+
+/**
+ * 記録の再生と定型の応答を返すプロバイダー
+ */
+export class MockProvider implements LLMProvider {
+  /**
+   * @param recordingsDir - 記録フォルダ（記録モードで保存したもの）
+   */
+  constructor(private readonly recordingsDir: string) {}
+
+  async chat(request: LLMRequest, options: LLMCallOptions = {}): Promise<LLMResponse> {
+    throwIfAborted(options.signal);
+    return this.replay('chat', request, () => {
+      const content = cannedAnswer(request);
+      return { content, usage: estimateUsage(request.messages.map(m => m.content).join('\n'), content) };
+    });
+  }
+
+  async chatStream(request: LLMRequest, onDelta: (delta: string) => void, options: LLMCallOptions = {}): Promise<LLMResponse> {
+    const response = await this.chat(request, options);
+
+    // 実際のストリーミングと同じく少しずつ差分を送る（停止ボタンの動作も確認できるよう中断に応じる）
+    for (let i = 0; i < response.content.length; i += STREAM_CHUNK_SIZE) {
+      await sleep(STREAM_INTERVAL_MS, options.signal);
+      onDelta(response.content.slice(i, i + STREAM_CHUNK_SIZE));
+    }
+    return response;
+  }
+
+  async generateTopics(request: GenerateTopicsRequest, options: LLMCallOptions = {}): Promise<GenerateTopicsResponse> {
+    throwIfAborted(options.signal);
+    return this.replay('topics', request, () => {
+      const topics = cannedTopics(request.content, request.maxTopics || DEFAULT_MAX_TOPICS);
+      return { topics, usage: estimateUsage(`${request.context || ''}\n${request.content}`, JSON.stringify(topics)) };
+    });
+  }
+
+  async generateFollowUps(request: GenerateFollowUpsRequest, options: LLMCallOptions = {}): Promise<GenerateFollowUpsResponse> {
+    throwIfAborted(options.signal);
+    return this.replay('followUps', request, () => {
+      const questions = cannedFollowUps(request.content, request.maxQuestions || DEFAULT_MAX_FOLLOW_UPS);
+      return { questions, usage: estimateUsage(`${request.context || ''}\n${request.content}`, questions.join('\n')) };
+    });
+  }
+
+  async generateNote(request: GenerateNoteRequest, options: LLMCallOptions = {}): Promise<GenerateTextResponse> {
+    throwIfAborted(options.signal);
+    return this.replay('note', request, () => {
+      const content = [
+        `## ${headline(request.content)}`,
+        '',
+        '（モック応答）回答の要点をまとめたノートの例です。',
+        '',
+        ...splitSentences(request.content).slice(0, 3).map(sentence => `- ${sentence}`)
+      ].join('\n');
+      return { content, usage: estimateUsage(`${request.context || ''}\n${request.content}`, content) };
+    });
+  }
+
+  async generateSummary(request: GenerateSummaryRequest, options: LLMCallOptions = {}): Promise<GenerateTextResponse> {
+    throwIfAborted(options.signal);
+    return this.replay('summary', request, () => {
+      const pinned = request.nodes.filter(n => n.pin);
+      const content = [
+        '# サマリー（モック応答）',
+        '',
+        `${request.nodes.length}件のノードを要約した例です。`,
+        '',
+        '## 決定事項',
+        ...(pinned.length > 0 ? pinned.map(n => `- ${headline(n.title || n.content)}`) : ['- なし']),
+        '',
+        '## 主な論点',
+        ...request.nodes.slice(0, 5).map(n => `- ${headline(n.title || n.content)}`)
+      ].join('\n');
+      return { content, usage: estimateUsage(request.nodes.map(n => n.content).join('\n'), content) };
+    });
+  }
+
+  /**
+   * 記録済みの応答があればそれを返し、なければ定型の応答を返す
+   */
+  private async replay<T>(operation: RecordedOperation, request: object, fallback: () => T): Promise<T> {
+    const recorded = await loadRecording<T>(this.recordingsDir, operation, request);
+    if (recorded) {
+      return recorded;
+    }
+    console.log(`[MockLLM] No recording for ${operation}, using canned response`);
+    return fallback();
+  }
+}
+
+/**
+ * チャットの定型の応答（最後の質問・モデル・温度から決まる）
+ */
+function cannedAnswer(request: LLMRequest): string {
+  const question = [...request.messages].reverse().find(m => m.role === 'user')?.content || '';
+  const points = splitSentences(question);
+  return [
+    `## ${headline(question)}`,
+    '',
+    ...(points.length > 0 ? points : [headline(question)]).map((point, index) => `${index + 1}. ${point}`),
+    '',
+    `（モック応答 / モデル: ${request.model} / 温度: ${request.temperature ?? '既定'} / 会話の長さ: ${request.messages.length}件）`
+  ].join('\n');
+}
+
+/**
+ * トピックの定型の応答（回答の文ごとに1トピック、先頭ほど重要度を高くする）
+ */
+function cannedTopics(content: string, maxTopics: number): GeneratedTopic[] {
+  const sentences = Array.from(new Set(splitSentences(content)));
+  return (sentences.length > 0 ? sentences : [headline(content)])
+    .slice(0, maxTopics)
+    .map((sentence, index) => ({
+      title: headline(sentence),
+      description: sentence,
+      importance: Math.max(1, 5 - index) as 1 | 2 | 3 | 4 | 5,
+      tags: ['mock']
+    }));
+}
+
+/**
+ * フォローアップ質問の定型の応答（回答の見出しから作る）
+ */
+function cannedFollowUps(content: string, maxQuestions: number): string[] {
+  const subject = headline(content);
+  return [
+    `「${subject}」の具体例を教えてください`,
+    `「${subject}」を進めるうえでの注意点は何ですか？`,
+    `「${subject}」の代わりになる方法はありますか？`
+  ].slice(0, Math.max(1, maxQuestions));
+}
+
+/**
+ * 入出力のテキストから使用量を概算する（料金はモックモードでは付けない）
+ */
+function estimateUsage(promptText: string, completionText: string): TokenUsage {
+  const promptTokens = estimateTokens(promptText);
+  const completionTokens = estimateTokens(completionText);
+  return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+}
+
+/**
+ * テキストを文・行に分ける（Markdownの記号は除く）
+ */
+function splitSentences(text: string): string[] {
+  return text
+    .split(/[\n。！？!?]/)
+    .map(line => line.replace(/^[\s#>*\-\d.)]+/, '').replace(/[*`_]/g, '').trim())
+    .filter(line => line.length > 0);
+}
+
+/**
+ * テキストの先頭を見出しとして切り出す
+ */
+function headline(text: string): string {
+  const first = splitSentences(text)[0] || 'この内容';
+  return first.length > HEADLINE_LENGTH ? `${first.slice(0, HEADLINE_LENGTH)}…` : first;
+}
+
+/**
+ * 中断済みなら例外を投げる
+ */
+function throwIfAborted(signal?: AbortSignal): void {
+  if (signal?.aborted) {
+    throw new LLMError('cancelled', 'リクエストはキャンセルされました');
+  }
+}
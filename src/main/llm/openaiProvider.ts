@@ -2,28 +2,38 @@
  * OpenAI LLMプロバイダー
  */
 import OpenAI from 'openai';
-import type { LLMRequest, LLMResponse, GenerateTopicsRequest, GeneratedTopic, GenerateNoteRequest, GenerateSummaryRequest } from '@shared/ipc';
+import type { LLMRequest, LLMResponse, GenerateTopicsRequest, GenerateTopicsResponse, GenerateFollowUpsRequest, GenerateFollowUpsResponse, GenerateNoteRequest, GenerateSummaryRequest, GenerateTextResponse } from '@shared/ipc';
+import type { TokenUsage } from '@shared/types';
+import { buildTopicsPrompt, buildFollowUpsPrompt, buildNotePrompt, buildSummaryPrompt, stripMarkdownFence, DEFAULT_MAX_FOLLOW_UPS, type PromptPair } from './prompts';
+import { DEFAULT_MAX_TOPICS } from '@shared/topicSettings';
+import { generateValidated, buildRetryMessage, type StructuredOutputSpec } from './structuredOutput';
+import { TOPICS_OUTPUT, validateTopics } from './topicSchema';
+import { FOLLOW_UPS_OUTPUT, validateFollowUps } from './followUpSchema';
+import type { LLMProvider, LLMCallOptions } from './types';
 
 /**
  * OpenAI APIを使用したLLMプロバイダー
  */
-export class OpenAIProvider {
-  private client: OpenAI;
+export class OpenAIProvider implements LLMProvider {
+  protected client: OpenAI;
 
   /**
    * OpenAIProviderを初期化する
    * @param apiKey - OpenAI APIキー
+   * @param baseURL - APIのベースURL（OpenAI互換エンドポイントを使う場合のみ指定）
    */
-  constructor(apiKey: string) {
-    this.client = new OpenAI({ apiKey });
+  constructor(apiKey: string, baseURL?: string) {
+    // リトライはメインプロセスのリトライ層（retry.ts）で行うため、SDK側では行わない
+    this.client = new OpenAI({ apiKey, baseURL, maxRetries: 0 });
   }
 
   /**
    * チャットリクエストを送信する
    * @param request - LLMリクエスト
+   * @param options - 呼び出しオプション（中断シグナルなど）
    * @returns LLMレスポンス
    */
-  async chat(request: LLMRequest): Promise<LLMResponse> {
+  async chat(request: LLMRequest, options: LLMCallOptions = {}): Promise<LLMResponse> {
     const response = await this.client.chat.completions.create({
       model: request.model || 'gpt-5-mini',
       messages: request.messages.map((msg) => ({
@@ -32,74 +42,138 @@ export class OpenAIProvider {
       })),
       temperature: request.temperature ?? 0.7,
       max_tokens: request.maxTokens
-    });
+    }, { signal: options.signal });
 
     const choice = response.choices[0];
     const content = choice?.message?.content || '';
     
     return {
       content,
-      usage: response.usage ? {
-        promptTokens: response.usage.prompt_tokens,
-        completionTokens: response.usage.completion_tokens,
-        totalTokens: response.usage.total_tokens
-      } : undefined
+      usage: toTokenUsage(response.usage)
     };
   }
 
   /**
-   * トピックを生成する
-   * @param request - トピック生成リクエスト
-   * @returns 生成されたトピック配列
+   * チャットリクエストをストリーミングで送信する
+   * @param request - LLMリクエスト
+   * @param onDelta - 差分テキストを受け取るコールバック
+   * @param options - 呼び出しオプション（中断シグナルなど）
+   * @returns 最終的なLLMレスポンス
    */
-  async generateTopics(request: GenerateTopicsRequest): Promise<GeneratedTopic[]> {
-    const maxTopics = request.maxTopics || 5;
-    const systemPrompt = `あなたは思考整理の専門家です。与えられた内容からトピックを抽出してください。
-各トピックは以下のJSON形式で出力してください：
-{
-  "title": "トピックのタイトル（簡潔に）",
-  "description": "トピックの説明（省略可）",
-  "importance": 1-5の重要度,
-  "tags": ["タグ1", "タグ2"]
-}
+  async chatStream(request: LLMRequest, onDelta: (delta: string) => void, options: LLMCallOptions = {}): Promise<LLMResponse> {
+    const stream = await this.client.chat.completions.create({
+      model: request.model || 'gpt-5-mini',
+      messages: request.messages.map((msg) => ({
+        role: msg.role,
+        content: msg.content
+      })),
+      temperature: request.temperature ?? 0.7,
+      max_tokens: request.maxTokens,
+      stream: true,
+      stream_options: { include_usage: true }
+    }, { signal: options.signal });
+
+    let content = '';
+    let usage: LLMResponse['usage'];
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0]?.delta?.content;
+      if (delta) {
+        content += delta;
+        onDelta(delta);
+      }
+      // include_usage指定時は最後のチャンクに使用量が入る
+      if (chunk.usage) {
+        usage = toTokenUsage(chunk.usage);
+      }
+    }
 
-最大${maxTopics}個のトピックを配列形式で返してください。`;
+    return { content, usage };
+  }
 
-    const userPrompt = request.context
-      ? `以下の文脈を踏まえて：\n${request.context}\n\n次の内容からトピックを抽出：\n${request.content}`
-      : `次の内容からトピックを抽出：\n${request.content}`;
+  /**
+   * トピックを生成する（Structured Outputsのstrictモードでスキーマに沿わせる）
+   * @param request - トピック生成リクエスト
+   * @param options - 呼び出しオプション（中断シグナルなど）
+   * @returns 生成されたトピック配列と使用量
+   */
+  async generateTopics(request: GenerateTopicsRequest, options: LLMCallOptions = {}): Promise<GenerateTopicsResponse> {
+    const maxTopics = request.maxTopics || DEFAULT_MAX_TOPICS;
+    const { value, usage } = await this.requestStructured(
+      request.model, buildTopicsPrompt(request), TOPICS_OUTPUT, (text) => validateTopics(text, maxTopics), options
+    );
+    return { topics: value, usage };
+  }
 
-    const response = await this.client.chat.completions.create({
-      model: request.model || 'gpt-5-mini',
-      messages: [
+  /**
+   * 回答に対するフォローアップ質問を提案する（Structured Outputsのstrictモードでスキーマに沿わせる）
+   * @param request - フォローアップ質問の提案リクエスト
+   * @param options - 呼び出しオプション（中断シグナルなど）
+   * @returns 提案された質問文と使用量
+   */
+  async generateFollowUps(request: GenerateFollowUpsRequest, options: LLMCallOptions = {}): Promise<GenerateFollowUpsResponse> {
+    const maxQuestions = request.maxQuestions || DEFAULT_MAX_FOLLOW_UPS;
+    const { value, usage } = await this.requestStructured(
+      request.model, buildFollowUpsPrompt(request), FOLLOW_UPS_OUTPUT, (text) => validateFollowUps(text, maxQuestions), options
+    );
+    return { questions: value, usage };
+  }
+
+  /**
+   * 構造化出力（JSON）を要求し、検証済みの値を返す
+   * 出力が不正な場合は1回だけ再要求する
+   */
+  private async requestStructured<T>(
+    model: string | undefined,
+    { systemPrompt, userPrompt }: PromptPair,
+    spec: StructuredOutputSpec,
+    validate: (text: string) => T,
+    options: LLMCallOptions
+  ): Promise<{ value: T; usage?: TokenUsage }> {
+    return generateValidated(spec, validate, async (feedback) => {
+      const messages: OpenAI.Chat.ChatCompletionMessageParam[] = [
         { role: 'system', content: systemPrompt },
         { role: 'user', content: userPrompt }
-      ],
-      response_format: { type: 'json_object' }
+      ];
+      if (feedback) {
+        messages.push(
+          { role: 'assistant', content: feedback.previousOutput || '（出力なし）' },
+          { role: 'user', content: buildRetryMessage(spec, feedback) }
+        );
+      }
+
+      const response = await this.client.chat.completions.create({
+        model: model || 'gpt-5-mini',
+        messages,
+        response_format: this.jsonResponseFormat(spec)
+      }, { signal: options.signal });
+
+      return {
+        text: response.choices[0]?.message?.content || '',
+        usage: toTokenUsage(response.usage)
+      };
     });
+  }
 
-    const content = response.choices[0]?.message?.content || '{"topics": []}';
-    
-    try {
-      const parsed = JSON.parse(content);
-      return parsed.topics || [];
-    } catch {
-      return [];
-    }
+  /**
+   * 構造化出力で指定する出力形式
+   * 互換エンドポイントでスキーマ指定に対応していない場合はサブクラスで上書きする
+   * @param spec - 構造化出力の定義
+   */
+  protected jsonResponseFormat(spec: StructuredOutputSpec): OpenAI.ResponseFormatJSONSchema | OpenAI.ResponseFormatJSONObject {
+    return {
+      type: 'json_schema',
+      json_schema: { name: spec.name, strict: true, schema: spec.schema }
+    };
   }
 
   /**
    * ノートの下書きを生成する
    * @param request - ノート生成リクエスト
-   * @returns 生成されたノートの内容
+   * @param options - 呼び出しオプション（中断シグナルなど）
+   * @returns 生成されたノートの内容と使用量
    */
-  async generateNote(request: GenerateNoteRequest): Promise<string> {
-    const systemPrompt = `あなたは思考整理の専門家です。与えられた内容から、決定事項や重要なポイントをまとめたメモを作成してください。
-簡潔で分かりやすい箇条書き形式を推奨します。`;
-
-    const userPrompt = request.context
-      ? `以下の文脈を踏まえて：\n${request.context}\n\n次の内容をまとめてください：\n${request.content}`
-      : `次の内容をまとめてください：\n${request.content}`;
+  async generateNote(request: GenerateNoteRequest, options: LLMCallOptions = {}): Promise<GenerateTextResponse> {
+    const { systemPrompt, userPrompt } = buildNotePrompt(request);
 
     const response = await this.client.chat.completions.create({
       model: request.model || 'gpt-5-mini',
@@ -108,71 +182,22 @@ export class OpenAIProvider {
         { role: 'user', content: userPrompt }
       ],
       temperature: 0.7
-    });
+    }, { signal: options.signal });
 
-    return response.choices[0]?.message?.content || '';
+    return {
+      content: response.choices[0]?.message?.content || '',
+      usage: toTokenUsage(response.usage)
+    };
   }
 
   /**
    * サマリーを生成する
    * @param request - サマリー生成リクエスト
-   * @returns 生成されたサマリー
+   * @param options - 呼び出しオプション（中断シグナルなど）
+   * @returns 生成されたサマリーと使用量
    */
-  async generateSummary(request: GenerateSummaryRequest): Promise<string> {
-    // ノードをスコアリングしてソート
-    const scoredNodes = request.nodes.map(node => {
-      let score = (node.importance || 3) * 10;
-      if (node.pin) score += 100;
-      if (node.type === 'note') score += 10;
-      if (node.type === 'topic') score += 5;
-      return { node, score };
-    }).sort((a, b) => b.score - a.score);
-
-    // 上位ノードを選択（最大20件）
-    const topNodes = scoredNodes.slice(0, 20).map(s => s.node);
-
-    const systemPrompt = `あなたは思考整理の専門家です。与えられたノード情報から、以下の観点で要約を作成してください：
-
-1. **重要なトピック**: 検討されている主要なテーマ
-2. **決定事項**: 📌ピン留めされたノードから抽出（ピン留め = 確定・決定を意味する）
-3. **メモ・検討内容**: noteノードの内容を要約
-4. **未解決の課題**: topicノードから抽出
-5. **次のアクション**: 今後検討すべき事項
-
-各セクションは該当する情報がある場合のみ出力してください。
-簡潔で分かりやすいMarkdown形式で出力してください。
-重要: \`\`\`markdown などのコードブロックで囲まないでください。直接Markdownを出力してください。`;
-
-    const nodesInfo = topNodes.map(node => {
-      const metadata = [];
-      if (node.pin) metadata.push('📌ピン留め');
-      if (node.importance && node.importance >= 4) metadata.push(`重要度:${node.importance}`);
-      if (node.tags && node.tags.length > 0) metadata.push(`タグ:${node.tags.join(',')}`);
-      
-      return `## [${node.type}] ${node.title || '無題'}
-${metadata.length > 0 ? `**メタ情報**: ${metadata.join(' / ')}\n` : ''}
-**内容**: ${node.content.substring(0, 300)}${node.content.length > 300 ? '...' : ''}
-`;
-    }).join('\n---\n\n');
-
-    const scopeDescription = request.scope === 'board' 
-      ? 'ボード全体' 
-      : '選択されたノード配下';
-
-    const userPrompt = `${scopeDescription}の情報から要約を作成してください：
-
-${nodesInfo}`;
-
-    // デバッグ用: LLMに送るプロンプトをログ出力
-    console.group('📋 [Main] Summary LLM Request');
-    console.log('Scope:', request.scope);
-    console.log('Original Nodes Count:', request.nodes.length);
-    console.log('Top Nodes Count (after scoring):', topNodes.length);
-    console.log('--- System Prompt ---');
-    console.log(systemPrompt);
-    console.log('--- User Prompt ---');
-    console.log(userPrompt);
-    console.groupEnd();
+  async generateSummary(request: GenerateSummaryRequest, options: LLMCallOptions = {}): Promise<GenerateTextResponse> {
+    const { systemPrompt, userPrompt } = buildSummaryPrompt(request);
 
     const response = await this.client.chat.completions.create({
       model: request.model || 'gpt-5-mini',
@@ -182,13 +207,24 @@ ${nodesInfo}`;
       ],
       temperature: 0.7,
       max_tokens: 2000
-    });
+    }, { signal: options.signal });
 
-    let content = response.choices[0]?.message?.content || '';
-    
     // コードブロックで囲まれている場合は除去
-    content = content.replace(/^```(?:markdown)?\n?/i, '').replace(/\n?```$/i, '');
-    
-    return content;
+    return {
+      content: stripMarkdownFence(response.choices[0]?.message?.content || ''),
+      usage: toTokenUsage(response.usage)
+    };
   }
 }
+
+/**
+ * OpenAI形式の使用量を共通形式に変換する
+ */
+function toTokenUsage(usage: OpenAI.CompletionUsage | null | undefined): TokenUsage | undefined {
+  if (!usage) return undefined;
+  return {
+    promptTokens: usage.prompt_tokens,
+    completionTokens: usage.completion_tokens,
+    totalTokens: usage.total_tokens
+  };
+}
@@ -0,0 +1,139 @@
+/**
+ * LLMプロバイダー共通のプロンプト定義
+ * トピック・フォローアップ質問・ノート・サマリー生成のプロンプトを各プロバイダーで共有する
+ * 文言はテンプレート（リクエストに解決済みのものが添付される。未添付なら既定）から組み立てる
+ */
+import type { GenerateTopicsRequest, GenerateFollowUpsRequest, GenerateNoteRequest, GenerateSummaryRequest } from '@shared/ipc';
+import { DEFAULT_PROMPT_TEMPLATES, renderPromptTemplate } from '@shared/promptTemplates';
+import { DEFAULT_MAX_TOPICS } from '@shared/topicSettings';
+
+/** 提案するフォローアップ質問の最大数の既定値 */
+export const DEFAULT_MAX_FOLLOW_UPS = 4;
+
+/** 提案するフォローアップ質問の最小数（既定のプロンプトの「2〜N個」に合わせる） */
+export const MIN_FOLLOW_UPS = 2;
+
+/**
+ * system / user プロンプトの組
+ */
+export interface PromptPair {
+  systemPrompt: string;
+  userPrompt: string;
+}
+
+/**
+ * トピック生成用のプロンプトを組み立てる
+ * @param request - トピック生成リクエスト
+ */
+export function buildTopicsPrompt(request: GenerateTopicsRequest): PromptPair {
+  const template = request.promptTemplate || DEFAULT_PROMPT_TEMPLATES.topics;
+  const variables = {
+    content: request.content,
+    context: request.context,
+    maxTopics: request.maxTopics || DEFAULT_MAX_TOPICS
+  };
+
+  return {
+    systemPrompt: renderPromptTemplate(template.system, variables),
+    userPrompt: renderPromptTemplate(template.user, variables)
+  };
+}
+
+/**
+ * フォローアップ質問の提案用のプロンプトを組み立てる
+ * @param request - フォローアップ質問の提案リクエスト
+ */
+export function buildFollowUpsPrompt(request: GenerateFollowUpsRequest): PromptPair {
+  const template = request.promptTemplate || DEFAULT_PROMPT_TEMPLATES.followUps;
+  const variables = {
+    content: request.content,
+    context: request.context,
+    maxQuestions: request.maxQuestions || DEFAULT_MAX_FOLLOW_UPS
+  };
+
+  return {
+    systemPrompt: renderPromptTemplate(template.system, variables),
+    userPrompt: renderPromptTemplate(template.user, variables)
+  };
+}
+
+/**
+ * ノート生成用のプロンプトを組み立てる
+ * @param request - ノート生成リクエスト
+ */
+export function buildNotePrompt(request: GenerateNoteRequest): PromptPair {
+  const template = request.promptTemplate || DEFAULT_PROMPT_TEMPLATES.note;
+  const variables = {
+    content: request.content,
+    context: request.context
+  };
+
+  return {
+    systemPrompt: renderPromptTemplate(template.system, variables),
+    userPrompt: renderPromptTemplate(template.user, variables)
+  };
+}
+
+/**
+ * サマリー生成用のプロンプトを組み立てる
+ * ノードをスコアリングし、上位20件のみをプロンプトに含める
+ * @param request - サマリー生成リクエスト
+ */
+export function buildSummaryPrompt(request: GenerateSummaryRequest): PromptPair {
+  // ノードをスコアリングしてソート
+  const scoredNodes = request.nodes.map(node => {
+    let score = (node.importance || 3) * 10;
+    if (node.pin) score += 100;
+    if (node.type === 'note') score += 10;
+    if (node.type === 'topic') score += 5;
+    return { node, score };
+  }).sort((a, b) => b.score - a.score);
+
+  // 上位ノードを選択（最大20件）
+  const topNodes = scoredNodes.slice(0, 20).map(s => s.node);
+
+  const nodesInfo = topNodes.map(node => {
+    const metadata = [];
+    if (node.pin) metadata.push('📌ピン留め');
+    if (node.importance && node.importance >= 4) metadata.push(`重要度:${node.importance}`);
+    if (node.tags && node.tags.length > 0) metadata.push(`タグ:${node.tags.join(',')}`);
+
+    return `## [${node.type}] ${node.title || '無題'}
+${metadata.length > 0 ? `**メタ情報**: ${metadata.join(' / ')}\n` : ''}
+**内容**: ${node.content.substring(0, 300)}${node.content.length > 300 ? '...' : ''}
+`;
+  }).join('\n---\n\n');
+
+  const scopeDescription = request.scope === 'board'
+    ? 'ボード全体'
+    : '選択されたノード配下';
+
+  const template = request.promptTemplate || DEFAULT_PROMPT_TEMPLATES.summary;
+  const variables = {
+    scope: scopeDescription,
+    nodes: nodesInfo
+  };
+  const systemPrompt = renderPromptTemplate(template.system, variables);
+  const userPrompt = renderPromptTemplate(template.user, variables);
+
+  // デバッグ用: LLMに送るプロンプトをログ出力
+  console.group('📋 [Main] Summary LLM Request');
+  console.log('Scope:', request.scope);
+  console.log('Original Nodes Count:', request.nodes.length);
+  console.log('Top Nodes Count (after scoring):', topNodes.length);
+  console.log('--- System Prompt ---');
+  console.log(systemPrompt);
+  console.log('--- User Prompt ---');
+  console.log(userPrompt);
+  console.groupEnd();
+
+  return { systemPrompt, userPrompt };
+}
+
+/**
+ * サマリー出力からコードブロックの囲みを除去する
+ * @param content - LLMの出力テキスト
+ */
+export function stripMarkdownFence(content: string): string {
+  return content.replace(/^```(?:markdown)?\n?/i, '').replace(/\n?```$/i, '');
+}
@@ -0,0 +1,52 @@
+/**
+ * LLMプロバイダーのレジストリ
+ * プロバイダー種別ごとにファクトリを登録し、生成したインスタンスをキャッシュする
+ */
+import type { AppSettings } from '@shared/ipc';
+import type { Provider } from '@shared/types';
+import type { LLMProvider, LLMProviderFactory } from './types';
+
+/** 登録済みのファクトリ */
+const factories = new Map<Provider, LLMProviderFactory>();
+
+/** 生成済みインスタンスのキャッシュ */
+const instances = new Map<Provider, LLMProvider>();
+
+/**
+ * プロバイダーを登録する
+ * @param provider - プロバイダー種別
+ * @param factory - インスタンスを生成するファクトリ
+ */
+export function registerProvider(provider: Provider, factory: LLMProviderFactory): void {
+  factories.set(provider, factory);
+  instances.delete(provider);
+}
+
+/**
+ * プロバイダーのインスタンスを取得する（未生成なら生成してキャッシュ）
+ * @param provider - プロバイダー種別
+ * @param settings - アプリ設定
+ */
+export function getProvider(provider: Provider, settings: AppSettings): LLMProvider {
+  const cached = instances.get(provider);
+  if (cached) {
+    return cached;
+  }
+
+  const factory = factories.get(provider);
+  if (!factory) {
+    throw new Error(`未知のプロバイダー: ${provider}`);
+  }
+
+  const instance = factory(settings);
+  instances.set(provider, instance);
+  return instance;
+}
+
+/**
+ * キャッシュ済みのインスタンスをすべて破棄する
+ * APIキーやエンドポイントの変更時に呼び出す
+ */
+export function resetProviders(): void {
+  instances.clear();
+}
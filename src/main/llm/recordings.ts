@@ -0,0 +1,149 @@
+/**
+ * LLM呼び出しの記録と再生
+ * 記録モードでは実際のリクエストと応答の組をフォルダに1件1ファイルで保存し、
+ * モックモードでは同じリクエストに対して保存した応答を返す
+ */
+import { createHash } from 'crypto';
+import { readFile, writeFile, mkdir, rename } from 'fs/promises';
+import { join } from 'path';
+import type { LLMRequest, LLMResponse, GenerateTopicsRequest, GenerateTopicsResponse, GenerateFollowUpsRequest, GenerateFollowUpsResponse, GenerateNoteRequest, GenerateSummaryRequest, GenerateTextResponse } from '@shared/ipc';
+import type { LLMProvider, LLMCallOptions } from './types';
+
+/** 記録する呼び出しの種類（ストリーミングと通常のチャットは同じ記録を使う） */
+export type RecordedOperation = 'chat' | 'topics' | 'followUps' | 'note' | 'summary';
+
+/**
+ * 記録ファイルの内容
+ */
+export interface LLMRecording {
+  operation: RecordedOperation;
+  /** リクエストから求めた照合用のキー */
+  key: string;
+  /** ISO8601形式 */
+  recordedAt: string;
+  request: unknown;
+  response: unknown;
+}
+
+/** 照合に使わないリクエストの項目（呼び出しごとに変わり、応答に影響しないもの） */
+const IGNORED_REQUEST_FIELDS = new Set(['requestId', 'budget']);
+
+/**
+ * リクエストから照合用のキーを求める
+ * 項目の並び順に左右されないよう、キーを並べ替えて直列化したもののハッシュを使う
+ * @param operation - 呼び出しの種類
+ * @param request - リクエスト
+ */
+export function recordingKey(operation: RecordedOperation, request: object): string {
+  const normalized = Object.fromEntries(
+    Object.entries(request).filter(([field]) => !IGNORED_REQUEST_FIELDS.has(field))
+  );
+  return createHash('sha256')
+    .update(`${operation}\n${stableStringify(normalized)}`)
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * 記録済みの応答を読み込む
+ * @param dir - 記録フォルダ
+ * @param operation - 呼び出しの種類
+ * @param request - リクエスト
+ * @returns 記録済みの応答（なければnull）
+ */
+export async function loadRecording<T>(dir: string, operation: RecordedOperation, request: object): Promise<T | null> {
+  const key = recordingKey(operation, request);
+  try {
+    const data = await readFile(join(dir, `${operation}-${key}.json`), 'utf-8');
+    return (JSON.parse(data) as LLMRecording).response as T;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * リクエストと応答の組を記録する（同じリクエストの記録は上書きする）
+ * @param dir - 記録フォルダ
+ * @param operation - 呼び出しの種類
+ * @param request - リクエスト
+ * @param response - 応答
+ */
+export async function saveRecording(dir: string, operation: RecordedOperation, request: object, response: object): Promise<void> {
+  const key = recordingKey(operation, request);
+  const recording: LLMRecording = {
+    operation,
+    key,
+    recordedAt: new Date().toISOString(),
+    request: Object.fromEntries(Object.entries(request).filter(([field]) => !IGNORED_REQUEST_FIELDS.has(field))),
+    response
+  };
+
+  // 書き込み途中の記録を再生で読まないよう、一時ファイルに書いてから置き換える
+  await mkdir(dir, { recursive: true });
+  const filePath = join(dir, `${operation}-${key}.json`);
+  await writeFile(`${filePath}.tmp`, JSON.stringify(recording, null, 2), 'utf-8');
+  await rename(`${filePath}.tmp`, filePath);
+}
+
+/**
+ * 実際のプロバイダーを呼び出し、リクエストと応答の組を記録するプロバイダー
+ * 失敗・中断した呼び出しは記録しない。記録の保存に失敗しても応答はそのまま返す
+ */
+export class RecordingProvider implements LLMProvider {
+  constructor(
+    private readonly inner: LLMProvider,
+    private readonly dir: string
+  ) {}
+
+  async chat(request: LLMRequest, options?: LLMCallOptions): Promise<LLMResponse> {
+    return this.record('chat', request, await this.inner.chat(request, options));
+  }
+
+  async chatStream(request: LLMRequest, onDelta: (delta: string) => void, options?: LLMCallOptions): Promise<LLMResponse> {
+    return this.record('chat', request, await this.inner.chatStream(request, onDelta, options));
+  }
+
+  async generateTopics(request: GenerateTopicsRequest, options?: LLMCallOptions): Promise<GenerateTopicsResponse> {
+    return this.record('topics', request, await this.inner.generateTopics(request, options));
+  }
+
+  async generateFollowUps(request: GenerateFollowUpsRequest, options?: LLMCallOptions): Promise<GenerateFollowUpsResponse> {
+    return this.record('followUps', request, await this.inner.generateFollowUps(request, options));
+  }
+
+  async generateNote(request: GenerateNoteRequest, options?: LLMCallOptions): Promise<GenerateTextResponse> {
+    return this.record('note', request, await this.inner.generateNote(request, options));
+  }
+
+  async generateSummary(request: GenerateSummaryRequest, options?: LLMCallOptions): Promise<GenerateTextResponse> {
+    return this.record('summary', request, await this.inner.generateSummary(request, options));
+  }
+
+  /**
+   * 応答を記録してそのまま返す
+   */
+  private async record<T extends object>(operation: RecordedOperation, request: object, response: T): Promise<T> {
+    try {
+      await saveRecording(this.dir, operation, request, response);
+    } catch (error) {
+      console.warn(`[LLM] Failed to record ${operation} response:`, error);
+    }
+    return response;
+  }
+}
+
+/**
+ * キーを並べ替えてJSONに直列化する
+ */
+function stableStringify(value: unknown): string {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value as Record<string, unknown>)
+      .filter(([, v]) => v !== undefined)
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    return `{${entries.map(([k, v]) => `${JSON.stringify(k)}:${stableStringify(v)}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
@@ -0,0 +1,85 @@
+/**
+ * LLM呼び出しのリトライ
+ * 429（レート制限）と5xxを指数バックオフで再試行する
+ */
+import { LLMError, toLLMError } from './errors';
+
+/** 最大リトライ回数（初回の呼び出しは含まない） */
+const MAX_RETRIES = 3;
+
+/** バックオフの初期待ち時間（ミリ秒） */
+const BASE_DELAY_MS = 1000;
+
+/** 1回あたりの待ち時間の上限（ミリ秒）。Retry-Afterがこれより長い場合は諦める */
+const MAX_DELAY_MS = 60_000;
+
+/**
+ * リトライのオプション
+ */
+export interface RetryOptions {
+  /** 中断用のシグナル（待機中にabortされたら即座に打ち切る） */
+  signal?: AbortSignal;
+  /** リトライしてよいかを都度判定する（ストリーミングで出力済みの場合など） */
+  canRetry?: () => boolean;
+  /** リトライ前に呼ばれるコールバック（ログ用） */
+  onRetry?: (error: LLMError, attempt: number, delayMs: number) => void;
+}
+
+/**
+ * 処理を実行し、リトライ可能なエラーの場合は待ってから再実行する
+ * 最終的に失敗した場合はLLMErrorを投げる
+ * @param fn - 実行する処理
+ * @param options - リトライのオプション
+ */
+export async function withRetry<T>(fn: () => Promise<T>, options: RetryOptions = {}): Promise<T> {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (options.signal?.aborted) throw error;
+
+      const llmError = toLLMError(error);
+      if (!llmError.retryable || attempt >= MAX_RETRIES || (options.canRetry && !options.canRetry())) {
+        throw llmError;
+      }
+
+      const delayMs = llmError.retryAfterMs ?? backoffDelay(attempt);
+      if (delayMs > MAX_DELAY_MS) {
+        throw llmError;
+      }
+
+      options.onRetry?.(llmError, attempt + 1, delayMs);
+      await sleep(delayMs, options.signal);
+    }
+  }
+}
+
+/**
+ * 指数バックオフの待ち時間（ジッター付き）
+ * @param attempt - 何回目のリトライか（0始まり）
+ */
+function backoffDelay(attempt: number): number {
+  const exponential = BASE_DELAY_MS * 2 ** attempt;
+  return Math.min(MAX_DELAY_MS, exponential + Math.random() * BASE_DELAY_MS);
+}
+
+/**
+ * 指定時間待機する（abortされたら即座にrejectする）
+ */
+export function sleep(ms: number, signal?: AbortSignal): Promise<void> {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new Error('aborted'));
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new Error('aborted'));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
@@ -0,0 +1,116 @@
+/**
+ * JSONの構造化出力の共通処理
+ * LLM出力からのJSON抽出、形式不正時の再要求を、トピック・フォローアップ質問などの生成で共有する
+ */
+import type { TokenUsage } from '@shared/types';
+import { sumUsage } from '@shared/cost';
+import { LLMError, toLLMError } from './errors';
+
+/**
+ * 構造化出力の定義（プロバイダーごとの構造化出力モードの指定に使う）
+ */
+export interface StructuredOutputSpec {
+  /** スキーマ名（OpenAIのjson_schema名・Anthropicのツール名に使う。英数字と_のみ） */
+  name: string;
+  /** 生成の種類（エラーメッセージ用） */
+  label: string;
+  /** 出力のJSONスキーマ */
+  schema: Record<string, unknown>;
+  /** 再要求時に示す出力形式 */
+  formatHint: string;
+}
+
+/**
+ * 出力が期待した形式に合わない場合のエラー（再要求の判断に使う）
+ */
+export class OutputValidationError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'OutputValidationError';
+  }
+}
+
+/**
+ * 1回分の呼び出し結果
+ */
+export interface StructuredAttempt {
+  /** LLMの出力（JSON文字列） */
+  text: string;
+  usage?: TokenUsage;
+}
+
+/**
+ * 再要求時に渡す前回の出力と不備の内容
+ */
+export interface RetryFeedback {
+  previousOutput: string;
+  reason: string;
+}
+
+/**
+ * 構造化出力を要求し、検証に失敗したら1回だけ理由を添えて再要求する
+ * 再要求でも不正な場合はLLMError（kind: 'invalidResponse'）を投げる
+ * 再要求が失敗した場合も、それまでに受け取った応答の使用量をLLMErrorのusageに付けて投げる
+ * @param spec - 構造化出力の定義
+ * @param validate - 出力を検証・正規化する（不正ならOutputValidationErrorを投げる）
+ * @param request - 1回分の呼び出し（再要求時はfeedbackが渡される）
+ * @returns 検証済みの値と、再要求を含めた使用量の合計
+ */
+export async function generateValidated<T>(
+  spec: StructuredOutputSpec,
+  validate: (text: string) => T,
+  request: (feedback?: RetryFeedback) => Promise<StructuredAttempt>
+): Promise<{ value: T; usage?: TokenUsage }> {
+  const first = await request();
+  try {
+    return { value: validate(first.text), usage: first.usage };
+  } catch (error) {
+    if (!(error instanceof OutputValidationError)) throw error;
+    console.warn(`[StructuredOutput] Invalid ${spec.name} output, asking again:`, error.message);
+
+    let second: StructuredAttempt;
+    try {
+      second = await request({ previousOutput: first.text, reason: error.message });
+    } catch (requestError) {
+      const llmError = toLLMError(requestError);
+      llmError.usage = first.usage;
+      throw llmError;
+    }
+
+    const usage = first.usage || second.usage ? sumUsage([first.usage, second.usage]) : undefined;
+    try {
+      return { value: validate(second.text), usage };
+    } catch (retryError) {
+      if (!(retryError instanceof OutputValidationError)) throw retryError;
+      throw new LLMError('invalidResponse', `${spec.label}の応答が形式に合いませんでした（${retryError.message}）`, { usage });
+    }
+  }
+}
+
+/**
+ * 再要求時にユーザーメッセージとして送る文面
+ * @param spec - 構造化出力の定義
+ * @param feedback - 前回の出力と不備の内容
+ */
+export function buildRetryMessage(spec: StructuredOutputSpec, feedback: RetryFeedback): string {
+  return `前回の出力は形式が正しくありませんでした（${feedback.reason}）。\n${spec.formatHint} 形式のJSONのみを出力し直してください。`;
+}
+
+/**
+ * LLMの出力からJSONを取り出して解釈する
+ * strictモードのないプロバイダーでは前後に説明文やコードブロックが付くことがあるため、JSON部分だけを取り出す
+ * @param content - LLMの出力テキスト
+ * @throws OutputValidationError JSONが含まれていない・解釈できない場合
+ */
+export function parseJsonOutput(content: string): unknown {
+  const match = content.match(/[[{][\s\S]*[\]}]/);
+  if (!match) {
+    throw new OutputValidationError('JSONが含まれていません');
+  }
+
+  try {
+    return JSON.parse(match[0]);
+  } catch {
+    throw new OutputValidationError('JSONとして解釈できません');
+  }
+}
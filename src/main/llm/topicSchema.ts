@@ -0,0 +1,114 @@
+/**
+ * トピック生成の構造化出力
+ * JSONスキーマの定義と、LLM出力の検証・正規化を各プロバイダーで共有する
+ */
+import type { GeneratedTopic } from '@shared/ipc';
+import { DEFAULT_TOPIC_IMPORTANCE } from '@shared/topicSettings';
+import { OutputValidationError, parseJsonOutput, type StructuredOutputSpec } from './structuredOutput';
+
+/** 1トピックあたりのタグの上限 */
+const MAX_TAGS = 5;
+
+/**
+ * トピック生成の出力定義（OpenAIのstrictモードに合わせ、全項目必須・追加プロパティなし）
+ */
+export const TOPICS_OUTPUT: StructuredOutputSpec = {
+  name: 'topics',
+  label: 'トピック生成',
+  formatHint: '{"topics": [{"title": 文字列, "description": 文字列, "importance": 1〜5の整数, "tags": [文字列]}]}',
+  schema: {
+    type: 'object',
+    properties: {
+      topics: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            title: { type: 'string', description: 'トピックのタイトル（簡潔に）' },
+            description: { type: 'string', description: 'トピックの説明' },
+            importance: { type: 'integer', enum: [1, 2, 3, 4, 5], description: '重要度（1〜5）' },
+            tags: { type: 'array', items: { type: 'string' }, description: 'タグ' }
+          },
+          required: ['title', 'description', 'importance', 'tags'],
+          additionalProperties: false
+        }
+      }
+    },
+    required: ['topics'],
+    additionalProperties: false
+  }
+};
+
+/**
+ * LLMの出力を検証し、トピック配列に正規化する
+ * - `{"topics": [...]}` 形式と配列そのものの両方を受け付ける
+ * - importanceは1〜5の整数に丸め、tagsは前後の空白・先頭の#を除いて重複をなくす
+ * - titleのない項目は捨て、最大数を超えた分は切り捨てる
+ * @param content - LLMの出力テキスト
+ * @param maxTopics - トピックの最大数
+ * @throws OutputValidationError JSONとして解釈できない・topics配列がない・有効な項目がない場合
+ */
+export function validateTopics(content: string, maxTopics: number): GeneratedTopic[] {
+  const parsed = parseJsonOutput(content);
+
+  const list = Array.isArray(parsed) ? parsed : (parsed as { topics?: unknown } | null)?.topics;
+  if (!Array.isArray(list)) {
+    throw new OutputValidationError('topics 配列がありません');
+  }
+
+  const topics = list
+    .map(normalizeTopic)
+    .filter((topic): topic is GeneratedTopic => topic !== null);
+  if (list.length > 0 && topics.length === 0) {
+    throw new OutputValidationError('title を持つトピックがありません');
+  }
+
+  return topics.slice(0, maxTopics);
+}
+
+/**
+ * 1件のトピックを正規化する（titleがなければnull）
+ */
+function normalizeTopic(item: unknown): GeneratedTopic | null {
+  if (!item || typeof item !== 'object') return null;
+  const raw = item as Record<string, unknown>;
+
+  const title = typeof raw.title === 'string' ? raw.title.trim() : '';
+  if (!title) return null;
+
+  const description = typeof raw.description === 'string' && raw.description.trim()
+    ? raw.description.trim()
+    : undefined;
+
+  return {
+    title,
+    description,
+    importance: clampImportance(raw.importance),
+    tags: normalizeTags(raw.tags)
+  };
+}
+
+/**
+ * 重要度を1〜5の整数にする
+ */
+export function clampImportance(value: unknown): 1 | 2 | 3 | 4 | 5 {
+  const num = typeof value === 'string' ? Number(value) : value;
+  if (typeof num !== 'number' || Number.isNaN(num)) return DEFAULT_TOPIC_IMPORTANCE;
+  return Math.min(5, Math.max(1, Math.round(num))) as 1 | 2 | 3 | 4 | 5;
+}
+
+/**
+ * タグを正規化する（配列・区切り文字列のどちらも受け付ける）
+ */
+export function normalizeTags(value: unknown): string[] {
+  const rawTags = Array.isArray(value)
+    ? value.filter((tag): tag is string => typeof tag === 'string')
+    : typeof value === 'string'
+      ? value.split(/[,、]/)
+      : [];
+
+  const tags = rawTags
+    .map(tag => tag.trim().replace(/^#+/, '').trim().toLowerCase())
+    .filter(tag => tag.length > 0);
+  return Array.from(new Set(tags)).slice(0, MAX_TAGS);
+}
@@ -0,0 +1,39 @@
+/**
+ * LLMプロバイダーの共通インターフェース
+ */
+import type { AppSettings, LLMRequest, LLMResponse, GenerateTopicsRequest, GenerateTopicsResponse, GenerateFollowUpsRequest, GenerateFollowUpsResponse, GenerateNoteRequest, GenerateSummaryRequest, GenerateTextResponse } from '@shared/ipc';
+import type { ModelConfig } from '@shared/types';
+
+/**
+ * 各呼び出しに共通のオプション
+ */
+export interface LLMCallOptions {
+  /** 中断用のシグナル（abortされたらリクエストを打ち切る） */
+  signal?: AbortSignal;
+}
+
+/**
+ * 各LLMプロバイダーが実装する操作
+ */
+export interface LLMProvider {
+  /** チャットリクエストを送信する */
+  chat(request: LLMRequest, options?: LLMCallOptions): Promise<LLMResponse>;
+  /** チャットリクエストをストリーミングで送信し、差分テキストを逐次通知する */
+  chatStream(request: LLMRequest, onDelta: (delta: string) => void, options?: LLMCallOptions): Promise<LLMResponse>;
+  /** トピックを生成する */
+  generateTopics(request: GenerateTopicsRequest, options?: LLMCallOptions): Promise<GenerateTopicsResponse>;
+  /** 回答に対するフォローアップ質問を提案する */
+  generateFollowUps(request: GenerateFollowUpsRequest, options?: LLMCallOptions): Promise<GenerateFollowUpsResponse>;
+  /** ノートの下書きを生成する */
+  generateNote(request: GenerateNoteRequest, options?: LLMCallOptions): Promise<GenerateTextResponse>;
+  /** サマリーを生成する */
+  generateSummary(request: GenerateSummaryRequest, options?: LLMCallOptions): Promise<GenerateTextResponse>;
+  /** 利用可能なモデル一覧を取得する（エンドポイントから取得できるプロバイダーのみ） */
+  listModels?(): Promise<ModelConfig[]>;
+}
+
+/**
+ * アプリ設定からプロバイダーのインスタンスを生成するファクトリ
+ * 必要な設定（APIキーなど）が不足している場合は例外を投げる
+ */
+export type LLMProviderFactory = (settings: AppSettings) => LLMProvider;
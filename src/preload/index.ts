@@ -3,7 +3,7 @@
  * メインプロセスとレンダラープロセス間のブリッジ
  */
 import { contextBridge, ipcRenderer } from 'electron';
-import type { ElectronAPI } from '@shared/ipc';
+import type { ElectronAPI, LLMStreamDelta } from '@shared/ipc';
 
 const electronAPI: ElectronAPI = {
   // ファイル操作
@@ -14,17 +14,42 @@ const electronAPI: ElectronAPI = {
   // ボード管理
   getBoardList: () => ipcRenderer.invoke('get-board-list'),
   selectParentFolder: () => ipcRenderer.invoke('select-parent-folder'),
+  findInterruptedSaves: () => ipcRenderer.invoke('find-interrupted-saves'),
+  resolveInterruptedSave: (folderPath, action) => ipcRenderer.invoke('resolve-interrupted-save', folderPath, action),
+  findDuplicateBoards: () => ipcRenderer.invoke('find-duplicate-boards'),
+  mergeDuplicateBoards: (boardId) => ipcRenderer.invoke('merge-duplicate-boards', boardId),
 
   // 設定
   getSettings: () => ipcRenderer.invoke('get-settings'),
   saveSettings: (settings) => ipcRenderer.invoke('save-settings', settings),
   getAvailableModels: () => ipcRenderer.invoke('get-available-models'),
+  getMonthlyUsage: () => ipcRenderer.invoke('get-monthly-usage'),
+  getPromptTemplates: () => ipcRenderer.invoke('get-prompt-templates'),
+  savePromptTemplates: (templates) => ipcRenderer.invoke('save-prompt-templates', templates),
 
   // LLM
   sendLLMRequest: (request) => ipcRenderer.invoke('send-llm-request', request),
+  sendLLMRequestStream: async (request, onDelta) => {
+    const requestId = request.requestId || crypto.randomUUID();
+    // 自分のリクエストの差分だけを受け取る
+    const listener = (_: Electron.IpcRendererEvent, payload: LLMStreamDelta) => {
+      if (payload.requestId === requestId) {
+        onDelta(payload.delta);
+      }
+    };
+    ipcRenderer.on('llm-stream-delta', listener);
+    try {
+      return await ipcRenderer.invoke('send-llm-request-stream', { ...request, requestId });
+    } finally {
+      ipcRenderer.removeListener('llm-stream-delta', listener);
+    }
+  },
   generateTopics: (request) => ipcRenderer.invoke('generate-topics', request),
+  generateFollowUps: (request) => ipcRenderer.invoke('generate-follow-ups', request),
   generateNote: (request) => ipcRenderer.invoke('generate-note', request),
   generateSummary: (request) => ipcRenderer.invoke('generate-summary', request),
+  cancelLLMRequest: (requestId) => ipcRenderer.invoke('cancel-llm-request', requestId),
+  checkLLMBudget: (requests) => ipcRenderer.invoke('check-llm-budget', requests),
 
   // ダイアログ
   showSaveDialog: () => ipcRenderer.invoke('show-save-dialog'),
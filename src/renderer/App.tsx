@@ -6,8 +6,12 @@ import { Toolbar } from './components/Toolbar';
 import { MindMapCanvas } from './components/MindMapCanvas';
 import { SidePanel } from './components/SidePanel';
 import { BoardInfoModal } from './components/BoardInfoModal';
+import { InterruptedSaveDialog } from './components/InterruptedSaveDialog';
+import { GraphIntegrityDialog } from './components/GraphIntegrityDialog';
 import { useSettingsStore } from './stores/settingsStore';
 import { useBoardStore } from './stores/boardStore';
+import { useAutosave } from './hooks/useAutosave';
+import type { InterruptedSave } from '@shared/ipc';
 
 /**
  * メインアプリケーション
@@ -16,10 +20,17 @@ export const App: React.FC = () => {
   const { loadSettings } = useSettingsStore();
   const { board } = useBoardStore();
   const [showBoardInfo, setShowBoardInfo] = useState(false);
+  /** 前回保存し終えなかったボード */
+  const [interruptedSaves, setInterruptedSaves] = useState<InterruptedSave[]>([]);
 
-  // 初回読み込み時に設定を取得
+  useAutosave();
+
+  // 初回読み込み時に設定を取得し、保存が途中で止まったボードがないか確認する
   useEffect(() => {
     loadSettings();
+    window.electronAPI.findInterruptedSaves()
+      .then(setInterruptedSaves)
+      .catch((error) => console.error('Failed to find interrupted saves:', error));
   }, [loadSettings]);
 
   return (
@@ -90,6 +101,16 @@ export const App: React.FC = () => {
         isOpen={showBoardInfo}
         onClose={() => setShowBoardInfo(false)}
       />
+
+      {/* ノードのつながりの問題ダイアログ */}
+      <GraphIntegrityDialog />
+
+      {/* 保存中断の復元ダイアログ */}
+      <InterruptedSaveDialog
+        saves={interruptedSaves}
+        onResolved={(folderPath) => setInterruptedSaves(prev => prev.filter(s => s.folderPath !== folderPath))}
+        onClose={() => setInterruptedSaves([])}
+      />
     </div>
   );
 };
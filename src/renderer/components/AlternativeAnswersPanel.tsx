@@ -0,0 +1,267 @@
+/**
+ * 別案生成パネルコンポーネント
+ * 同じ質問に対して温度を変えた回答、または選んだ複数のモデル（プロバイダーをまたいでよい）の回答を生成する条件を選ぶ
+ */
+import React, { useEffect, useMemo, useState } from 'react';
+import type { ModelConfig, Provider } from '@shared/types';
+
+/**
+ * 別案1件分の生成条件
+ */
+export interface AnswerVariant {
+  provider: Provider;
+  model: string;
+  temperature: number;
+}
+
+/**
+ * プロバイダーごとのモデル一覧（選択肢の表示用）
+ */
+export interface ModelGroup {
+  provider: Provider;
+  /** プロバイダーの表示名 */
+  name: string;
+  models: ModelConfig[];
+}
+
+/** 別案の変化のさせ方 */
+type VariationMode = 'temperature' | 'models';
+
+/** 一度に生成できる別案の数 */
+const ALTERNATIVE_COUNTS = [2, 3, 4];
+
+/** 温度を変える場合の下限（この範囲に均等に割り振る） */
+const MIN_ALTERNATIVE_TEMPERATURE = 0.2;
+
+/** 温度を変える場合の上限 */
+const MAX_ALTERNATIVE_TEMPERATURE = 1.0;
+
+/** 一度に比較できるモデルの数（誤操作で大量に送信しないための上限） */
+const MAX_COMPARE_MODELS = 6;
+
+interface AlternativeAnswersPanelProps {
+  /** 選択中のプロバイダー */
+  provider: Provider;
+  /** 選択中のモデル */
+  model: string;
+  /** モデルを比較する場合に使う温度（ボード設定） */
+  temperature: number;
+  /** 選択できるプロバイダーごとのモデル（models.yaml） */
+  modelGroups: ModelGroup[];
+  disabled: boolean;
+  /** 生成できない理由（disabledの場合に表示） */
+  disabledReason?: string;
+  /** 生成を開始する */
+  onGenerate: (variants: AnswerVariant[]) => void;
+}
+
+/**
+ * モデルの選択状態のキー
+ */
+function toModelKey(provider: Provider, model: string): string {
+  return `${provider}:${model}`;
+}
+
+/**
+ * 温度を範囲内に均等に割り振る
+ * @param count - 別案の数
+ */
+function spreadTemperatures(count: number): number[] {
+  const step = (MAX_ALTERNATIVE_TEMPERATURE - MIN_ALTERNATIVE_TEMPERATURE) / Math.max(1, count - 1);
+  return Array.from({ length: count }, (_, i) => Math.round((MIN_ALTERNATIVE_TEMPERATURE + step * i) * 10) / 10);
+}
+
+/**
+ * 別案生成パネル
+ */
+export const AlternativeAnswersPanel: React.FC<AlternativeAnswersPanelProps> = ({
+  provider,
+  model,
+  temperature,
+  modelGroups,
+  disabled,
+  disabledReason,
+  onGenerate
+}) => {
+  const [count, setCount] = useState(3);
+  const [mode, setMode] = useState<VariationMode>('temperature');
+  /** 比較するモデル（初期状態は選択中のモデルのみ） */
+  const [checkedModelKeys, setCheckedModelKeys] = useState<Set<string>>(() => new Set([toModelKey(provider, model)]));
+
+  /** 選択肢にあるモデルのキー */
+  const availableModelKeys = useMemo(
+    () => modelGroups.flatMap(group => group.models.map(m => toModelKey(group.provider, m.id))),
+    [modelGroups]
+  );
+  // modelGroupsは描画のたびに作り直されるため、中身が変わったときだけ反応するよう文字列にする
+  const availableModelKeysSignature = availableModelKeys.join('\n');
+
+  // 選択中のモデルが変わったら、比較するモデルをそのモデルだけに戻す（選択肢にないモデルは選ばない）
+  useEffect(() => {
+    const key = toModelKey(provider, model);
+    setCheckedModelKeys(new Set(availableModelKeys.includes(key) ? [key] : []));
+  }, [provider, model]);
+
+  // 選択肢が変わったら（ローカルLLMのモデル一覧の再取得など）、なくなったモデルのチェックを外す
+  useEffect(() => {
+    setCheckedModelKeys(prev => {
+      const next = new Set(Array.from(prev).filter(key => availableModelKeys.includes(key)));
+      return next.size === prev.size ? prev : next;
+    });
+  }, [availableModelKeysSignature]);
+
+  const variants = useMemo((): AnswerVariant[] => {
+    if (mode === 'temperature') {
+      return spreadTemperatures(count).map(t => ({ provider, model, temperature: t }));
+    }
+    // models.yaml の並び順で送信する
+    return modelGroups.flatMap(group => group.models
+      .filter(m => checkedModelKeys.has(toModelKey(group.provider, m.id)))
+      .map(m => ({ provider: group.provider, model: m.id, temperature })));
+  }, [mode, count, provider, model, temperature, modelGroups, checkedModelKeys]);
+
+  /**
+   * 比較するモデルのチェックを切り替える
+   */
+  const handleToggleModel = (key: string) => {
+    setCheckedModelKeys(prev => {
+      const next = new Set(prev);
+      if (next.has(key)) {
+        next.delete(key);
+      } else if (next.size < MAX_COMPARE_MODELS) {
+        next.add(key);
+      }
+      return next;
+    });
+  };
+
+  const modelNameOf = (variant: AnswerVariant) => {
+    const group = modelGroups.find(g => g.provider === variant.provider);
+    const name = group?.models.find(m => m.id === variant.model)?.name || variant.model;
+    return mode === 'models' ? `${group?.name || variant.provider} / ${name}` : name;
+  };
+  const canGenerate = !disabled && variants.length > 0;
+
+  return (
+    <details style={{ marginTop: '8px' }}>
+      <summary style={{ fontSize: '12px', color: '#94a3b8', cursor: 'pointer' }}>
+        🔀 別案・モデル比較
+      </summary>
+      <div style={{
+        marginTop: '6px',
+        padding: '10px',
+        background: '#0f172a',
+        borderRadius: '8px',
+        fontSize: '12px',
+        color: '#cbd5e1'
+      }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '8px', flexWrap: 'wrap' }}>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '4px', cursor: 'pointer' }}>
+            <input
+              type="radio"
+              checked={mode === 'temperature'}
+              onChange={() => setMode('temperature')}
+              disabled={disabled}
+            />
+            温度を変える
+          </label>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '4px', cursor: 'pointer' }}>
+            <input
+              type="radio"
+              checked={mode === 'models'}
+              onChange={() => setMode('models')}
+              disabled={disabled}
+            />
+            モデルを選んで比較
+          </label>
+        </div>
+
+        {mode === 'temperature' ? (
+          <select
+            value={count}
+            onChange={(e) => setCount(Number(e.target.value))}
+            disabled={disabled}
+            style={{ ...panelSelectStyle, marginBottom: '8px' }}
+          >
+            {ALTERNATIVE_COUNTS.map(n => (
+              <option key={n} value={n}>{n}件</option>
+            ))}
+          </select>
+        ) : (
+          <div style={{
+            maxHeight: '180px',
+            overflowY: 'auto',
+            marginBottom: '8px',
+            padding: '6px 8px',
+            border: '1px solid #334155',
+            borderRadius: '6px'
+          }}>
+            {modelGroups.map(group => (
+              <div key={group.provider} style={{ marginBottom: '4px' }}>
+                <div style={{ color: '#94a3b8', fontSize: '11px' }}>{group.name}</div>
+                {group.models.map(m => {
+                  const key = toModelKey(group.provider, m.id);
+                  const checked = checkedModelKeys.has(key);
+                  return (
+                    <label key={key} style={{ display: 'flex', alignItems: 'center', gap: '4px', cursor: 'pointer' }}>
+                      <input
+                        type="checkbox"
+                        checked={checked}
+                        onChange={() => handleToggleModel(key)}
+                        disabled={disabled || (!checked && checkedModelKeys.size >= MAX_COMPARE_MODELS)}
+                      />
+                      {m.name}
+                    </label>
+                  );
+                })}
+              </div>
+            ))}
+            <div style={{ color: '#64748b', fontSize: '11px' }}>最大{MAX_COMPARE_MODELS}モデルまで同時に送信できます</div>
+          </div>
+        )}
+
+        <div style={{ color: '#64748b', marginBottom: '8px' }}>
+          {variants.map((variant, index) => (
+            <div key={index}>
+              {index + 1}. {modelNameOf(variant)} / 温度 {variant.temperature}
+            </div>
+          ))}
+        </div>
+
+        <button
+          onClick={() => onGenerate(variants)}
+          disabled={!canGenerate}
+          style={{
+            width: '100%',
+            padding: '8px 12px',
+            borderRadius: '6px',
+            border: 'none',
+            background: '#0ea5e9',
+            color: 'white',
+            fontSize: '13px',
+            cursor: canGenerate ? 'pointer' : 'not-allowed',
+            opacity: canGenerate ? 1 : 0.5
+          }}
+        >
+          {mode === 'temperature'
+            ? `🔀 ${variants.length}件の別案を生成`
+            : `🧪 ${variants.length}モデルに並列で送信`}
+        </button>
+        <div style={{ color: '#64748b', marginTop: '6px' }}>
+          {disabled && disabledReason
+            ? disabledReason
+            : '既存の回答は残したまま、同じ質問の回答として並べて追加します。'}
+        </div>
+      </div>
+    </details>
+  );
+};
+
+const panelSelectStyle: React.CSSProperties = {
+  padding: '4px 8px',
+  borderRadius: '4px',
+  border: '1px solid #475569',
+  background: '#1e293b',
+  color: 'white',
+  fontSize: '12px'
+};
@@ -0,0 +1,231 @@
+/**
+ * 回答比較モーダルコンポーネント
+ * 同じ質問に対する複数の回答を横に並べて比較し、採用する回答を選ぶ
+ */
+import React, { useEffect } from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import { LLM_ERROR_LABELS } from '@shared/llmError';
+import { formatCostJPY } from '@shared/cost';
+import type { MindNode, NodeId } from '@shared/types';
+
+interface AnswerCompareModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+  /** 比較する質問 */
+  question: MindNode | null;
+  /** 比較する回答（同じ質問の回答ノード） */
+  answers: MindNode[];
+  /** 採用のマークを切り替える */
+  onSetPreferred: (answerId: NodeId, preferred: boolean) => void;
+  /** 回答ノードに移動する */
+  onSelectNode: (nodeId: NodeId) => void;
+}
+
+/**
+ * 回答比較モーダル
+ */
+export const AnswerCompareModal: React.FC<AnswerCompareModalProps> = ({
+  isOpen,
+  onClose,
+  question,
+  answers,
+  onSetPreferred,
+  onSelectNode
+}) => {
+  // ESCキーで閉じる
+  useEffect(() => {
+    const handleKeyDown = (e: KeyboardEvent) => {
+      if (e.key === 'Escape' && isOpen) {
+        onClose();
+      }
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen, onClose]);
+
+  if (!isOpen || !question) return null;
+
+  return (
+    <div
+      style={backdropStyle}
+      onClick={(e) => e.target === e.currentTarget && onClose()}
+    >
+      <div style={modalStyle}>
+        {/* ヘッダー */}
+        <div style={headerStyle}>
+          <div style={{ minWidth: 0 }}>
+            <h2 style={{ margin: 0, fontSize: '18px' }}>⚖️ 回答の比較（{answers.length}件）</h2>
+            <div style={{
+              marginTop: '4px',
+              fontSize: '13px',
+              color: '#94a3b8',
+              whiteSpace: 'nowrap',
+              overflow: 'hidden',
+              textOverflow: 'ellipsis'
+            }}>
+              💬 {question.content}
+            </div>
+          </div>
+          <button onClick={onClose} style={closeButtonStyle}>
+            ✕
+          </button>
+        </div>
+
+        {/* 回答を横並びで表示 */}
+        <div style={{
+          flex: 1,
+          overflow: 'auto',
+          padding: '16px',
+          display: 'grid',
+          gridTemplateColumns: `repeat(${answers.length}, minmax(280px, 1fr))`,
+          gap: '12px'
+        }}>
+          {answers.map(answer => {
+            const isPreferred = answer.metadata?.preferred === true;
+            return (
+              <div
+                key={answer.id}
+                style={{
+                  display: 'flex',
+                  flexDirection: 'column',
+                  minHeight: 0,
+                  background: '#1e293b',
+                  borderRadius: '8px',
+                  border: isPreferred ? '2px solid #fbbf24' : '1px solid #334155'
+                }}
+              >
+                <div style={{ padding: '10px 12px', borderBottom: '1px solid #334155', fontSize: '12px' }}>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: '6px', flexWrap: 'wrap' }}>
+                    {isPreferred && <span title="採用">⭐</span>}
+                    <span style={badgeStyle}>{answer.provider ? `${answer.provider}/` : ''}{answer.model || '不明なモデル'}</span>
+                    {answer.temperature !== undefined && (
+                      <span style={badgeStyle}>温度 {answer.temperature}</span>
+                    )}
+                  </div>
+                  {answer.usage && (
+                    <div style={{ color: '#94a3b8', marginTop: '6px' }}>
+                      {answer.usage.costJPY !== undefined && `${formatCostJPY(answer.usage.costJPY)} / `}
+                      入力 {answer.usage.promptTokens.toLocaleString()} / 出力 {answer.usage.completionTokens.toLocaleString()} トークン
+                    </div>
+                  )}
+                </div>
+
+                <div style={{
+                  flex: 1,
+                  overflow: 'auto',
+                  padding: '12px',
+                  fontSize: '13px',
+                  color: '#cbd5e1',
+                  lineHeight: '1.6',
+                  wordBreak: 'break-word'
+                }}>
+                  {answer.isLoading ? (
+                    <span style={{ color: '#64748b' }}>生成中...</span>
+                  ) : answer.error ? (
+                    <span style={{ color: '#fca5a5' }}>
+                      ⚠️ {LLM_ERROR_LABELS[answer.error.kind]}: {answer.error.message}
+                    </span>
+                  ) : (
+                    <div className="markdown-content">
+                      <ReactMarkdown remarkPlugins={[remarkGfm]}>
+                        {answer.content}
+                      </ReactMarkdown>
+                    </div>
+                  )}
+                </div>
+
+                <div style={{ display: 'flex', gap: '6px', padding: '10px 12px', borderTop: '1px solid #334155' }}>
+                  <button
+                    onClick={() => onSetPreferred(answer.id, !isPreferred)}
+                    disabled={answer.isLoading || !!answer.error}
+                    style={{
+                      ...footerButtonStyle,
+                      flex: 1,
+                      background: isPreferred ? '#475569' : '#b45309',
+                      opacity: answer.isLoading || answer.error ? 0.5 : 1
+                    }}
+                  >
+                    {isPreferred ? '採用を外す' : '⭐ 採用する'}
+                  </button>
+                  <button
+                    onClick={() => {
+                      onSelectNode(answer.id);
+                      onClose();
+                    }}
+                    style={footerButtonStyle}
+                  >
+                    📍 移動
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// スタイル定義
+const backdropStyle: React.CSSProperties = {
+  position: 'fixed',
+  top: 0,
+  left: 0,
+  right: 0,
+  bottom: 0,
+  background: 'rgba(0, 0, 0, 0.7)',
+  display: 'flex',
+  alignItems: 'center',
+  justifyContent: 'center',
+  zIndex: 1000
+};
+
+const modalStyle: React.CSSProperties = {
+  background: '#0f172a',
+  borderRadius: '12px',
+  border: '1px solid #334155',
+  width: '95%',
+  maxWidth: '1400px',
+  height: '85vh',
+  display: 'flex',
+  flexDirection: 'column',
+  color: 'white',
+  boxShadow: '0 25px 50px -12px rgba(0, 0, 0, 0.5)'
+};
+
+const headerStyle: React.CSSProperties = {
+  display: 'flex',
+  justifyContent: 'space-between',
+  alignItems: 'center',
+  gap: '12px',
+  padding: '16px 20px',
+  borderBottom: '1px solid #334155'
+};
+
+const closeButtonStyle: React.CSSProperties = {
+  background: 'transparent',
+  border: 'none',
+  color: '#94a3b8',
+  fontSize: '20px',
+  cursor: 'pointer',
+  padding: '4px 8px',
+  borderRadius: '4px'
+};
+
+const badgeStyle: React.CSSProperties = {
+  padding: '2px 6px',
+  borderRadius: '4px',
+  background: '#334155',
+  color: '#e2e8f0'
+};
+
+const footerButtonStyle: React.CSSProperties = {
+  padding: '6px 12px',
+  borderRadius: '6px',
+  border: 'none',
+  background: '#334155',
+  color: 'white',
+  fontSize: '12px',
+  cursor: 'pointer'
+};
@@ -2,8 +2,23 @@
  * ボード情報モーダルコンポーネント
  * フローティングボタンから表示される
  */
-import React from 'react';
+import React, { useMemo, useState, useEffect } from 'react';
 import { useBoardStore } from '../stores/boardStore';
+import { sumUsage, formatCostJPY } from '@shared/cost';
+import { PERSONA_PRESETS, DEFAULT_SYSTEM_PROMPT, BOARD_TITLE_PLACEHOLDER, findPersonaPreset } from '@shared/systemPrompt';
+import { isSamePromptTemplate, type PromptTemplate, type PromptTemplateKind, type PromptTemplates } from '@shared/promptTemplates';
+import { PromptTemplateEditor } from './PromptTemplateEditor';
+import { resolveTopicSettings, MAX_TOPICS_LIMIT, DEFAULT_MAX_TOPICS } from '@shared/topicSettings';
+import type { UsageKind, UsageRecord } from '@shared/types';
+
+/** 呼び出し種別の表示名 */
+const USAGE_KIND_LABELS: Record<UsageKind, string> = {
+  chat: '回答',
+  topics: 'トピック生成',
+  followUps: '質問の提案',
+  note: 'ノート生成',
+  summary: 'サマリー生成'
+};
 
 interface BoardInfoModalProps {
   isOpen: boolean;
@@ -14,10 +29,118 @@ interface BoardInfoModalProps {
  * ボード情報モーダル
  */
 export const BoardInfoModal: React.FC<BoardInfoModalProps> = ({ isOpen, onClose }) => {
-  const { board } = useBoardStore();
+  const { board, nodes, updateBoardSettings, checkGraph } = useBoardStore();
+  /** ボード予算の入力値 */
+  const [budgetInput, setBudgetInput] = useState('');
+  /** システムプロンプトの入力値 */
+  const [systemPromptInput, setSystemPromptInput] = useState('');
+  /** ユーザー設定のプロンプトテンプレート（ボードで上書きしていない種類に使われる） */
+  const [userPromptTemplates, setUserPromptTemplates] = useState<PromptTemplates | null>(null);
+
+  useEffect(() => {
+    if (isOpen && board) {
+      setBudgetInput(board.settings.budgetJPY ? String(board.settings.budgetJPY) : '');
+    }
+  }, [isOpen, board?.settings.budgetJPY]);
+
+  useEffect(() => {
+    if (isOpen && board) {
+      setSystemPromptInput(board.settings.systemPrompt || DEFAULT_SYSTEM_PROMPT);
+    }
+  }, [isOpen, board?.settings.systemPrompt]);
+
+  useEffect(() => {
+    if (isOpen) {
+      window.electronAPI.getPromptTemplates()
+        .then(setUserPromptTemplates)
+        .catch((error) => console.error('Failed to load prompt templates:', error));
+    }
+  }, [isOpen]);
+
+  /**
+   * ボードのプロンプトテンプレートを更新（ユーザー設定と同じ内容なら上書きを外す）
+   */
+  const handleChangePromptTemplate = (kind: PromptTemplateKind, template: PromptTemplate) => {
+    const promptTemplates = { ...board?.settings.promptTemplates };
+    if (isSamePromptTemplate(template, userPromptTemplates?.[kind])) {
+      delete promptTemplates[kind];
+    } else {
+      promptTemplates[kind] = template;
+    }
+    updateBoardSettings({ promptTemplates: Object.keys(promptTemplates).length > 0 ? promptTemplates : undefined });
+  };
+
+  /**
+   * システムプロンプトを確定（空欄・標準と同じ内容は未設定に戻す）
+   */
+  const handleCommitSystemPrompt = (value: string) => {
+    const trimmed = value.trim();
+    const systemPrompt = trimmed && trimmed !== DEFAULT_SYSTEM_PROMPT ? trimmed : undefined;
+    if (systemPrompt !== board?.settings.systemPrompt) {
+      updateBoardSettings({ systemPrompt });
+    }
+  };
+
+  /**
+   * ペルソナのプリセットを選択（プロンプトを置き換えて確定）
+   */
+  const handleSelectPersona = (presetId: string) => {
+    const preset = PERSONA_PRESETS.find(p => p.id === presetId);
+    if (!preset) return;
+    setSystemPromptInput(preset.prompt);
+    handleCommitSystemPrompt(preset.prompt);
+  };
+
+  /**
+   * ボード予算を確定（空欄・0以下は上限なし）
+   */
+  const handleCommitBudget = () => {
+    const value = Number(budgetInput);
+    const budgetJPY = value > 0 ? value : undefined;
+    if (budgetJPY !== board?.settings.budgetJPY) {
+      updateBoardSettings({ budgetJPY });
+    }
+  };
+
+  // 使用量の集計（合計・種別ごと・モデルごと）
+  const usageSummary = useMemo(() => {
+    const records = board?.usageLog || [];
+    const groupBy = (keyOf: (record: UsageRecord) => string) => {
+      const groups = new Map<string, UsageRecord[]>();
+      for (const record of records) {
+        const key = keyOf(record);
+        groups.set(key, [...(groups.get(key) || []), record]);
+      }
+      return Array.from(groups.entries()).map(([key, group]) => ({
+        key,
+        count: group.length,
+        usage: sumUsage(group.map(r => r.usage))
+      }));
+    };
+
+    return {
+      count: records.length,
+      total: sumUsage(records.map(r => r.usage)),
+      byKind: groupBy(r => r.kind),
+      byModel: groupBy(r => `${r.provider}/${r.model}`)
+    };
+  }, [board?.usageLog]);
+
+  /**
+   * ノードのつながりを検査する（問題があればこのモーダルを閉じて問題の一覧を表示する）
+   */
+  const handleCheckGraph = () => {
+    if (checkGraph().length === 0) {
+      alert('ノードのつながりに問題は見つかりませんでした');
+    } else {
+      onClose();
+    }
+  };
 
   if (!isOpen || !board) return null;
 
+  const topicSettings = resolveTopicSettings(board.settings);
+
   return (
     <div style={{
       position: 'fixed',
@@ -39,6 +162,8 @@ export const BoardInfoModal: React.FC<BoardInfoModalProps> = ({ isOpen, onClose
         padding: '24px',
         width: '500px',
         maxWidth: '90%',
+        maxHeight: '90vh',
+        overflowY: 'auto',
         color: 'white',
         boxShadow: '0 20px 60px rgba(0,0,0,0.5)'
       }}
@@ -126,6 +251,258 @@ export const BoardInfoModal: React.FC<BoardInfoModalProps> = ({ isOpen, onClose
           </div>
         </div>
 
+        {/* 回答のペルソナ（システムプロンプト） */}
+        <div style={{ marginBottom: '16px' }}>
+          <div style={{ fontSize: '12px', color: '#94a3b8', marginBottom: '6px' }}>
+            回答のペルソナ
+          </div>
+          <div style={{
+            fontSize: '13px',
+            padding: '12px',
+            background: '#0f172a',
+            borderRadius: '8px'
+          }}>
+            <select
+              value={findPersonaPreset(systemPromptInput)?.id ?? 'custom'}
+              onChange={(e) => handleSelectPersona(e.target.value)}
+              style={{
+                width: '100%',
+                padding: '6px 8px',
+                borderRadius: '4px',
+                border: '1px solid #475569',
+                background: '#1e293b',
+                color: 'white',
+                fontSize: '13px',
+                marginBottom: '8px'
+              }}
+            >
+              {PERSONA_PRESETS.map(preset => (
+                <option key={preset.id} value={preset.id}>{preset.label}</option>
+              ))}
+              <option value="custom" disabled>✏️ カスタム</option>
+            </select>
+            <textarea
+              value={systemPromptInput}
+              onChange={(e) => setSystemPromptInput(e.target.value)}
+              onBlur={() => handleCommitSystemPrompt(systemPromptInput)}
+              rows={4}
+              style={{
+                width: '100%',
+                padding: '8px',
+                borderRadius: '4px',
+                border: '1px solid #475569',
+                background: '#1e293b',
+                color: 'white',
+                fontSize: '13px',
+                resize: 'vertical',
+                boxSizing: 'border-box'
+              }}
+            />
+            <div style={{ color: '#64748b', fontSize: '11px', marginTop: '4px' }}>
+              {BOARD_TITLE_PLACEHOLDER} はボード名に置き換えられます。空欄にすると標準に戻ります。
+            </div>
+          </div>
+        </div>
+
+        {/* トピック抽出 */}
+        <div style={{ marginBottom: '16px' }}>
+          <div style={{ fontSize: '12px', color: '#94a3b8', marginBottom: '6px' }}>
+            トピック抽出
+          </div>
+          <div style={{
+            fontSize: '13px',
+            padding: '12px',
+            background: '#0f172a',
+            borderRadius: '8px'
+          }}>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '8px', cursor: 'pointer' }}>
+              <input
+                type="checkbox"
+                checked={topicSettings.autoGenerate}
+                onChange={(e) => updateBoardSettings({ autoGenerateTopics: e.target.checked ? undefined : false })}
+              />
+              <span>回答後に自動でトピックを抽出する</span>
+            </label>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '8px' }}>
+              <span style={{ color: '#94a3b8' }}>最大数:</span>
+              <select
+                value={topicSettings.maxTopics}
+                onChange={(e) => {
+                  const maxTopics = Number(e.target.value);
+                  updateBoardSettings({ maxTopics: maxTopics === DEFAULT_MAX_TOPICS ? undefined : maxTopics });
+                }}
+                style={topicSelectStyle}
+              >
+                {Array.from({ length: MAX_TOPICS_LIMIT }, (_, i) => i + 1).map(count => (
+                  <option key={count} value={count}>{count}個</option>
+                ))}
+              </select>
+              <span style={{ color: '#94a3b8', marginLeft: '8px' }}>重要度:</span>
+              <select
+                value={topicSettings.minImportance}
+                onChange={(e) => {
+                  const minTopicImportance = Number(e.target.value);
+                  updateBoardSettings({ minTopicImportance: minTopicImportance > 1 ? minTopicImportance : undefined });
+                }}
+                style={topicSelectStyle}
+              >
+                <option value={1}>すべて残す</option>
+                {[2, 3, 4, 5].map(level => (
+                  <option key={level} value={level}>{level}以上を残す</option>
+                ))}
+              </select>
+            </div>
+            <div style={{ color: '#64748b', fontSize: '11px' }}>
+              「💡 トピック生成」ボタンで抽出する場合も同じ最大数・重要度の下限を使います。
+            </div>
+          </div>
+        </div>
+
+        {/* フォローアップ質問の提案 */}
+        <div style={{ marginBottom: '16px' }}>
+          <div style={{ fontSize: '12px', color: '#94a3b8', marginBottom: '6px' }}>
+            質問の提案
+          </div>
+          <div style={{
+            fontSize: '13px',
+            padding: '12px',
+            background: '#0f172a',
+            borderRadius: '8px'
+          }}>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '8px', cursor: 'pointer' }}>
+              <input
+                type="checkbox"
+                checked={board.settings.autoSuggestFollowUps !== false}
+                onChange={(e) => updateBoardSettings({ autoSuggestFollowUps: e.target.checked ? undefined : false })}
+              />
+              <span>回答後に自動で次の質問を提案する</span>
+            </label>
+          </div>
+        </div>
+
+        {/* プロンプトテンプレート（ボードごとの上書き） */}
+        {userPromptTemplates && (
+          <details style={{ marginBottom: '16px' }}>
+            <summary style={{ fontSize: '12px', color: '#94a3b8', marginBottom: '6px', cursor: 'pointer' }}>
+              プロンプトテンプレート（このボードのみ）
+              {board.settings.promptTemplates && Object.keys(board.settings.promptTemplates).length > 0 && ' ✏️'}
+            </summary>
+            <div style={{ padding: '12px', background: '#0f172a', borderRadius: '8px' }}>
+              <PromptTemplateEditor
+                templates={{ ...userPromptTemplates, ...board.settings.promptTemplates }}
+                resetTemplates={userPromptTemplates}
+                resetLabel="共通設定に戻す"
+                onChange={handleChangePromptTemplate}
+              />
+            </div>
+          </details>
+        )}
+
+        {/* AI利用状況 */}
+        <div style={{ marginBottom: '16px' }}>
+          <div style={{ fontSize: '12px', color: '#94a3b8', marginBottom: '6px' }}>
+            AI利用状況
+          </div>
+          <div style={{
+            fontSize: '13px',
+            padding: '12px',
+            background: '#0f172a',
+            borderRadius: '8px'
+          }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '10px' }}>
+              <span style={{ color: '#94a3b8' }}>ボード予算（円）:</span>
+              <input
+                type="number"
+                min={0}
+                value={budgetInput}
+                onChange={(e) => setBudgetInput(e.target.value)}
+                onBlur={handleCommitBudget}
+                onKeyDown={(e) => e.key === 'Enter' && handleCommitBudget()}
+                placeholder="上限なし"
+                style={{
+                  width: '120px',
+                  padding: '4px 8px',
+                  borderRadius: '4px',
+                  border: '1px solid #475569',
+                  background: '#1e293b',
+                  color: 'white',
+                  fontSize: '13px'
+                }}
+              />
+              {board.settings.budgetJPY && (
+                <span style={{ color: '#64748b', fontSize: '12px' }}>
+                  残り {formatCostJPY(Math.max(0, board.settings.budgetJPY - (usageSummary.total.costJPY ?? 0)))}
+                </span>
+              )}
+            </div>
+            {usageSummary.count === 0 ? (
+              <div style={{ color: '#64748b' }}>まだAIの利用記録はありません</div>
+            ) : (
+              <>
+                <div style={{ display: 'flex', alignItems: 'baseline', gap: '12px', marginBottom: '8px' }}>
+                  <span style={{ fontSize: '20px', fontWeight: 'bold' }}>
+                    {formatCostJPY(usageSummary.total.costJPY ?? 0)}
+                  </span>
+                  <span style={{ color: '#94a3b8' }}>
+                    {usageSummary.count}回 / {usageSummary.total.totalTokens.toLocaleString()} トークン
+                  </span>
+                </div>
+                {[usageSummary.byKind, usageSummary.byModel].map((groups, index) => (
+                  <div key={index} style={{ borderTop: '1px solid #334155', paddingTop: '6px', marginTop: '6px' }}>
+                    {groups.map(group => (
+                      <div key={group.key} style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '2px' }}>
+                        <span style={{ color: '#94a3b8' }}>
+                          {USAGE_KIND_LABELS[group.key as UsageKind] || group.key}（{group.count}回）
+                        </span>
+                        <span>
+                          {formatCostJPY(group.usage.costJPY ?? 0)}
+                          <span style={{ color: '#64748b', marginLeft: '8px' }}>
+                            {group.usage.totalTokens.toLocaleString()} tok
+                          </span>
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                ))}
+              </>
+            )}
+          </div>
+        </div>
+
+        {/* ノードのつながりの検査 */}
+        <div style={{ marginBottom: '16px' }}>
+          <div style={{ fontSize: '12px', color: '#94a3b8', marginBottom: '6px' }}>
+            ノードのつながり
+          </div>
+          <div style={{
+            display: 'flex',
+            alignItems: 'center',
+            gap: '12px',
+            fontSize: '13px',
+            padding: '12px',
+            background: '#0f172a',
+            borderRadius: '8px'
+          }}>
+            <span style={{ flex: 1, color: '#94a3b8' }}>
+              {nodes.length}ノード。親子関係の食い違い・循環・rootから辿れないノードを検査します
+            </span>
+            <button
+              onClick={handleCheckGraph}
+              style={{
+                padding: '4px 10px',
+                borderRadius: '6px',
+                border: 'none',
+                background: '#334155',
+                color: 'white',
+                fontSize: '12px',
+                cursor: 'pointer'
+              }}
+            >
+              🩺 検査する
+            </button>
+          </div>
+        </div>
+
         {/* 作成・更新日時 */}
         <div style={{ fontSize: '12px', color: '#64748b' }}>
           <div>作成: {new Date(board.createdAt).toLocaleString('ja-JP')}</div>
@@ -135,3 +512,12 @@ export const BoardInfoModal: React.FC<BoardInfoModalProps> = ({ isOpen, onClose
     </div>
   );
 };
+
+const topicSelectStyle: React.CSSProperties = {
+  padding: '4px 8px',
+  borderRadius: '4px',
+  border: '1px solid #475569',
+  background: '#1e293b',
+  color: 'white',
+  fontSize: '13px'
+};
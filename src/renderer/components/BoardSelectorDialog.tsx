@@ -4,7 +4,8 @@
  */
 import React, { useEffect, useState } from 'react';
 import { useBoardStore } from '../stores/boardStore';
-import type { BoardInfo } from '@shared/ipc';
+import type { BoardInfo, DuplicateBoardGroup } from '@shared/ipc';
+import { parseBoardLoadError } from '@shared/boardFormat';
 
 interface BoardSelectorDialogProps {
   isOpen: boolean;
@@ -19,6 +20,9 @@ export const BoardSelectorDialog: React.FC<BoardSelectorDialogProps> = ({ isOpen
   const [boards, setBoards] = useState<BoardInfo[]>([]);
   const [parentFolder, setParentFolder] = useState<string | null>(null);
   const [isLoadingList, setIsLoadingList] = useState(false);
+  /** 複数のフォルダに保存されている同じボード */
+  const [duplicates, setDuplicates] = useState<DuplicateBoardGroup[]>([]);
+  const [mergingBoardId, setMergingBoardId] = useState<string | null>(null);
 
   useEffect(() => {
     if (isOpen) {
@@ -30,8 +34,12 @@ export const BoardSelectorDialog: React.FC<BoardSelectorDialogProps> = ({ isOpen
   const loadBoardList = async () => {
     setIsLoadingList(true);
     try {
-      const list = await window.electronAPI.getBoardList();
+      const [list, duplicateGroups] = await Promise.all([
+        window.electronAPI.getBoardList(),
+        window.electronAPI.findDuplicateBoards()
+      ]);
       setBoards(list);
+      setDuplicates(duplicateGroups);
     } catch (error) {
       console.error('Failed to load board list:', error);
     } finally {
@@ -65,20 +73,52 @@ export const BoardSelectorDialog: React.FC<BoardSelectorDialogProps> = ({ isOpen
     setLoading(true);
     try {
       const data = await window.electronAPI.loadBoardFromPath(board.folderPath);
-      if (data) {
-        setBoard(data, board.folderPath);
-        onClose();
-      } else {
-        alert('ボードを開けませんでした');
-      }
+      setBoard(data, board.folderPath);
+      onClose();
     } catch (error) {
       console.error('Failed to open board:', error);
-      alert('ボードを開けませんでした');
+      const detail = parseBoardLoadError(error);
+      alert(detail ? `ボードを開けませんでした\n${detail}` : 'ボードを開けませんでした');
     } finally {
       setLoading(false);
     }
   };
 
+  /**
+   * 同じボードのフォルダを統合する
+   * 開いているボードが対象なら、未保存の変更を先に保存して統合に含め、統合後のフォルダから開き直す
+   */
+  const handleMergeDuplicates = async (group: DuplicateBoardGroup) => {
+    const message = `「${group.title}」の${group.folders.length}個のフォルダを、最後に更新されたフォルダに統合しますか？\n` +
+      `統合元のフォルダは親フォルダ内の .merged-duplicates に移します。`;
+    if (!confirm(message)) return;
+
+    setMergingBoardId(group.boardId);
+    try {
+      const current = useBoardStore.getState();
+      const isOpenBoard = current.board?.id === group.boardId;
+      if (isOpenBoard && current.isDirty && current.filePath) {
+        const data = current.getBoardData();
+        if (data) {
+          await window.electronAPI.saveBoard(data, current.filePath);
+          current.markClean(data);
+        }
+      }
+
+      const result = await window.electronAPI.mergeDuplicateBoards(group.boardId);
+      if (isOpenBoard) {
+        const data = await window.electronAPI.loadBoardFromPath(result.folderPath);
+        setBoard(data, result.folderPath);
+      }
+      await loadBoardList();
+    } catch (error) {
+      console.error('Failed to merge duplicate boards:', error);
+      alert(`ボードの統合に失敗しました: ${error instanceof Error ? error.message : String(error)}`);
+    } finally {
+      setMergingBoardId(null);
+    }
+  };
+
   if (!isOpen) return null;
 
   return (
@@ -171,6 +211,51 @@ export const BoardSelectorDialog: React.FC<BoardSelectorDialogProps> = ({ isOpen
           </div>
         </div>
 
+        {/* 重複したボードフォルダ */}
+        {duplicates.length > 0 && (
+          <div style={{
+            marginBottom: '16px',
+            padding: '12px',
+            background: '#422006',
+            border: '1px solid #a16207',
+            borderRadius: '8px',
+            fontSize: '13px'
+          }}>
+            <div style={{ marginBottom: '8px', color: '#fde68a' }}>
+              ⚠️ 同じボードが複数のフォルダに保存されています
+            </div>
+            {duplicates.map((group) => (
+              <div
+                key={group.boardId}
+                style={{ display: 'flex', alignItems: 'center', gap: '8px', marginTop: '6px' }}
+              >
+                <div
+                  style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}
+                  title={group.folders.map(f => `${f.folderPath}（${f.nodeCount}ノード）`).join('\n')}
+                >
+                  {group.title}（{group.folders.length}フォルダ）
+                </div>
+                <button
+                  onClick={() => handleMergeDuplicates(group)}
+                  disabled={mergingBoardId !== null}
+                  style={{
+                    padding: '4px 10px',
+                    borderRadius: '6px',
+                    border: 'none',
+                    background: '#a16207',
+                    color: 'white',
+                    fontSize: '12px',
+                    cursor: mergingBoardId !== null ? 'not-allowed' : 'pointer',
+                    opacity: mergingBoardId !== null ? 0.5 : 1
+                  }}
+                >
+                  {mergingBoardId === group.boardId ? '統合中...' : '🔗 統合'}
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+
         {/* ボード一覧 */}
         <div style={{
           flex: 1,
@@ -193,7 +278,7 @@ export const BoardSelectorDialog: React.FC<BoardSelectorDialogProps> = ({ isOpen
             <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
               {boards.map((board) => (
                 <div
-                  key={board.id}
+                  key={board.folderPath}
                   onClick={() => handleOpenBoard(board)}
                   style={{
                     padding: '12px 16px',
@@ -0,0 +1,131 @@
+/**
+ * ノードのつながりの問題を表示するダイアログコンポーネント
+ * 読み込み時・検査時に見つかった問題を一覧にし、まとめて修復できるようにする
+ */
+import React from 'react';
+import { useBoardStore } from '../stores/boardStore';
+import { GRAPH_ISSUE_LABELS } from '@shared/graphIntegrity';
+
+/**
+ * つながりの問題ダイアログ（問題がなければ表示しない）
+ */
+export const GraphIntegrityDialog: React.FC = () => {
+  const { graphIssues, nodes, repairGraph, dismissGraphIssues, selectNode, isAiResponding } = useBoardStore();
+
+  if (graphIssues.length === 0) return null;
+
+  const cannotRepair = graphIssues.some(issue => issue.kind === 'missingRoot');
+
+  const handleRepair = () => {
+    repairGraph();
+    alert('ノードのつながりを修復しました。保存すると修復した内容がファイルに反映されます');
+  };
+
+  /**
+   * 問題のあるノードを選択する（ダイアログは閉じない）
+   */
+  const handleSelectIssueNode = (nodeId: string) => {
+    if (nodes.some(n => n.id === nodeId)) {
+      selectNode(nodeId);
+    }
+  };
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      background: 'rgba(0,0,0,0.5)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 1000
+    }}>
+      <div style={{
+        background: '#1e293b',
+        borderRadius: '12px',
+        padding: '24px',
+        width: '560px',
+        maxWidth: '90%',
+        maxHeight: '80vh',
+        color: 'white',
+        display: 'flex',
+        flexDirection: 'column'
+      }}>
+        <h2 style={{ margin: '0 0 8px 0', fontSize: '18px' }}>
+          🩺 ノードのつながりに問題があります（{graphIssues.length}件）
+        </h2>
+        <p style={{ margin: '0 0 16px 0', fontSize: '13px', color: '#94a3b8', lineHeight: '1.5' }}>
+          親子関係（parentIds / childrenIds）の食い違いや循環があると、タイムラインやコンテキスト・サマリーの収集が正しく動きません。<br />
+          修復すると、存在しないノードへの参照と循環のもとになる接続を外し、片方だけの接続を補い、rootから辿れないノードをrootの子にします。
+        </p>
+
+        <div style={{ flex: 1, overflowY: 'auto', marginBottom: '16px' }}>
+          {graphIssues.map((issue, index) => (
+            <div
+              key={index}
+              onClick={() => handleSelectIssueNode(issue.nodeId)}
+              style={{
+                padding: '8px 12px',
+                marginBottom: '6px',
+                background: '#0f172a',
+                borderRadius: '6px',
+                fontSize: '13px',
+                cursor: 'pointer'
+              }}
+              title="クリックでノードを選択"
+            >
+              <span style={{
+                display: 'inline-block',
+                padding: '1px 6px',
+                marginRight: '8px',
+                borderRadius: '4px',
+                background: issue.kind === 'cycle' || issue.kind === 'missingRoot' ? '#b91c1c' : '#a16207',
+                fontSize: '11px'
+              }}>
+                {GRAPH_ISSUE_LABELS[issue.kind]}
+              </span>
+              {issue.message}
+            </div>
+          ))}
+        </div>
+
+        {cannotRepair && (
+          <div style={{ marginBottom: '12px', fontSize: '12px', color: '#fca5a5' }}>
+            rootノードがないため修復できません。ボードのフォルダ（board.json の rootNodeId と nodes.json）を確認してください。
+          </div>
+        )}
+
+        <div style={{ display: 'flex', gap: '12px', justifyContent: 'flex-end' }}>
+          <button onClick={dismissGraphIssues} style={dialogButtonStyle}>
+            閉じる
+          </button>
+          <button
+            onClick={handleRepair}
+            disabled={cannotRepair || isAiResponding}
+            style={{
+              ...dialogButtonStyle,
+              background: '#6366f1',
+              opacity: cannotRepair || isAiResponding ? 0.5 : 1,
+              cursor: cannotRepair || isAiResponding ? 'not-allowed' : 'pointer'
+            }}
+          >
+            🔧 修復する
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const dialogButtonStyle: React.CSSProperties = {
+  padding: '6px 12px',
+  borderRadius: '6px',
+  border: 'none',
+  background: '#475569',
+  color: 'white',
+  fontSize: '13px',
+  cursor: 'pointer'
+};
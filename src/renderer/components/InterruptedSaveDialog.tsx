@@ -0,0 +1,153 @@
+/**
+ * 保存中断の復元ダイアログコンポーネント
+ * 前回の保存が途中で止まったボード（一時ファイルが残っているもの）を示し、復元するか破棄するかを選ばせる
+ */
+import React, { useState } from 'react';
+import type { InterruptedSave, InterruptedSaveAction } from '@shared/ipc';
+
+interface InterruptedSaveDialogProps {
+  /** 保存し終えなかったボード（空なら表示しない） */
+  saves: InterruptedSave[];
+  /** 1件を処理した（復元・破棄した）ときに呼ばれる */
+  onResolved: (folderPath: string) => void;
+  /** 処理せずに閉じる（一時ファイルは残し、次回起動時に再度確認する） */
+  onClose: () => void;
+}
+
+/**
+ * 保存中断の復元ダイアログ
+ */
+export const InterruptedSaveDialog: React.FC<InterruptedSaveDialogProps> = ({ saves, onResolved, onClose }) => {
+  const [resolvingPath, setResolvingPath] = useState<string | null>(null);
+
+  const handleResolve = async (save: InterruptedSave, action: InterruptedSaveAction) => {
+    if (action === 'discard' && !confirm(`「${save.title || save.folderPath}」の保存されなかった変更を破棄しますか？`)) {
+      return;
+    }
+
+    setResolvingPath(save.folderPath);
+    try {
+      await window.electronAPI.resolveInterruptedSave(save.folderPath, action);
+      onResolved(save.folderPath);
+    } catch (error) {
+      console.error('Failed to resolve interrupted save:', error);
+      alert(action === 'recover' ? '復元に失敗しました' : '破棄に失敗しました');
+    } finally {
+      setResolvingPath(null);
+    }
+  };
+
+  if (saves.length === 0) return null;
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      background: 'rgba(0,0,0,0.5)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 1100
+    }}>
+      <div style={{
+        background: '#1e293b',
+        borderRadius: '12px',
+        padding: '24px',
+        width: '520px',
+        maxWidth: '90%',
+        maxHeight: '80vh',
+        overflowY: 'auto',
+        color: 'white'
+      }}>
+        <h2 style={{ margin: '0 0 8px 0', fontSize: '18px' }}>
+          ⚠️ 保存されなかった変更があります
+        </h2>
+        <p style={{ margin: '0 0 16px 0', fontSize: '13px', color: '#94a3b8', lineHeight: '1.5' }}>
+          前回の終了時に保存が途中で止まったボードがあります。<br />
+          復元すると、保存しようとしていた内容でボードを置き換えます（一時ファイルがそろっていない場合は破棄のみ選べます）。
+        </p>
+
+        {saves.map(save => {
+          const isResolving = resolvingPath === save.folderPath;
+          return (
+            <div
+              key={save.folderPath}
+              style={{
+                padding: '12px',
+                marginBottom: '12px',
+                background: '#0f172a',
+                borderRadius: '8px',
+                fontSize: '13px'
+              }}
+            >
+              <div style={{ fontWeight: 'bold', marginBottom: '4px' }}>
+                📋 {save.title || '（タイトル不明）'}
+              </div>
+              <div style={{
+                color: '#64748b',
+                fontSize: '11px',
+                marginBottom: '6px',
+                overflow: 'hidden',
+                textOverflow: 'ellipsis',
+                whiteSpace: 'nowrap'
+              }}>
+                {save.folderPath}
+              </div>
+              <div style={{ color: '#94a3b8', fontSize: '12px', marginBottom: '8px' }}>
+                {save.savedAt && `${new Date(save.savedAt).toLocaleString('ja-JP')} ・ `}
+                {[
+                  ...save.files.map(f => `${f.name}${f.recoverable ? '' : '（読み取れません）'}`),
+                  ...save.missingFiles.map(name => `${name}（一時ファイルなし）`)
+                ].join('、')}
+              </div>
+              {!save.recoverable && (
+                <div style={{ color: '#fca5a5', fontSize: '12px', marginBottom: '8px' }}>
+                  一部のファイルだけを復元するとボードの内容が食い違うため、復元できません
+                </div>
+              )}
+              <div style={{ display: 'flex', gap: '8px' }}>
+                <button
+                  onClick={() => handleResolve(save, 'recover')}
+                  disabled={isResolving || !save.recoverable}
+                  style={{
+                    ...dialogButtonStyle,
+                    background: '#6366f1',
+                    opacity: isResolving || !save.recoverable ? 0.5 : 1
+                  }}
+                >
+                  ♻️ 復元する
+                </button>
+                <button
+                  onClick={() => handleResolve(save, 'discard')}
+                  disabled={isResolving}
+                  style={{ ...dialogButtonStyle, opacity: isResolving ? 0.5 : 1 }}
+                >
+                  🗑 破棄する
+                </button>
+              </div>
+            </div>
+          );
+        })}
+
+        <div style={{ display: 'flex', justifyContent: 'flex-end' }}>
+          <button onClick={onClose} style={dialogButtonStyle}>
+            あとで確認する
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const dialogButtonStyle: React.CSSProperties = {
+  padding: '6px 12px',
+  borderRadius: '6px',
+  border: 'none',
+  background: '#475569',
+  color: 'white',
+  fontSize: '13px',
+  cursor: 'pointer'
+};
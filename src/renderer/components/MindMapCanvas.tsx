@@ -26,6 +26,7 @@ import { RootNode } from './nodes/RootNode';
 import { MessageNode } from './nodes/MessageNode';
 import { NoteNode } from './nodes/NoteNode';
 import { TopicNode } from './nodes/TopicNode';
+import { findInvalidParentTargets } from '@shared/graphIntegrity';
 import type { MindNode } from '@shared/types';
 
 /** カスタムノードタイプの定義 */
@@ -91,13 +92,23 @@ export const MindMapCanvas: React.FC = () => {
     connectToParent
   } = useBoardStore();
 
+  // 親ノード接続モード中に親にできないノード（自分自身・既存の親・子孫）と理由
+  const invalidParentTargets = useMemo(() => {
+    if (!isConnectingParent || !connectingFromNodeId) return null;
+    return findInvalidParentTargets(mindNodes, connectingFromNodeId);
+  }, [mindNodes, isConnectingParent, connectingFromNodeId]);
+
   // React Flow用のノードとエッジを生成
   const flowNodes = useMemo(() => {
     return mindNodes.map((node) => ({
       ...mindNodeToFlowNode(node),
-      selected: node.id === selectedNodeId
+      selected: node.id === selectedNodeId,
+      // 接続モード中は、親にできないノードを薄く、親にできるノードを枠で示す（接続元はそのまま）
+      ...(invalidParentTargets && node.id !== connectingFromNodeId && {
+        style: invalidParentTargets.has(node.id) ? invalidTargetStyle : validTargetStyle
+      })
     }));
-  }, [mindNodes, selectedNodeId]);
+  }, [mindNodes, selectedNodeId, invalidParentTargets, connectingFromNodeId]);
 
   const flowEdges = useMemo(() => createEdges(mindNodes), [mindNodes]);
 
@@ -129,14 +140,20 @@ export const MindMapCanvas: React.FC = () => {
    */
   const onNodeClick = useCallback(
     (_: React.MouseEvent, node: Node) => {
-      // 親ノード接続モードの場合は接続処理
+      // 親ノード接続モードの場合は接続処理（親にできないノードは理由を示し、接続モードを続ける）
       if (isConnectingParent && connectingFromNodeId) {
+        if (node.id === connectingFromNodeId) return;
+        const reason = invalidParentTargets?.get(node.id);
+        if (reason) {
+          alert(`このノードは親にできません: ${reason}`);
+          return;
+        }
         connectToParent(connectingFromNodeId, node.id);
       } else {
         selectNode(node.id);
       }
     },
-    [isConnectingParent, connectingFromNodeId, connectToParent, selectNode]
+    [isConnectingParent, connectingFromNodeId, invalidParentTargets, connectToParent, selectNode]
   );
 
   /**
@@ -166,6 +183,9 @@ export const MindMapCanvas: React.FC = () => {
           pointerEvents: 'none'
         }}>
           🔗 親ノードをクリックして接続してください
+          <div style={{ fontSize: '12px', fontWeight: 'normal', marginTop: '4px', opacity: 0.9 }}>
+            薄く表示されたノード（既存の親・子孫）は親にできません
+          </div>
         </div>
       )}
       
@@ -196,3 +216,17 @@ export const MindMapCanvas: React.FC = () => {
     </div>
   );
 };
+
+/** 接続モード中の親にできないノードのスタイル */
+const invalidTargetStyle: React.CSSProperties = {
+  opacity: 0.3,
+  cursor: 'not-allowed'
+};
+
+/** 接続モード中の親にできるノードのスタイル */
+const validTargetStyle: React.CSSProperties = {
+  outline: '2px dashed #6366f1',
+  outlineOffset: '4px',
+  borderRadius: '8px',
+  cursor: 'pointer'
+};
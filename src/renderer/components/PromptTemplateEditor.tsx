@@ -0,0 +1,132 @@
+/**
+ * プロンプトテンプレート編集コンポーネント
+ * 設定ダイアログ（ユーザー設定）とボード情報モーダル（ボードごとの上書き）で共用する
+ */
+import React, { useState } from 'react';
+import {
+  PROMPT_TEMPLATE_LABELS,
+  PROMPT_TEMPLATE_VARIABLES,
+  isSamePromptTemplate,
+  type PromptTemplate,
+  type PromptTemplateKind,
+  type PromptTemplates
+} from '@shared/promptTemplates';
+
+interface PromptTemplateEditorProps {
+  /** 編集中のテンプレート */
+  templates: PromptTemplates;
+  /** リセット時に戻すテンプレート（ユーザー設定なら既定、ボードならユーザー設定） */
+  resetTemplates: PromptTemplates;
+  /** リセットボタンの表示名 */
+  resetLabel: string;
+  /** テンプレートが変更された */
+  onChange: (kind: PromptTemplateKind, template: PromptTemplate) => void;
+}
+
+/**
+ * プロンプトテンプレートエディタ
+ */
+export const PromptTemplateEditor: React.FC<PromptTemplateEditorProps> = ({
+  templates,
+  resetTemplates,
+  resetLabel,
+  onChange
+}) => {
+  const [kind, setKind] = useState<PromptTemplateKind>('topics');
+  const template = templates[kind];
+  const isModified = !isSamePromptTemplate(template, resetTemplates[kind]);
+
+  return (
+    <div>
+      <div style={{ display: 'flex', gap: '4px', marginBottom: '8px' }}>
+        {(Object.keys(PROMPT_TEMPLATE_LABELS) as PromptTemplateKind[]).map(k => (
+          <button
+            key={k}
+            onClick={() => setKind(k)}
+            style={{
+              flex: 1,
+              padding: '6px 8px',
+              borderRadius: '6px',
+              border: 'none',
+              background: k === kind ? '#6366f1' : '#334155',
+              color: 'white',
+              fontSize: '12px',
+              cursor: 'pointer'
+            }}
+          >
+            {PROMPT_TEMPLATE_LABELS[k]}
+            {!isSamePromptTemplate(templates[k], resetTemplates[k]) && ' ✏️'}
+          </button>
+        ))}
+      </div>
+
+      <label style={templateLabelStyle}>システムプロンプト</label>
+      <textarea
+        value={template.system}
+        onChange={(e) => onChange(kind, { ...template, system: e.target.value })}
+        rows={6}
+        style={templateTextareaStyle}
+      />
+      <label style={templateLabelStyle}>ユーザープロンプト</label>
+      <textarea
+        value={template.user}
+        onChange={(e) => onChange(kind, { ...template, user: e.target.value })}
+        rows={4}
+        style={templateTextareaStyle}
+      />
+
+      <div style={{ display: 'flex', alignItems: 'flex-start', justifyContent: 'space-between', gap: '8px' }}>
+        <div style={{ fontSize: '11px', color: '#64748b' }}>
+          {Object.entries(PROMPT_TEMPLATE_VARIABLES[kind]).map(([name, description]) => (
+            <div key={name}>
+              <code style={{ color: '#a5b4fc' }}>{`{{${name}}}`}</code> {description}
+            </div>
+          ))}
+          {'context' in PROMPT_TEMPLATE_VARIABLES[kind] && (
+            <div>
+              <code style={{ color: '#a5b4fc' }}>{'{{#context}}…{{/context}}'}</code> 文脈がある場合だけ含める
+            </div>
+          )}
+        </div>
+        <button
+          onClick={() => onChange(kind, resetTemplates[kind])}
+          disabled={!isModified}
+          style={{
+            flexShrink: 0,
+            padding: '4px 10px',
+            borderRadius: '6px',
+            border: 'none',
+            background: '#475569',
+            color: 'white',
+            fontSize: '12px',
+            cursor: isModified ? 'pointer' : 'default',
+            opacity: isModified ? 1 : 0.5
+          }}
+        >
+          {resetLabel}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const templateLabelStyle: React.CSSProperties = {
+  display: 'block',
+  fontSize: '12px',
+  color: '#94a3b8',
+  marginBottom: '4px'
+};
+
+const templateTextareaStyle: React.CSSProperties = {
+  width: '100%',
+  padding: '8px',
+  borderRadius: '6px',
+  border: '1px solid #475569',
+  background: '#0f172a',
+  color: 'white',
+  fontSize: '12px',
+  fontFamily: 'monospace',
+  resize: 'vertical',
+  boxSizing: 'border-box',
+  marginBottom: '8px'
+};
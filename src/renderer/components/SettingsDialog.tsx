@@ -3,6 +3,18 @@
  */
 import React, { useState, useEffect } from 'react';
 import { useSettingsStore } from '../stores/settingsStore';
+import { formatCostJPY } from '@shared/cost';
+import { DEFAULT_PROMPT_TEMPLATES, type PromptTemplates } from '@shared/promptTemplates';
+import { PromptTemplateEditor } from './PromptTemplateEditor';
+import type { Provider } from '@shared/types';
+import type { LLMMode, MonthlyUsage } from '@shared/ipc';
+
+/** LLMモードの選択肢 */
+const LLM_MODE_OPTIONS: Array<{ value: LLMMode; label: string; description: string }> = [
+  { value: 'live', label: '通常', description: '実際のAPIを呼び出します' },
+  { value: 'mock', label: 'モック', description: 'APIを呼ばず、記録済みの応答（なければ決まった応答）を返します。APIキーなしでオフラインのデモができ、費用はかかりません' },
+  { value: 'record', label: '記録', description: '実際のAPIを呼び出し、リクエストと応答の組を記録フォルダに保存します。保存した応答はモックで再生されます' }
+];
 
 interface SettingsDialogProps {
   isOpen: boolean;
@@ -15,23 +27,54 @@ interface SettingsDialogProps {
 export const SettingsDialog: React.FC<SettingsDialogProps> = ({ isOpen, onClose }) => {
   const { settings, updateSettings, availableModels, loadAvailableModels, getModelsForProvider } = useSettingsStore();
   const [openaiKey, setOpenaiKey] = useState('');
+  const [anthropicKey, setAnthropicKey] = useState('');
+  const [googleKey, setGoogleKey] = useState('');
+  const [localEndpoint, setLocalEndpoint] = useState('');
+  const [localApiKey, setLocalApiKey] = useState('');
+  /** プロバイダーの有効/無効（APIキー欄の横のトグル） */
+  const [enabledProviders, setEnabledProviders] = useState<Partial<Record<Provider, boolean>>>({});
   const [parentFolder, setParentFolder] = useState('');
   const [defaultModel, setDefaultModel] = useState('');
   const [topicModel, setTopicModel] = useState('');
+  const [monthlyBudget, setMonthlyBudget] = useState('');
+  const [llmMode, setLlmMode] = useState<LLMMode>('live');
+  const [recordingsPath, setRecordingsPath] = useState('');
+  /** 今月の利用額（全ボード合計） */
+  const [monthlyUsage, setMonthlyUsage] = useState<MonthlyUsage | null>(null);
+  /** トピック・ノート・サマリー生成のプロンプトテンプレート */
+  const [promptTemplates, setPromptTemplates] = useState<PromptTemplates | null>(null);
   const [isSaving, setIsSaving] = useState(false);
 
   useEffect(() => {
     if (isOpen) {
       setOpenaiKey(settings.openaiApiKey || '');
+      setAnthropicKey(settings.anthropicApiKey || '');
+      setGoogleKey(settings.googleApiKey || '');
+      setLocalEndpoint(settings.localEndpoint || '');
+      setLocalApiKey(settings.localApiKey || '');
+      setEnabledProviders({
+        anthropic: availableModels?.providers.anthropic?.enabled ?? false,
+        google: availableModels?.providers.google?.enabled ?? false,
+        local: availableModels?.providers.local?.enabled ?? false
+      });
       setParentFolder(settings.parentFolderPath || '');
       setDefaultModel(settings.defaultModel || 'gpt-5-mini');
       setTopicModel(settings.topicGenerationModel || 'gpt-5-mini');
+      setMonthlyBudget(settings.monthlyBudgetJPY ? String(settings.monthlyBudgetJPY) : '');
+      setLlmMode(settings.llmMode || 'live');
+      setRecordingsPath(settings.llmRecordingsPath || '');
+      window.electronAPI.getMonthlyUsage()
+        .then(setMonthlyUsage)
+        .catch((error) => console.error('Failed to load monthly usage:', error));
+      window.electronAPI.getPromptTemplates()
+        .then(setPromptTemplates)
+        .catch((error) => console.error('Failed to load prompt templates:', error));
       // モデル一覧を読み込み
       if (!availableModels) {
         loadAvailableModels();
       }
     }
-  }, [isOpen, settings.openaiApiKey, settings.parentFolderPath, settings.defaultModel, settings.topicGenerationModel, availableModels, loadAvailableModels]);
+  }, [isOpen, settings.openaiApiKey, settings.anthropicApiKey, settings.googleApiKey, settings.localEndpoint, settings.localApiKey, settings.parentFolderPath, settings.defaultModel, settings.topicGenerationModel, settings.monthlyBudgetJPY, settings.llmMode, settings.llmRecordingsPath, availableModels, loadAvailableModels]);
 
   const handleSelectParentFolder = async () => {
     try {
@@ -50,11 +93,22 @@ export const SettingsDialog: React.FC<SettingsDialogProps> = ({ isOpen, onClose
     try {
       await updateSettings({
         openaiApiKey: openaiKey || undefined,
+        anthropicApiKey: anthropicKey || undefined,
+        googleApiKey: googleKey || undefined,
+        localEndpoint: localEndpoint.trim() || undefined,
+        localApiKey: localApiKey || undefined,
+        enabledProviders: { ...settings.enabledProviders, ...enabledProviders },
         parentFolderPath: parentFolder || undefined,
         defaultProvider: 'openai',
         defaultModel: defaultModel || 'gpt-5-mini',
-        topicGenerationModel: topicModel || 'gpt-5-mini'
+        topicGenerationModel: topicModel || 'gpt-5-mini',
+        monthlyBudgetJPY: Number(monthlyBudget) > 0 ? Number(monthlyBudget) : undefined,
+        llmMode: llmMode === 'live' ? undefined : llmMode,
+        llmRecordingsPath: recordingsPath.trim() || undefined
       });
+      if (promptTemplates) {
+        await window.electronAPI.savePromptTemplates(promptTemplates);
+      }
       onClose();
     } catch (error) {
       console.error('Failed to save settings:', error);
@@ -84,6 +138,8 @@ export const SettingsDialog: React.FC<SettingsDialogProps> = ({ isOpen, onClose
         borderRadius: '12px',
         padding: '24px',
         width: '450px',
+        maxHeight: '90vh',
+        overflowY: 'auto',
         color: 'white'
       }}>
         <h2 style={{ margin: '0 0 20px 0', fontSize: '18px' }}>
@@ -124,6 +180,136 @@ export const SettingsDialog: React.FC<SettingsDialogProps> = ({ isOpen, onClose
           </p>
         </div>
 
+        {/* Anthropic API Key */}
+        <div style={{ marginBottom: '20px' }}>
+          <div style={providerLabelRowStyle}>
+            <label style={{ fontSize: '14px' }}>
+              Anthropic API Key
+            </label>
+            <ProviderToggle
+              checked={enabledProviders.anthropic ?? false}
+              onChange={(checked) => setEnabledProviders({ ...enabledProviders, anthropic: checked })}
+            />
+          </div>
+          <input
+            type="password"
+            value={anthropicKey}
+            onChange={(e) => setAnthropicKey(e.target.value)}
+            placeholder="sk-ant-..."
+            style={{
+              width: '100%',
+              padding: '10px 12px',
+              borderRadius: '6px',
+              border: '1px solid #475569',
+              background: '#0f172a',
+              color: 'white',
+              fontSize: '14px',
+              boxSizing: 'border-box'
+            }}
+          />
+          <p style={{ fontSize: '12px', color: '#64748b', marginTop: '6px' }}>
+            Claude モデルを使用する場合に入力してください。<br />
+            <a 
+              href="https://console.anthropic.com/settings/keys" 
+              target="_blank" 
+              rel="noopener noreferrer"
+              style={{ color: '#6366f1' }}
+            >
+              APIキーの取得はこちら
+            </a>
+          </p>
+        </div>
+
+        {/* Google API Key */}
+        <div style={{ marginBottom: '20px' }}>
+          <div style={providerLabelRowStyle}>
+            <label style={{ fontSize: '14px' }}>
+              Google (Gemini) API Key
+            </label>
+            <ProviderToggle
+              checked={enabledProviders.google ?? false}
+              onChange={(checked) => setEnabledProviders({ ...enabledProviders, google: checked })}
+            />
+          </div>
+          <input
+            type="password"
+            value={googleKey}
+            onChange={(e) => setGoogleKey(e.target.value)}
+            placeholder="AIza..."
+            style={{
+              width: '100%',
+              padding: '10px 12px',
+              borderRadius: '6px',
+              border: '1px solid #475569',
+              background: '#0f172a',
+              color: 'white',
+              fontSize: '14px',
+              boxSizing: 'border-box'
+            }}
+          />
+          <p style={{ fontSize: '12px', color: '#64748b', marginTop: '6px' }}>
+            Gemini モデルを使用する場合に入力し、「有効にする」をオンにしてください。<br />
+            <a 
+              href="https://aistudio.google.com/apikey" 
+              target="_blank" 
+              rel="noopener noreferrer"
+              style={{ color: '#6366f1' }}
+            >
+              APIキーの取得はこちら
+            </a>
+          </p>
+        </div>
+
+        {/* ローカルLLM */}
+        <div style={{ marginBottom: '20px' }}>
+          <div style={providerLabelRowStyle}>
+            <label style={{ fontSize: '14px' }}>
+              ローカルLLM エンドポイント
+            </label>
+            <ProviderToggle
+              checked={enabledProviders.local ?? false}
+              onChange={(checked) => setEnabledProviders({ ...enabledProviders, local: checked })}
+            />
+          </div>
+          <input
+            type="text"
+            value={localEndpoint}
+            onChange={(e) => setLocalEndpoint(e.target.value)}
+            placeholder="http://localhost:11434/v1"
+            style={{
+              width: '100%',
+              padding: '10px 12px',
+              borderRadius: '6px',
+              border: '1px solid #475569',
+              background: '#0f172a',
+              color: 'white',
+              fontSize: '14px',
+              boxSizing: 'border-box',
+              marginBottom: '8px'
+            }}
+          />
+          <input
+            type="password"
+            value={localApiKey}
+            onChange={(e) => setLocalApiKey(e.target.value)}
+            placeholder="APIキー（認証が必要な場合のみ）"
+            style={{
+              width: '100%',
+              padding: '10px 12px',
+              borderRadius: '6px',
+              border: '1px solid #475569',
+              background: '#0f172a',
+              color: 'white',
+              fontSize: '14px',
+              boxSizing: 'border-box'
+            }}
+          />
+          <p style={{ fontSize: '12px', color: '#64748b', marginTop: '6px' }}>
+            Ollama / llama.cpp / LM Studio などのOpenAI互換APIのURLを入力してください。<br />
+            モデル一覧はエンドポイントから自動取得され、データは外部に送信されません。
+          </p>
+        </div>
+
         {/* 親フォルダ設定 */}
         <div style={{ marginBottom: '20px' }}>
           <label style={{ display: 'block', marginBottom: '6px', fontSize: '14px' }}>
@@ -226,6 +412,102 @@ export const SettingsDialog: React.FC<SettingsDialogProps> = ({ isOpen, onClose
           </p>
         </div>
 
+        {/* 月間予算 */}
+        <div style={{ marginBottom: '20px' }}>
+          <label style={{ display: 'block', marginBottom: '6px', fontSize: '14px' }}>
+            💰 月間予算（円）
+          </label>
+          <input
+            type="number"
+            min={0}
+            value={monthlyBudget}
+            onChange={(e) => setMonthlyBudget(e.target.value)}
+            placeholder="未設定（上限なし）"
+            style={{
+              width: '100%',
+              padding: '10px 12px',
+              borderRadius: '6px',
+              border: '1px solid #475569',
+              background: '#0f172a',
+              color: 'white',
+              fontSize: '14px',
+              boxSizing: 'border-box'
+            }}
+          />
+          <p style={{ fontSize: '12px', color: '#64748b', marginTop: '6px' }}>
+            全ボード合計の今月の利用額がこの金額を超える見込みの場合、AIへの送信を中止します（80%を超えると警告）
+            {monthlyUsage && (
+              <><br />今月（{monthlyUsage.month}）の利用額: {formatCostJPY(monthlyUsage.costJPY)}</>
+            )}
+          </p>
+        </div>
+
+        {/* LLMモード（モック・記録） */}
+        <div style={{ marginBottom: '20px' }}>
+          <label style={{ display: 'block', marginBottom: '6px', fontSize: '14px' }}>
+            🧪 AI呼び出しモード
+          </label>
+          <select
+            value={llmMode}
+            onChange={(e) => setLlmMode(e.target.value as LLMMode)}
+            style={{
+              width: '100%',
+              padding: '10px 12px',
+              borderRadius: '6px',
+              border: '1px solid #475569',
+              background: '#0f172a',
+              color: 'white',
+              fontSize: '14px',
+              boxSizing: 'border-box',
+              cursor: 'pointer'
+            }}
+          >
+            {LLM_MODE_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          {llmMode !== 'live' && (
+            <input
+              type="text"
+              value={recordingsPath}
+              onChange={(e) => setRecordingsPath(e.target.value)}
+              placeholder="記録フォルダ（未入力ならユーザーデータの llm-recordings）"
+              style={{
+                width: '100%',
+                padding: '10px 12px',
+                borderRadius: '6px',
+                border: '1px solid #475569',
+                background: '#0f172a',
+                color: 'white',
+                fontSize: '14px',
+                boxSizing: 'border-box',
+                marginTop: '8px'
+              }}
+            />
+          )}
+          <p style={{ fontSize: '12px', color: '#64748b', marginTop: '6px' }}>
+            {LLM_MODE_OPTIONS.find(option => option.value === llmMode)?.description}
+          </p>
+        </div>
+
+        {/* プロンプトテンプレート */}
+        {promptTemplates && (
+          <details style={{ marginBottom: '20px' }}>
+            <summary style={{ marginBottom: '8px', fontSize: '14px', cursor: 'pointer' }}>
+              📝 プロンプトテンプレート
+            </summary>
+            <PromptTemplateEditor
+              templates={promptTemplates}
+              resetTemplates={DEFAULT_PROMPT_TEMPLATES}
+              resetLabel="既定に戻す"
+              onChange={(kind, template) => setPromptTemplates({ ...promptTemplates, [kind]: template })}
+            />
+            <p style={{ fontSize: '12px', color: '#64748b', marginTop: '6px' }}>
+              全ボード共通のテンプレートです。ボードごとの上書きはボード情報から設定できます
+            </p>
+          </details>
+        )}
+
         <div style={{ display: 'flex', gap: '12px', justifyContent: 'flex-end' }}>
           <button
             onClick={onClose}
@@ -262,3 +544,26 @@ export const SettingsDialog: React.FC<SettingsDialogProps> = ({ isOpen, onClose
     </div>
   );
 };
+
+/**
+ * プロバイダー有効化トグル
+ * 有効にしたプロバイダーのモデルがモデル選択に表示される
+ */
+const ProviderToggle: React.FC<{ checked: boolean; onChange: (checked: boolean) => void }> = ({ checked, onChange }) => (
+  <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '12px', color: '#94a3b8', cursor: 'pointer' }}>
+    <input
+      type="checkbox"
+      checked={checked}
+      onChange={(e) => onChange(e.target.checked)}
+      style={{ cursor: 'pointer', accentColor: '#6366f1' }}
+    />
+    有効にする
+  </label>
+);
+
+const providerLabelRowStyle: React.CSSProperties = {
+  display: 'flex',
+  alignItems: 'center',
+  justifyContent: 'space-between',
+  marginBottom: '6px'
+};
@@ -19,7 +19,9 @@ export const SidePanel: React.FC = () => {
     board, 
     selectedNodeId,
     isAiResponding,
-    setAiResponding
+    setAiResponding,
+    budgetWarning,
+    setBudgetWarning
   } = useBoardStore();
 
   const [activeTab, setActiveTab] = useState<TabType>('node');
@@ -129,6 +131,21 @@ export const SidePanel: React.FC = () => {
         </div>
       )}
 
+      {/* 予算警告（閉じるまで表示） */}
+      {budgetWarning && (
+        <div style={budgetWarningStyle}>
+          <span>💰</span>
+          <span style={{ flex: 1, whiteSpace: 'pre-wrap' }}>{budgetWarning}</span>
+          <button
+            onClick={() => setBudgetWarning(null)}
+            style={{ background: 'transparent', border: 'none', color: '#fcd34d', cursor: 'pointer', fontSize: '14px' }}
+            title="閉じる"
+          >
+            ×
+          </button>
+        </div>
+      )}
+
       {/* タブコンテンツ */}
       <div style={tabContentStyle}>
         {activeTab === 'node' ? (
@@ -221,6 +238,13 @@ const loadingIndicatorStyle: React.CSSProperties = {
   flexShrink: 0
 };
 
+const budgetWarningStyle: React.CSSProperties = {
+  ...loadingIndicatorStyle,
+  alignItems: 'flex-start',
+  background: '#422006',
+  color: '#fcd34d'
+};
+
 const tabContentStyle: React.CSSProperties = {
   flex: 1,
   overflow: 'auto',
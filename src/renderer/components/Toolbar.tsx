@@ -59,10 +59,8 @@ export const Toolbar: React.FC = () => {
       setNewBoardDescription('');
       setNewBoardModel('');
 
-      // 作成後すぐに保存
-      setTimeout(async () => {
-        await handleSaveBoard();
-      }, 100);
+      // 作成後すぐに保存（ストアは同期的に更新されるため待たずに保存できる）
+      await handleSaveBoard();
     } catch (error) {
       console.error('Failed to create board:', error);
       alert('ボードの作成に失敗しました');
@@ -88,7 +86,7 @@ export const Toolbar: React.FC = () => {
       const path = await window.electronAPI.saveBoard(data, useBoardStore.getState().filePath || undefined);
       if (path) {
         setFilePath(path);
-        markClean();
+        markClean(data);
       }
     } catch (error) {
       console.error('Failed to save board:', error);
@@ -175,6 +173,14 @@ export const Toolbar: React.FC = () => {
           </div>
         )}
 
+        {/* 実際のAPIを呼ばない・記録中であることを常に示す */}
+        {settings.llmMode === 'mock' && (
+          <span style={modeBadgeStyle} title="APIを呼ばず、記録済みまたは決まった応答を返しています">🧪 モック</span>
+        )}
+        {settings.llmMode === 'record' && (
+          <span style={{ ...modeBadgeStyle, background: '#b91c1c' }} title="リクエストと応答を記録フォルダに保存しています">⏺ 記録中</span>
+        )}
+
         {/* 設定ボタン */}
         <button
           onClick={() => setShowSettingsDialog(true)}
@@ -324,3 +330,11 @@ const inputStyle: React.CSSProperties = {
   fontSize: '14px',
   boxSizing: 'border-box'
 };
+
+const modeBadgeStyle: React.CSSProperties = {
+  padding: '4px 8px',
+  borderRadius: '4px',
+  background: '#7c3aed',
+  color: 'white',
+  fontSize: '12px'
+};
@@ -4,8 +4,12 @@
  */
 import React, { memo, useState, useCallback } from 'react';
 import { Handle, Position, NodeProps } from '@xyflow/react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
 import { useBoardStore } from '../../stores/boardStore';
-import type { MindNode } from '@shared/types';
+import { LLM_ERROR_LABELS, LLM_ERROR_HINTS } from '@shared/llmError';
+import { formatCostJPY } from '@shared/cost';
+import type { MindNode, LLMErrorInfo } from '@shared/types';
 
 interface MessageNodeData extends MindNode {
   label: string;
@@ -40,6 +44,58 @@ const LoadingIndicator: React.FC = () => (
   </div>
 );
 
+/**
+ * ストリーミング中の回答プレビュー
+ * ノード内に収まるよう高さを制限し、末尾（最新の出力）が見えるように表示する
+ */
+const StreamingContent: React.FC<{ content: string }> = ({ content }) => (
+  <div style={{
+    display: 'flex',
+    flexDirection: 'column-reverse',
+    maxHeight: '160px',
+    overflow: 'hidden',
+    fontSize: '12px',
+    lineHeight: '1.4',
+    wordBreak: 'break-word'
+  }}>
+    <div className="markdown-content streaming-content" style={{ color: 'white' }}>
+      <ReactMarkdown remarkPlugins={[remarkGfm]}>
+        {content}
+      </ReactMarkdown>
+      <span className="streaming-cursor" />
+    </div>
+  </div>
+);
+
+/**
+ * 回答生成エラーの表示
+ * エラー種別と対処方法を示し、質問ノードからの再送信を促す
+ */
+const ErrorContent: React.FC<{ error: LLMErrorInfo }> = ({ error }) => (
+  <div style={{
+    marginTop: '4px',
+    padding: '8px',
+    borderRadius: '6px',
+    background: 'rgba(0, 0, 0, 0.2)',
+    fontSize: '12px',
+    lineHeight: '1.4',
+    wordBreak: 'break-word'
+  }}>
+    <div style={{ fontWeight: 'bold', marginBottom: '4px' }}>
+      ⚠️ {LLM_ERROR_LABELS[error.kind]}
+    </div>
+    <div style={{ opacity: 0.85, marginBottom: '4px' }}>
+      {error.message.length > 120 ? error.message.slice(0, 120) + '...' : error.message}
+    </div>
+    {LLM_ERROR_HINTS[error.kind] && (
+      <div>{LLM_ERROR_HINTS[error.kind]}</div>
+    )}
+    <div style={{ opacity: 0.7, marginTop: '4px', fontSize: '11px' }}>
+      質問ノードを選択して「再送信」できます
+    </div>
+  </div>
+);
+
 /**
  * メッセージノード - 質問と回答を表示
  */
@@ -47,12 +103,22 @@ export const MessageNode: React.FC<NodeProps> = memo(({ data, selected }) => {
   const nodeData = data as unknown as MessageNodeData;
   const isUser = nodeData.role === 'user';
   const isLoading = nodeData.isLoading === true;
+  const hasError = !isLoading && !!nodeData.error;
   const [isHovered, setIsHovered] = useState(false);
   
-  const { board, nodes, addNode, selectNode, setPendingFocusNodeId, isAiResponding } = useBoardStore();
+  const { board, nodes, addNode, updateNode, selectNode, setPendingFocusNodeId, isAiResponding, activeRequestIds, cancelAiRequest } = useBoardStore();
   
   // 質問ノードの場合は常に複製ボタンを表示
   const showDuplicateButton = isQuestionNode(nodeData);
+  const suggestedQuestions = !isUser && !isLoading && !hasError ? nodeData.suggestedQuestions || [] : [];
+
+  /**
+   * 生成中の回答を停止
+   */
+  const handleStop = useCallback((e: React.MouseEvent) => {
+    e.stopPropagation(); // ノードのクリックイベントを止める
+    cancelAiRequest();
+  }, [cancelAiRequest]);
 
   /**
    * 質問ノードを複製（確認ダイアログなし）
@@ -81,6 +147,37 @@ export const MessageNode: React.FC<NodeProps> = memo(({ data, selected }) => {
     setPendingFocusNodeId(duplicatedNode.id);
   }, [board, nodeData, addNode, selectNode, setPendingFocusNodeId]);
 
+  /**
+   * 提案された質問から、この回答に続く質問ノードを作成（送信はせず下書きとして入力欄に入れる）
+   */
+  const handleUseSuggestion = useCallback((e: React.MouseEvent, question: string) => {
+    e.stopPropagation(); // ノードのクリックイベントを止める
+
+    if (!board) return;
+
+    const questionNode = addNode({
+      boardId: board.id,
+      type: 'message',
+      role: 'user',
+      title: '',
+      content: question,
+      parentIds: [nodeData.id],
+      createdBy: 'user',
+      position: {
+        x: nodeData.position.x + 100 + nodeData.childrenIds.length * 40,
+        y: nodeData.position.y + 120
+      }
+    });
+
+    // 使った提案は取り除く
+    updateNode(nodeData.id, {
+      suggestedQuestions: nodeData.suggestedQuestions?.filter(q => q !== question)
+    });
+
+    selectNode(questionNode.id);
+    setPendingFocusNodeId(questionNode.id);
+  }, [board, nodeData, addNode, updateNode, selectNode, setPendingFocusNodeId]);
+
   return (
     <div
       className={`message-node ${selected ? 'selected' : ''}`}
@@ -91,7 +188,9 @@ export const MessageNode: React.FC<NodeProps> = memo(({ data, selected }) => {
         borderRadius: '12px',
         background: isUser 
           ? 'linear-gradient(135deg, #3b82f6 0%, #1d4ed8 100%)'
-          : 'linear-gradient(135deg, #10b981 0%, #059669 100%)',
+          : hasError
+            ? 'linear-gradient(135deg, #ef4444 0%, #b91c1c 100%)'
+            : 'linear-gradient(135deg, #10b981 0%, #059669 100%)',
         color: 'white',
         fontSize: '14px',
         boxShadow: selected 
@@ -112,6 +211,7 @@ export const MessageNode: React.FC<NodeProps> = memo(({ data, selected }) => {
       <div style={{ 
         display: 'flex', 
         alignItems: 'center', 
+        flexWrap: 'wrap',
         gap: '6px',
         marginBottom: '6px',
         fontSize: '12px',
@@ -119,6 +219,9 @@ export const MessageNode: React.FC<NodeProps> = memo(({ data, selected }) => {
       }}>
         <span>{isUser ? '💬' : '🤖'}</span>
         <span>{isUser ? 'あなた' : 'AI'}</span>
+        {nodeData.metadata?.preferred && (
+          <span title="採用した回答">⭐</span>
+        )}
         {nodeData.model && (
           <span style={{ 
             fontSize: '10px', 
@@ -126,7 +229,37 @@ export const MessageNode: React.FC<NodeProps> = memo(({ data, selected }) => {
             padding: '2px 6px', 
             borderRadius: '4px' 
           }}>
-            {nodeData.model}
+            {/* 同じ質問を複数のプロバイダーに送って比較するため、プロバイダーも併記する */}
+            {nodeData.provider ? `${nodeData.provider}/${nodeData.model}` : nodeData.model}
+          </span>
+        )}
+        {nodeData.temperature !== undefined && (
+          <span
+            style={{ 
+              fontSize: '10px', 
+              background: 'rgba(255,255,255,0.2)', 
+              padding: '2px 6px', 
+              borderRadius: '4px' 
+            }}
+            title="生成温度"
+          >
+            T{nodeData.temperature}
+          </span>
+        )}
+        {nodeData.usage && (
+          <span
+            style={{ 
+              fontSize: '10px', 
+              background: 'rgba(0,0,0,0.2)', 
+              padding: '2px 6px', 
+              borderRadius: '4px' 
+            }}
+            title={`入力 ${nodeData.usage.promptTokens.toLocaleString()} / 出力 ${nodeData.usage.completionTokens.toLocaleString()} トークン`}
+          >
+            {/* 料金が未定義のモデル（ローカルLLMなど）はトークン数を表示 */}
+            {nodeData.usage.costJPY !== undefined
+              ? formatCostJPY(nodeData.usage.costJPY)
+              : `${nodeData.usage.totalTokens.toLocaleString()} tok`}
           </span>
         )}
       </div>
@@ -137,23 +270,87 @@ export const MessageNode: React.FC<NodeProps> = memo(({ data, selected }) => {
         </div>
       )}
       
-      {/* ローディング時はアニメーション表示、それ以外は通常のコンテンツ表示 */}
+      {/* ローディング時はアニメーション（ストリーミング中は途中経過）、それ以外は通常のコンテンツ表示 */}
       {isLoading ? (
-        <LoadingIndicator />
+        <>
+          {nodeData.content ? <StreamingContent content={nodeData.content} /> : <LoadingIndicator />}
+          {activeRequestIds.length > 0 && (
+            <button
+              onClick={handleStop}
+              style={{
+                marginTop: '6px',
+                padding: '4px 10px',
+                borderRadius: '4px',
+                border: 'none',
+                background: '#dc2626',
+                color: 'white',
+                fontSize: '11px',
+                cursor: 'pointer'
+              }}
+              title="生成を停止"
+            >
+              ⏹ 停止
+            </button>
+          )}
+        </>
       ) : (
-        <div style={{ 
-          fontSize: '13px',
-          lineHeight: '1.4',
-          wordBreak: 'break-word'
+        <>
+          {(!hasError || nodeData.content) && (
+            <div style={{ 
+              fontSize: '13px',
+              lineHeight: '1.4',
+              wordBreak: 'break-word'
+            }}>
+              {nodeData.content.length > 150 
+                ? nodeData.content.slice(0, 150) + '...' 
+                : nodeData.content}
+            </div>
+          )}
+          {/* 生成に失敗した場合はエラー内容と対処方法を表示 */}
+          {hasError && nodeData.error && <ErrorContent error={nodeData.error} />}
+        </>
+      )}
+
+      {/* 提案された次の質問 - クリックで質問ノードの下書きを作成 */}
+      {suggestedQuestions.length > 0 && (
+        <div style={{
+          display: 'flex',
+          flexDirection: 'column',
+          gap: '4px',
+          marginTop: '8px',
+          paddingTop: '8px',
+          borderTop: '1px solid rgba(255,255,255,0.25)'
         }}>
-          {nodeData.content.length > 150 
-            ? nodeData.content.slice(0, 150) + '...' 
-            : nodeData.content}
+          <div style={{ fontSize: '11px', opacity: 0.8 }}>❓ 次の質問</div>
+          {suggestedQuestions.map(question => (
+            <button
+              key={question}
+              className="nodrag"
+              onClick={(e) => handleUseSuggestion(e, question)}
+              disabled={isAiResponding}
+              style={{
+                padding: '4px 8px',
+                borderRadius: '6px',
+                border: 'none',
+                background: 'rgba(0, 0, 0, 0.2)',
+                color: 'white',
+                fontSize: '11px',
+                lineHeight: '1.4',
+                textAlign: 'left',
+                wordBreak: 'break-word',
+                cursor: isAiResponding ? 'not-allowed' : 'pointer',
+                opacity: isAiResponding ? 0.5 : 1
+              }}
+              title={isAiResponding ? 'AI応答中は作成できません' : 'この質問で質問ノードを作成'}
+            >
+              {question}
+            </button>
+          ))}
         </div>
       )}
 
       {/* アクションボタン - ホバー時に表示 */}
-      {isHovered && !isUser && (
+      {isHovered && !isUser && !hasError && (
         <div style={{
           position: 'absolute',
           bottom: '-32px',
@@ -2,14 +2,47 @@
  * ノード編集タブコンポーネント
  * ノードの詳細表示・編集・質問送信・アクション機能を担当
  */
-import React, { useState, useCallback, useEffect, useRef } from 'react';
+import React, { useState, useCallback, useEffect, useMemo, useRef } from 'react';
 import ReactMarkdown from 'react-markdown';
+import { v4 as uuidv4 } from 'uuid';
 import remarkGfm from 'remark-gfm';
 import { useBoardStore } from '../../stores/boardStore';
 import { useSettingsStore } from '../../stores/settingsStore';
 import { TimelineModal } from '../TimelineModal';
 import { CreateTopicModal } from '../CreateTopicModal';
-import type { MindNode, NodeType, NodeId } from '@shared/types';
+import { AlternativeAnswersPanel, type AnswerVariant } from '../AlternativeAnswersPanel';
+import { AnswerCompareModal } from '../AnswerCompareModal';
+import { parseLLMError, formatLLMError } from '@shared/llmError';
+import { buildContextForNode, type BuiltContext, type ContextItemSource, type ContextItemStatus } from '@shared/contextBuilder';
+import { estimateTokens } from '@shared/tokenEstimate';
+import { resolveSystemPrompt } from '@shared/systemPrompt';
+import { resolveTopicSettings, filterTopicsByImportance } from '@shared/topicSettings';
+import type { MindNode, NodeType, NodeId, Provider, UsageRecord } from '@shared/types';
+import type { LLMRequest, LLMResponse } from '@shared/ipc';
+
+/** ストリーミング中の回答をノードへ反映する間隔（ミリ秒） */
+const STREAM_FLUSH_INTERVAL_MS = 50;
+
+/** 文脈を組み立てる際に出力用として確保するトークン数 */
+const RESERVED_OUTPUT_TOKENS = 4096;
+
+/** 別案の回答ノードを横に並べる間隔 */
+const ALTERNATIVE_ANSWER_SPACING_X = 320;
+
+/** 文脈項目の扱いごとの表示 */
+const CONTEXT_STATUS_LABELS: Record<ContextItemStatus, { label: string; color: string }> = {
+  included: { label: '含む', color: '#e2e8f0' },
+  elided: { label: '省略', color: '#fbbf24' },
+  dropped: { label: '上限超過', color: '#f87171' },
+  excluded: { label: '手動で除外', color: '#64748b' }
+};
+
+/** 文脈項目の出どころごとの見出し */
+const CONTEXT_SOURCE_LABELS: Record<ContextItemSource, string> = {
+  pinned: '📌 決定事項・重要な前提',
+  main: '🧵 メイン親チェーン',
+  sub: '🔗 関連する別の議論（サブ親）'
+};
 
 interface NodeEditTabProps {
   /** AI応答中フラグ（外部からの制御用） */
@@ -113,7 +146,15 @@ export const NodeEditTab: React.FC<NodeEditTabProps> = ({
     setMainParent,
     pendingFocusNodeId,
     setPendingFocusNodeId,
-    clearPendingFocusNodeId
+    clearPendingFocusNodeId,
+    activeRequestIds,
+    setActiveRequestId,
+    addActiveRequestId,
+    cancelAiRequest,
+    setPreferredAnswer,
+    recordUsage,
+    getBudgetContext,
+    setBudgetWarning
   } = useBoardStore();
 
   const [questionInput, setQuestionInput] = useState('');
@@ -123,18 +164,99 @@ export const NodeEditTab: React.FC<NodeEditTabProps> = ({
   const [editContent, setEditContent] = useState('');
   const [showTimelineModal, setShowTimelineModal] = useState(false);
   const [showCreateTopicModal, setShowCreateTopicModal] = useState(false);
+  const [showAnswerCompareModal, setShowAnswerCompareModal] = useState(false);
   /** 質問時に使用するモデル */
   const [selectedModel, setSelectedModel] = useState<string>('');
+  /** 質問時に使用するプロバイダー */
+  const [selectedProvider, setSelectedProvider] = useState<Provider | null>(null);
+  /** 次の質問に限って文脈から除外するノード */
+  const [excludedContextNodeIds, setExcludedContextNodeIds] = useState<Set<NodeId>>(new Set());
   const questionInputRef = useRef<HTMLTextAreaElement>(null);
 
   // 設定ストアからモデル一覧と設定を取得
-  const { availableModels, loadAvailableModels, getModelsForProvider, settings: appSettings } = useSettingsStore();
+  const { availableModels, loadAvailableModels, getModelsForProvider, getSelectableProviders, getTopicModelForProvider, getContextWindow } = useSettingsStore();
 
   const selectedNode = selectedNodeId ? getNodeById(selectedNodeId) : null;
 
   // 質問ノードの編集状態を判定
   const questionEditState = selectedNode ? getQuestionEditState(selectedNode, nodes) : 'editable';
 
+  // 選択中の質問に対してストリーミング中の回答ノード
+  const streamingAnswer = selectedNode
+    ? nodes.find(n =>
+        n.isLoading === true &&
+        n.type === 'message' &&
+        n.role === 'assistant' &&
+        n.parentIds[0] === selectedNode.id
+      )
+    : undefined;
+
+  // 比較の対象となる質問（質問ノードならそれ自身、回答ノードならメイン親の質問）
+  const compareQuestion = selectedNode?.type === 'message'
+    ? selectedNode.role === 'user'
+      ? selectedNode
+      : getNodeById(selectedNode.parentIds[0])
+    : undefined;
+  const compareQuestionId = compareQuestion?.type === 'message' && compareQuestion.role === 'user' ? compareQuestion.id : null;
+
+  // 同じ質問に対する回答（別案を含む）
+  const compareAnswers = useMemo(() => compareQuestionId
+    ? nodes.filter(n => n.type === 'message' && n.role === 'assistant' && n.parentIds[0] === compareQuestionId)
+    : [],
+  [nodes, compareQuestionId]);
+
+  /**
+   * ノードを起点に、モデルのコンテキストウィンドウに収まる文脈を組み立てる
+   * @param startNode - 文脈の起点
+   * @param provider - 送信先プロバイダー
+   * @param model - 送信先モデル
+   * @param promptText - 文脈とは別に送るテキスト（システムプロンプト・質問文など）
+   * @param options - 起点ノード自身を除くか・手動で除外するノード
+   */
+  const buildBudgetedContext = useCallback((
+    startNode: MindNode,
+    provider: Provider,
+    model: string,
+    promptText: string,
+    options: { excludeStartNode?: boolean; excludedNodeIds?: ReadonlySet<NodeId> } = {}
+  ): BuiltContext => {
+    return buildContextForNode(nodes, startNode, {
+      contextWindow: getContextWindow(provider, model),
+      reservedTokens: RESERVED_OUTPUT_TOKENS + estimateTokens(promptText),
+      ...options
+    });
+  }, [nodes, getContextWindow, availableModels]);
+
+  /**
+   * 文脈インスペクターでノードの除外・再追加を切り替える
+   */
+  const handleToggleContextNode = useCallback((nodeId: NodeId) => {
+    setExcludedContextNodeIds(prev => {
+      const next = new Set(prev);
+      if (next.has(nodeId)) {
+        next.delete(nodeId);
+      } else {
+        next.add(nodeId);
+      }
+      return next;
+    });
+  }, []);
+
+  // 送信前に表示する、質問に含まれる文脈の見積もり
+  const questionContextPreview = useMemo(() => {
+    if (!board || !selectedNode || selectedNode.type !== 'message' || selectedNode.role !== 'user') return null;
+    const provider = selectedProvider || board.settings.defaultProvider;
+    const model = selectedModel || board.settings.defaultModel;
+    const context = buildBudgetedContext(
+      selectedNode,
+      provider,
+      model,
+      resolveSystemPrompt(board) + questionInput,
+      { excludeStartNode: true, excludedNodeIds: excludedContextNodeIds }
+    );
+    return { ...context, contextWindow: getContextWindow(provider, model) };
+  }, [board, selectedNode, selectedProvider, selectedModel, questionInput, excludedContextNodeIds, buildBudgetedContext, getContextWindow]);
+
   // モデル一覧を読み込み
   useEffect(() => {
     if (!availableModels) {
@@ -143,11 +265,15 @@ export const NodeEditTab: React.FC<NodeEditTabProps> = ({
   }, [availableModels, loadAvailableModels]);
 
   // ボードのデフォルトモデルを初期選択モデルとして設定
+  // 別のボードを開いたときも選び直す（前のボードのモデル選択を持ち越さない）
+  const boardId = board?.id;
   useEffect(() => {
-    if (board && !selectedModel) {
-      setSelectedModel(board.settings.defaultModel);
+    const currentBoard = useBoardStore.getState().board;
+    if (currentBoard) {
+      setSelectedModel(currentBoard.settings.defaultModel);
+      setSelectedProvider(currentBoard.settings.defaultProvider);
     }
-  }, [board, selectedModel]);
+  }, [boardId]);
 
   useEffect(() => {
     if (selectedNode) {
@@ -166,6 +292,11 @@ export const NodeEditTab: React.FC<NodeEditTabProps> = ({
     setIsEditing(false);
   }, [selectedNode]);
 
+  // 文脈の手動除外は選択中の質問に対してのみ有効
+  useEffect(() => {
+    setExcludedContextNodeIds(new Set());
+  }, [selectedNodeId]);
+
   // 質問ノード作成・複製後のフォーカス制御
   useEffect(() => {
     if (pendingFocusNodeId && selectedNodeId === pendingFocusNodeId) {
@@ -178,18 +309,106 @@ export const NodeEditTab: React.FC<NodeEditTabProps> = ({
     }
   }, [pendingFocusNodeId, selectedNodeId, clearPendingFocusNodeId]);
 
+  /**
+   * 失敗した呼び出しで発生した使用量（形式不正で再要求した分など）をボードに記録する
+   * @param error - IPC経由で受け取った例外
+   * @param record - 記録する呼び出しの情報
+   */
+  const recordErrorUsage = useCallback((error: unknown, record: Omit<UsageRecord, 'id' | 'createdAt' | 'usage'>) => {
+    const { usage } = parseLLMError(error);
+    if (usage) {
+      recordUsage({ ...record, usage });
+    }
+  }, [recordUsage]);
+
+  /**
+   * 回答に対するフォローアップ質問を提案させ、回答ノードに記録する
+   * トピック生成と同じ軽量モデルを使う
+   * @param answerNode - 提案の元になる回答ノード
+   * @param answerContent - 回答の本文
+   * @param context - 回答に至るまでの会話
+   * @param provider - 回答を生成したプロバイダー
+   * @param model - 回答を生成したモデル
+   */
+  const suggestFollowUps = useCallback(async (
+    answerNode: MindNode,
+    answerContent: string,
+    context: string,
+    provider: Provider,
+    model: string
+  ): Promise<void> => {
+    if (!board) return;
+
+    const requestId = uuidv4();
+    const followUpModel = getTopicModelForProvider(provider, model);
+    setActiveRequestId(requestId);
+    const { questions, usage, budgetWarning } = await window.electronAPI.generateFollowUps({
+      requestId,
+      provider,
+      content: answerContent,
+      context,
+      model: followUpModel,
+      budget: getBudgetContext(),
+      promptTemplate: board.settings.promptTemplates?.followUps
+    }).catch((error) => {
+      recordErrorUsage(error, { kind: 'followUps', provider, model: followUpModel, nodeId: answerNode.id });
+      throw error;
+    });
+    if (budgetWarning) {
+      setBudgetWarning(budgetWarning);
+    }
+    if (usage) {
+      recordUsage({ kind: 'followUps', provider, model: followUpModel, nodeId: answerNode.id, usage });
+    }
+
+    updateNode(answerNode.id, { suggestedQuestions: questions });
+  }, [board, updateNode, setActiveRequestId, recordUsage, recordErrorUsage, getBudgetContext, setBudgetWarning, getTopicModelForProvider]);
+
   /**
    * 質問を送信（新規送信または再送信）
    * canResend状態の場合は既存の回答ノードを削除してから新しい回答を生成
    */
-  const handleModelChange = useCallback((newModel: string) => {
+  const handleModelChange = useCallback((value: string) => {
+    // 選択値は「プロバイダー:モデルID」形式（モデルIDに":"を含む場合があるため最初の区切りで分割）
+    const separatorIndex = value.indexOf(':');
+    const newProvider = value.slice(0, separatorIndex) as Provider;
+    const newModel = value.slice(separatorIndex + 1);
+    setSelectedProvider(newProvider);
     setSelectedModel(newModel);
-    // ボードのデフォルトモデルを更新
+    // ボードのデフォルトプロバイダー・モデルを更新
     if (board) {
-      useBoardStore.getState().updateBoardSettings({ defaultModel: newModel });
+      useBoardStore.getState().updateBoardSettings({ defaultProvider: newProvider, defaultModel: newModel });
     }
   }, [board]);
 
+  /**
+   * 回答をストリーミングで受信し、受信した分を回答ノードに反映する
+   * @param answerNodeId - 反映先の回答ノード
+   * @param request - LLMリクエスト（requestIdで停止できる）
+   */
+  const streamAnswerToNode = useCallback(async (answerNodeId: NodeId, request: LLMRequest): Promise<LLMResponse> => {
+    // 差分を受け取るたびにノードを更新すると描画が追いつかないため、一定間隔でまとめて反映する
+    let streamedContent = '';
+    let flushTimer: ReturnType<typeof setTimeout> | null = null;
+    const flushStreamedContent = () => {
+      flushTimer = null;
+      updateNode(answerNodeId, { content: streamedContent });
+    };
+
+    try {
+      return await window.electronAPI.sendLLMRequestStream(request, (delta) => {
+        streamedContent += delta;
+        if (!flushTimer) {
+          flushTimer = setTimeout(flushStreamedContent, STREAM_FLUSH_INTERVAL_MS);
+        }
+      });
+    } finally {
+      if (flushTimer) {
+        clearTimeout(flushTimer);
+      }
+    }
+  }, [updateNode]);
+
   /**
    * 質問を送信（新規送信または再送信）
    * canResend状態の場合は既存の回答ノードを削除してから新しい回答を生成
@@ -203,6 +422,8 @@ export const NodeEditTab: React.FC<NodeEditTabProps> = ({
 
     setIsLoading(true);
     setIsAiResponding(true);
+    // このリクエストで作成したローディング中のノード（キャンセル・エラー時の後片付け用）
+    const loadingNodeIds: NodeId[] = [];
     try {
       // canResend状態の場合、既存の回答ノードを削除
       if (currentEditState === 'canResend') {
@@ -222,7 +443,8 @@ export const NodeEditTab: React.FC<NodeEditTabProps> = ({
         content: questionInput.trim()
       });
 
-      // 使用するモデル（選択中またはボードデフォルト）
+      // 使用するプロバイダー・モデル（選択中またはボードデフォルト）
+      const providerToUse = selectedProvider || board.settings.defaultProvider;
       const modelToUse = selectedModel || board.settings.defaultModel;
 
       // ローディング中の仮ノードを作成
@@ -232,9 +454,9 @@ export const NodeEditTab: React.FC<NodeEditTabProps> = ({
         type: 'message',
         role: 'assistant',
         title: '',
-        content: '回答を生成中...',
+        content: '',
         parentIds: [selectedNode.id],
-        provider: board.settings.defaultProvider,
+        provider: providerToUse,
         model: modelToUse,
         createdBy: 'ai',
         position: {
@@ -244,26 +466,30 @@ export const NodeEditTab: React.FC<NodeEditTabProps> = ({
         qaPairId,
         isLoading: true
       });
+      loadingNodeIds.push(loadingNode.id);
 
       // 質問ノードにもqaPairIdを設定
       updateNode(selectedNode.id, { qaPairId });
 
-      // コンテキストを収集（メイン親チェーン + サブ親チェーン）
-      // selectedNodeから収集開始し、selectedNode自身は後で追加するので除外
-      const contextResult = collectContextWithSubParents(nodes, selectedNode);
-      // selectedNode自身をメインコンテキストから除外（最後の要素）
-      const mainContextWithoutSelf = contextResult.mainContext.slice(0, -1);
-      // pin留めノードを含めてコンテキストを生成
-      const contextMessages = formatContextForLLM({
-        mainContext: mainContextWithoutSelf,
-        subContexts: contextResult.subContexts
-      }, nodes);
+      // コンテキストを収集（pin留め + メイン親チェーン + サブ親チェーン）
+      // モデルのコンテキストウィンドウに収まるよう古い祖先は省略・除外する
+      // selectedNode自身は質問文として最後に追加するので除外
+      const systemPrompt = resolveSystemPrompt(board);
+      const { messages: contextMessages } = buildBudgetedContext(
+        selectedNode,
+        providerToUse,
+        modelToUse,
+        systemPrompt + questionInput.trim(),
+        { excludeStartNode: true, excludedNodeIds: excludedContextNodeIds }
+      );
+      // 手動の除外はこの送信限り
+      setExcludedContextNodeIds(new Set());
       
       // LLMにリクエスト
       const llmMessages = [
         {
           role: 'system' as const,
-          content: `あなたは「${board.title}」というテーマについて、ユーザーの思考を整理する手助けをするアシスタントです。的確で具体的な回答を心がけてください。`
+          content: systemPrompt
         },
         ...contextMessages,
         {
@@ -273,19 +499,47 @@ export const NodeEditTab: React.FC<NodeEditTabProps> = ({
       ];
       
       console.log('[LLM Request] handleSendQuestion:', {
-        provider: board.settings.defaultProvider,
+        provider: providerToUse,
         model: modelToUse,
         messages: llmMessages,
         temperature: board.settings.temperature
       });
       
-      const response = await window.electronAPI.sendLLMRequest({
-        provider: board.settings.defaultProvider,
+      const answerRequestId = uuidv4();
+      setActiveRequestId(answerRequestId);
+      const response = await streamAnswerToNode(loadingNode.id, {
+        requestId: answerRequestId,
+        provider: providerToUse,
         model: modelToUse,
         messages: llmMessages,
-        temperature: board.settings.temperature
+        temperature: board.settings.temperature,
+        budget: getBudgetContext()
       });
 
+      if (response.budgetWarning) {
+        setBudgetWarning(response.budgetWarning);
+      }
+
+      // 使用量をボードに記録（停止した場合もそれまでの概算を記録する）
+      if (response.usage) {
+        recordUsage({ kind: 'chat', provider: providerToUse, model: modelToUse, nodeId: loadingNode.id, usage: response.usage });
+      }
+
+      // 停止された場合は途中までの回答を残し、トピック生成は行わない
+      if (response.aborted) {
+        if (response.content) {
+          updateNode(loadingNode.id, {
+            content: response.content,
+            usage: response.usage,
+            isLoading: false
+          });
+        } else {
+          deleteNode(loadingNode.id);
+        }
+        setQuestionInput('');
+        return;
+      }
+
       // ローディングノードを実際の回答で更新
       updateNode(loadingNode.id, {
         content: response.content,
@@ -293,6 +547,33 @@ export const NodeEditTab: React.FC<NodeEditTabProps> = ({
         isLoading: false
       });
 
+      // 質問の提案・トピック抽出に渡すコンテキスト（回答を含む）
+      const answerContext = [
+        ...contextMessages.map(m => `${m.role}: ${m.content}`),
+        `user: ${questionInput.trim()}`,
+        `assistant: ${response.content}`
+      ].join('\n\n');
+
+      // 回答の下に次の質問を提案（失敗しても回答はそのまま残し、トピック抽出に進む）
+      if (board.settings.autoSuggestFollowUps !== false && !useBoardStore.getState().isCancelRequested) {
+        try {
+          await suggestFollowUps(loadingNode, response.content, answerContext, providerToUse, modelToUse);
+        } catch (followUpError) {
+          console.warn('Failed to suggest follow-up questions:', followUpError);
+          const followUpErrorInfo = parseLLMError(followUpError);
+          if (followUpErrorInfo.kind !== 'cancelled') {
+            alert(`質問の提案に失敗しました\n${formatLLMError(followUpErrorInfo)}`);
+          }
+        }
+      }
+
+      // ボード設定で自動抽出がオフなら回答だけで終える
+      const topicSettings = resolveTopicSettings(board.settings);
+      if (!topicSettings.autoGenerate) {
+        setQuestionInput('');
+        return;
+      }
+
       // 回答からトピックを自動生成
       // まずローディング用の仮トピックノードを作成
       const topicLoadingNode = addNode({
@@ -309,26 +590,42 @@ export const NodeEditTab: React.FC<NodeEditTabProps> = ({
         },
         isLoading: true
       });
+      loadingNodeIds.push(topicLoadingNode.id);
 
       try {
-        // コンテキストを収集（回答を含む）
-        const topicContext = [
-          ...contextMessages.map(m => `${m.role}: ${m.content}`),
-          `user: ${questionInput.trim()}`,
-          `assistant: ${response.content}`
-        ].join('\n\n');
-
-        const topics = await window.electronAPI.generateTopics({
+        // 回答直後に停止された場合はトピック生成に進まない
+        if (useBoardStore.getState().isCancelRequested) {
+          throw new Error('リクエストはキャンセルされました');
+        }
+
+        const topicRequestId = uuidv4();
+        const topicModel = getTopicModelForProvider(providerToUse, modelToUse);
+        setActiveRequestId(topicRequestId);
+        const { topics: generatedTopics, usage: topicUsage, budgetWarning: topicBudgetWarning } = await window.electronAPI.generateTopics({
+          requestId: topicRequestId,
+          provider: providerToUse,
           content: response.content,
-          context: topicContext,
-          maxTopics: 5,
-          model: appSettings.topicGenerationModel || board.settings.defaultModel
+          context: answerContext,
+          maxTopics: topicSettings.maxTopics,
+          model: topicModel,
+          budget: getBudgetContext(),
+          promptTemplate: board.settings.promptTemplates?.topics
+        }).catch((error) => {
+          recordErrorUsage(error, { kind: 'topics', provider: providerToUse, model: topicModel, nodeId: loadingNode.id });
+          throw error;
         });
+        if (topicBudgetWarning) {
+          setBudgetWarning(topicBudgetWarning);
+        }
+        if (topicUsage) {
+          recordUsage({ kind: 'topics', provider: providerToUse, model: topicModel, nodeId: loadingNode.id, usage: topicUsage });
+        }
 
         // ローディングノードを削除
         deleteNode(topicLoadingNode.id);
 
-        // 生成されたトピックをノードとして追加（回答ノードの子として）
+        // 重要度の下限に満たないものを除いてノードとして追加（回答ノードの子として）
+        const topics = filterTopicsByImportance(generatedTopics, topicSettings.minImportance);
         topics.forEach((topic, index) => {
           addNode({
             boardId: board.id,
@@ -352,29 +649,165 @@ export const NodeEditTab: React.FC<NodeEditTabProps> = ({
         // トピック生成に失敗した場合はローディングノードを削除
         deleteNode(topicLoadingNode.id);
         console.warn('Failed to auto-generate topics:', topicError);
+        const topicErrorInfo = parseLLMError(topicError);
+        if (topicErrorInfo.kind !== 'cancelled') {
+          alert(`トピックの自動生成に失敗しました\n${formatLLMError(topicErrorInfo)}`);
+        }
       }
 
       setQuestionInput('');
     } catch (error) {
       console.error('Failed to send question:', error);
       
-      // エラー時はローディングノードを削除
-      // ローディングノードのIDを取得するために、selectedNodeの子ノードからisLoading=trueのものを探す
       const state = useBoardStore.getState();
-      const loadingNodes = state.nodes.filter(n => 
-        n.parentIds.includes(selectedNode.id) && 
-        n.isLoading === true
-      );
-      for (const loadingNode of loadingNodes) {
-        deleteNode(loadingNode.id);
+      const errorInfo = parseLLMError(error);
+      const [answerNodeId, ...otherLoadingNodeIds] = loadingNodeIds;
+
+      // 仮のトピックノードなど、回答以外のローディング中ノードは削除
+      for (const loadingNodeId of otherLoadingNodeIds) {
+        if (state.getNodeById(loadingNodeId)?.isLoading) {
+          deleteNode(loadingNodeId);
+        }
+      }
+
+      if (!answerNodeId) {
+        // 回答ノードを作る前に失敗した場合はノードに表示できないためダイアログで通知
+        alert(formatLLMError(errorInfo));
+      } else if (state.getNodeById(answerNodeId)?.isLoading) {
+        if (state.isCancelRequested || errorInfo.kind === 'cancelled') {
+          // 停止ボタンによる中断はエラーとして扱わない
+          deleteNode(answerNodeId);
+        } else {
+          // 回答ノードにエラー内容と対処方法を表示する（再送信で作り直せる）
+          updateNode(answerNodeId, {
+            isLoading: false,
+            error: errorInfo
+          });
+        }
       }
-      
-      alert(`エラーが発生しました: ${error instanceof Error ? error.message : '不明なエラー'}`);
     } finally {
       setIsLoading(false);
       setIsAiResponding(false);
     }
-  }, [questionInput, selectedNode, board, nodes, getNodeById, addNode, updateNode, deleteNode, setIsAiResponding]);
+  }, [questionInput, selectedNode, selectedProvider, selectedModel, board, nodes, getNodeById, addNode, updateNode, deleteNode, setIsAiResponding, setActiveRequestId, recordUsage, recordErrorUsage, getBudgetContext, setBudgetWarning, getTopicModelForProvider, buildBudgetedContext, excludedContextNodeIds, streamAnswerToNode, suggestFollowUps]);
+
+  /**
+   * 同じ質問に対する別案の回答を並列に生成する
+   * 既存の回答は残し、兄弟の回答ノードとして右側に並べて追加する（トピックの自動生成は行わない）
+   * @param variants - 回答ごとのプロバイダー・モデル・温度
+   */
+  const handleGenerateAlternatives = useCallback(async (variants: AnswerVariant[]) => {
+    const question = questionInput.trim();
+    if (!question || !selectedNode || !board || variants.length === 0) return;
+    if (selectedNode.type !== 'message' || selectedNode.role !== 'user') return;
+
+    setIsLoading(true);
+    setIsAiResponding(true);
+    try {
+      const qaPairId = selectedNode.qaPairId || `qa-${Date.now()}`;
+      updateNode(selectedNode.id, { content: question, qaPairId });
+
+      // 文脈はモデルごとのコンテキストウィンドウに合わせて組み立てる
+      const systemPrompt = resolveSystemPrompt(board);
+      const excludedNodeIds = excludedContextNodeIds;
+      const existingAnswerCount = selectedNode.childrenIds.filter(childId => {
+        const child = getNodeById(childId);
+        return child?.type === 'message' && child.role === 'assistant';
+      }).length;
+
+      const requests = variants.map((variant): LLMRequest => {
+        const { messages: contextMessages } = buildBudgetedContext(
+          selectedNode,
+          variant.provider,
+          variant.model,
+          systemPrompt + question,
+          { excludeStartNode: true, excludedNodeIds }
+        );
+        return {
+          provider: variant.provider,
+          model: variant.model,
+          messages: [
+            { role: 'system', content: systemPrompt },
+            ...contextMessages,
+            { role: 'user', content: question }
+          ],
+          temperature: variant.temperature,
+          budget: getBudgetContext()
+        };
+      });
+
+      // 並列に送ると1件ずつの予算チェックでは合計の超過を止められないため、送信前に合計で確認する
+      try {
+        const budgetWarning = await window.electronAPI.checkLLMBudget(requests);
+        if (budgetWarning) {
+          setBudgetWarning(budgetWarning);
+        }
+      } catch (error) {
+        alert(`別案を生成できませんでした\n${formatLLMError(parseLLMError(error))}`);
+        return;
+      }
+      // 手動の除外は送信した質問にだけ適用する（予算で止めた場合は残して選び直せるようにする）
+      setExcludedContextNodeIds(new Set());
+
+      await Promise.all(variants.map(async (variant, index) => {
+        const answerNode = addNode({
+          boardId: board.id,
+          type: 'message',
+          role: 'assistant',
+          title: '',
+          content: '',
+          parentIds: [selectedNode.id],
+          provider: variant.provider,
+          model: variant.model,
+          temperature: variant.temperature,
+          createdBy: 'ai',
+          position: {
+            x: selectedNode.position.x + (existingAnswerCount + index) * ALTERNATIVE_ANSWER_SPACING_X,
+            y: selectedNode.position.y + 150
+          },
+          qaPairId,
+          isLoading: true
+        });
+
+        try {
+          const requestId = uuidv4();
+          addActiveRequestId(requestId);
+          const response = await streamAnswerToNode(answerNode.id, { ...requests[index], requestId });
+
+          if (response.budgetWarning) {
+            setBudgetWarning(response.budgetWarning);
+          }
+          if (response.usage) {
+            recordUsage({ kind: 'chat', provider: variant.provider, model: variant.model, nodeId: answerNode.id, usage: response.usage });
+          }
+
+          if (response.aborted && !response.content) {
+            deleteNode(answerNode.id);
+            return;
+          }
+          updateNode(answerNode.id, {
+            content: response.content,
+            usage: response.usage,
+            isLoading: false
+          });
+        } catch (error) {
+          console.error('Failed to generate alternative answer:', error);
+          const errorInfo = parseLLMError(error);
+          if (useBoardStore.getState().isCancelRequested || errorInfo.kind === 'cancelled') {
+            deleteNode(answerNode.id);
+          } else {
+            // 他の別案は続行し、失敗したものだけエラーとして表示する
+            updateNode(answerNode.id, { isLoading: false, error: errorInfo });
+          }
+        }
+      }));
+
+      setQuestionInput('');
+    } finally {
+      setIsLoading(false);
+      setIsAiResponding(false);
+    }
+  }, [questionInput, selectedNode, board, getNodeById, addNode, updateNode, deleteNode, setIsAiResponding, addActiveRequestId, recordUsage, getBudgetContext, setBudgetWarning, buildBudgetedContext, excludedContextNodeIds, streamAnswerToNode]);
 
   /**
    * ノートを作成
@@ -410,17 +843,28 @@ export const NodeEditTab: React.FC<NodeEditTabProps> = ({
     setIsLoading(true);
     setIsAiResponding(true);
     try {
-      // コンテキストを収集
-      const contextMessages = collectContext(nodes, selectedNode);
-      const context = contextMessages.map(m => `${m.role}: ${m.content}`).join('\n\n');
+      const requestId = uuidv4();
+      const noteProvider = selectedProvider || board.settings.defaultProvider;
+      const noteModel = selectedModel || board.settings.defaultModel;
 
-      const noteContent = await window.electronAPI.generateNote({
+      // コンテキストを収集（モデルのコンテキストウィンドウに収まる範囲）
+      const { messages: contextMessages } = buildBudgetedContext(selectedNode, noteProvider, noteModel, selectedNode.content);
+      const context = contextMessages.map(m => `${m.role}: ${m.content}`).join('\n\n');
+      setActiveRequestId(requestId);
+      const { content: noteContent, usage, budgetWarning } = await window.electronAPI.generateNote({
+        requestId,
+        provider: noteProvider,
         content: selectedNode.content,
         context,
-        model: selectedModel || board.settings.defaultModel
+        model: noteModel,
+        budget: getBudgetContext(),
+        promptTemplate: board.settings.promptTemplates?.note
       });
+      if (budgetWarning) {
+        setBudgetWarning(budgetWarning);
+      }
 
-      addNode({
+      const noteNode = addNode({
         boardId: board.id,
         type: 'note',
         role: 'user',
@@ -432,20 +876,27 @@ export const NodeEditTab: React.FC<NodeEditTabProps> = ({
           x: selectedNode.position.x + 200,
           y: selectedNode.position.y + 50
         },
+        provider: noteProvider,
+        model: noteModel,
+        usage,
         metadata: {
           tags: ['decision'],
           importance: 3,
           pin: true
         }
       });
+      if (usage) {
+        recordUsage({ kind: 'note', provider: noteProvider, model: noteModel, nodeId: noteNode.id, usage });
+      }
     } catch (error) {
       console.error('Failed to generate note:', error);
-      alert(`ノート生成に失敗しました: ${error instanceof Error ? error.message : '不明なエラー'}`);
+      if (useBoardStore.getState().isCancelRequested) return;
+      alert(`ノート生成に失敗しました\n${formatLLMError(parseLLMError(error))}`);
     } finally {
       setIsLoading(false);
       setIsAiResponding(false);
     }
-  }, [selectedNode, board, nodes, addNode, setIsAiResponding]);
+  }, [selectedNode, selectedProvider, selectedModel, board, nodes, addNode, setIsAiResponding, setActiveRequestId, recordUsage, getBudgetContext, setBudgetWarning, buildBudgetedContext]);
 
   /**
    * トピックから質問ノードを作成
@@ -482,18 +933,41 @@ export const NodeEditTab: React.FC<NodeEditTabProps> = ({
     setIsLoading(true);
     setIsAiResponding(true);
     try {
-      // コンテキストを収集
-      const contextMessages = collectContext(nodes, selectedNode);
-      const context = contextMessages.map(m => `${m.role}: ${m.content}`).join('\n\n');
+      const requestId = uuidv4();
+      const topicProvider = board.settings.defaultProvider;
+      const topicModel = getTopicModelForProvider(topicProvider, board.settings.defaultModel);
 
-      const topics = await window.electronAPI.generateTopics({
+      // コンテキストを収集（モデルのコンテキストウィンドウに収まる範囲）
+      const { messages: contextMessages } = buildBudgetedContext(selectedNode, topicProvider, topicModel, selectedNode.content);
+      const context = contextMessages.map(m => `${m.role}: ${m.content}`).join('\n\n');
+      const topicSettings = resolveTopicSettings(board.settings);
+      setActiveRequestId(requestId);
+      const { topics: generatedTopics, usage, budgetWarning } = await window.electronAPI.generateTopics({
+        requestId,
+        provider: topicProvider,
         content: selectedNode.content,
         context,
-        maxTopics: 5,
-        model: appSettings.topicGenerationModel || board.settings.defaultModel
+        maxTopics: topicSettings.maxTopics,
+        model: topicModel,
+        budget: getBudgetContext(),
+        promptTemplate: board.settings.promptTemplates?.topics
+      }).catch((error) => {
+        recordErrorUsage(error, { kind: 'topics', provider: topicProvider, model: topicModel, nodeId: selectedNode.id });
+        throw error;
       });
+      if (budgetWarning) {
+        setBudgetWarning(budgetWarning);
+      }
+      if (usage) {
+        recordUsage({ kind: 'topics', provider: topicProvider, model: topicModel, nodeId: selectedNode.id, usage });
+      }
 
-      // 生成されたトピックをノードとして追加
+      // 重要度の下限に満たないものを除いてノードとして追加
+      const topics = filterTopicsByImportance(generatedTopics, topicSettings.minImportance);
+      if (generatedTopics.length > 0 && topics.length === 0) {
+        alert(`重要度${topicSettings.minImportance}以上のトピックはありませんでした（${generatedTopics.length}件を除外）`);
+        return;
+      }
       topics.forEach((topic, index) => {
         addNode({
           boardId: board.id,
@@ -515,12 +989,37 @@ export const NodeEditTab: React.FC<NodeEditTabProps> = ({
       });
     } catch (error) {
       console.error('Failed to generate topics:', error);
-      alert(`トピック生成に失敗しました: ${error instanceof Error ? error.message : '不明なエラー'}`);
+      if (useBoardStore.getState().isCancelRequested) return;
+      alert(`トピック生成に失敗しました\n${formatLLMError(parseLLMError(error))}`);
+    } finally {
+      setIsLoading(false);
+      setIsAiResponding(false);
+    }
+  }, [selectedNode, board, nodes, addNode, setIsAiResponding, setActiveRequestId, recordUsage, recordErrorUsage, getBudgetContext, setBudgetWarning, getTopicModelForProvider, buildBudgetedContext]);
+
+  /**
+   * 選択中の回答に対するフォローアップ質問を提案させる（既存の提案は置き換える）
+   */
+  const handleSuggestFollowUps = useCallback(async () => {
+    if (!selectedNode || !board) return;
+
+    setIsLoading(true);
+    setIsAiResponding(true);
+    try {
+      const provider = selectedNode.provider || board.settings.defaultProvider;
+      const model = selectedNode.model || board.settings.defaultModel;
+      const { messages: contextMessages } = buildBudgetedContext(selectedNode, provider, model, selectedNode.content);
+      const context = contextMessages.map(m => `${m.role}: ${m.content}`).join('\n\n');
+      await suggestFollowUps(selectedNode, selectedNode.content, context, provider, model);
+    } catch (error) {
+      console.error('Failed to suggest follow-up questions:', error);
+      if (useBoardStore.getState().isCancelRequested) return;
+      alert(`質問の提案に失敗しました\n${formatLLMError(parseLLMError(error))}`);
     } finally {
       setIsLoading(false);
       setIsAiResponding(false);
     }
-  }, [selectedNode, board, nodes, addNode, setIsAiResponding]);
+  }, [selectedNode, board, setIsAiResponding, buildBudgetedContext, suggestFollowUps]);
 
   /**
    * 手動でトピックを作成
@@ -767,6 +1266,16 @@ export const NodeEditTab: React.FC<NodeEditTabProps> = ({
         selectNode={selectNode}
       />
 
+      {/* 回答比較モーダル */}
+      <AnswerCompareModal
+        isOpen={showAnswerCompareModal}
+        onClose={() => setShowAnswerCompareModal(false)}
+        question={compareQuestionId ? compareQuestion ?? null : null}
+        answers={compareAnswers}
+        onSetPreferred={setPreferredAnswer}
+        onSelectNode={selectNode}
+      />
+
       {/* トピック作成モーダル */}
       <CreateTopicModal
         isOpen={showCreateTopicModal}
@@ -1237,6 +1746,21 @@ export const NodeEditTab: React.FC<NodeEditTabProps> = ({
                   🔗 親ノード追加
                 </button>
               )}
+              {/* 同じ質問に回答が複数ある場合は比較・採用できる */}
+              {compareAnswers.length >= 2 && (
+                <button onClick={() => setShowAnswerCompareModal(true)} style={actionButtonStyle}>
+                  ⚖️ 回答を比較（{compareAnswers.length}件）
+                </button>
+              )}
+              {selectedNode.type === 'message' && selectedNode.role === 'assistant' && compareAnswers.length >= 2 &&
+                !selectedNode.isLoading && !selectedNode.error && (
+                <button
+                  onClick={() => setPreferredAnswer(selectedNode.id, !selectedNode.metadata?.preferred)}
+                  style={actionButtonStyle}
+                >
+                  {selectedNode.metadata?.preferred ? '☆ 採用を外す' : '⭐ 採用する'}
+                </button>
+              )}
             </>
           )}
           {selectedNode.type === 'message' && selectedNode.role === 'assistant' && (
@@ -1251,6 +1775,16 @@ export const NodeEditTab: React.FC<NodeEditTabProps> = ({
               >
                 💡 トピック生成
               </button>
+              <button 
+                onClick={handleSuggestFollowUps} 
+                disabled={isLoading || isAiResponding || !!selectedNode.error}
+                style={{
+                  ...actionButtonStyle,
+                  opacity: (isLoading || isAiResponding || selectedNode.error) ? 0.5 : 1
+                }}
+              >
+                ❓ 次の質問を提案
+              </button>
               <button 
                 onClick={() => setShowCreateTopicModal(true)}
                 style={actionButtonStyle}
@@ -1267,6 +1801,11 @@ export const NodeEditTab: React.FC<NodeEditTabProps> = ({
               >
                 ✨ AI下書き
               </button>
+              {isLoading && activeRequestIds.length > 0 && (
+                <button onClick={cancelAiRequest} style={stopButtonStyle}>
+                  ⏹ 停止
+                </button>
+              )}
             </>
           )}
         </div>
@@ -1346,7 +1885,7 @@ export const NodeEditTab: React.FC<NodeEditTabProps> = ({
                   🤖 モデル:
                 </label>
                 <select
-                  value={selectedModel || board?.settings.defaultModel || ''}
+                  value={`${selectedProvider || board.settings.defaultProvider}:${selectedModel || board.settings.defaultModel}`}
                   onChange={(e) => handleModelChange(e.target.value)}
                   disabled={isLoading || isAiResponding}
                   style={{
@@ -1360,10 +1899,14 @@ export const NodeEditTab: React.FC<NodeEditTabProps> = ({
                     cursor: 'pointer'
                   }}
                 >
-                  {getModelsForProvider(board?.settings.defaultProvider || 'openai').map(model => (
-                    <option key={model.id} value={model.id}>
-                      {model.name}
-                    </option>
+                  {getSelectableProviders().map(provider => (
+                    <optgroup key={provider} label={availableModels?.providers[provider].name || provider}>
+                      {getModelsForProvider(provider).map(model => (
+                        <option key={`${provider}:${model.id}`} value={`${provider}:${model.id}`}>
+                          {model.name}
+                        </option>
+                      ))}
+                    </optgroup>
                   ))}
                 </select>
               </div>
@@ -1387,6 +1930,14 @@ export const NodeEditTab: React.FC<NodeEditTabProps> = ({
                 }}
                 disabled={isLoading || isAiResponding}
               />
+              {/* 送信される文脈の確認・手動での除外 */}
+              {questionContextPreview && questionContextPreview.items.length > 0 && (
+                <ContextInspector
+                  context={questionContextPreview}
+                  disabled={isLoading || isAiResponding}
+                  onToggle={handleToggleContextNode}
+                />
+              )}
               <button
                 onClick={handleSendQuestion}
                 disabled={!questionInput.trim() || isLoading || isAiResponding}
@@ -1404,6 +1955,61 @@ export const NodeEditTab: React.FC<NodeEditTabProps> = ({
                     ? '🔄 再送信' 
                     : '🚀 送信'}
               </button>
+              {isLoading && activeRequestIds.length > 0 && (
+                <button
+                  onClick={cancelAiRequest}
+                  style={{
+                    ...stopButtonStyle,
+                    width: '100%',
+                    justifyContent: 'center',
+                    marginTop: '8px'
+                  }}
+                >
+                  ⏹ 停止
+                </button>
+              )}
+              <AlternativeAnswersPanel
+                provider={selectedProvider || board.settings.defaultProvider}
+                model={selectedModel || board.settings.defaultModel}
+                temperature={board.settings.temperature}
+                modelGroups={getSelectableProviders().map(provider => ({
+                  provider,
+                  name: availableModels?.providers[provider].name || provider,
+                  models: getModelsForProvider(provider)
+                }))}
+                disabled={!questionInput.trim() || isLoading || isAiResponding ||
+                  (questionEditState === 'canResend' && questionInput.trim() !== selectedNode.content)}
+                disabledReason={questionEditState === 'canResend' && questionInput.trim() !== selectedNode.content
+                  ? '質問を変更した場合は先に再送信してください（別案は既存の回答と同じ質問に追加されます）'
+                  : undefined}
+                onGenerate={handleGenerateAlternatives}
+              />
+              {/* ストリーミング中の回答プレビュー */}
+              {streamingAnswer && (
+                <div style={{ marginTop: '12px' }}>
+                  <div style={{ fontSize: '12px', color: '#94a3b8', marginBottom: '6px' }}>
+                    🤖 回答を生成中...
+                  </div>
+                  <div style={{
+                    padding: '12px',
+                    background: '#1e293b',
+                    borderRadius: '8px',
+                    fontSize: '13px',
+                    maxHeight: '400px',
+                    overflow: 'auto'
+                  }}>
+                    {streamingAnswer.content ? (
+                      <div className="markdown-content">
+                        <ReactMarkdown remarkPlugins={[remarkGfm]}>
+                          {streamingAnswer.content}
+                        </ReactMarkdown>
+                      </div>
+                    ) : (
+                      <span style={{ color: '#64748b' }}>応答を待っています...</span>
+                    )}
+                  </div>
+                </div>
+              )}
             </>
           )}
         </div>
@@ -1418,228 +2024,113 @@ export const NodeEditTab: React.FC<NodeEditTabProps> = ({
   );
 };
 
-// ========================================
-// ヘルパー関数
-// ========================================
-
 /**
- * コンテキストメッセージを収集する（サブ親を含む）
- * メイン親チェーン + サブ親チェーン（メイン親と合流するまで）を取得
- * topic/noteも含める
+ * 文脈インスペクター
+ * 送信される文脈（決定事項・メイン親チェーン・サブ親チェーン）をノードごとのトークン数つきで一覧し、
+ * この質問に限ってノードを除外・再追加できる
  */
-interface ContextResult {
-  mainContext: Array<{ role: 'user' | 'assistant' | 'system'; content: string; nodeType: string }>;
-  subContexts: Array<{
-    parentNodeId: string;
-    messages: Array<{ role: 'user' | 'assistant' | 'system'; content: string; nodeType: string }>;
-  }>;
-}
+const ContextInspector: React.FC<{
+  context: BuiltContext & { contextWindow: number };
+  disabled: boolean;
+  onToggle: (nodeId: NodeId) => void;
+}> = ({ context, disabled, onToggle }) => {
+  const countOf = (status: ContextItemStatus) => context.items.filter(item => item.status === status).length;
+  const elidedCount = countOf('elided');
+  const droppedCount = countOf('dropped');
+  const excludedCount = countOf('excluded');
+  const isTrimmed = elidedCount > 0 || droppedCount > 0;
 
-/**
- * ボード全体からpin留めノードを収集する
- * @param allNodes - ボード内の全ノード
- * @param excludeIds - 除外するノードID（既にコンテキストに含まれているもの）
- * @returns pin留めノードの配列
- */
-function collectPinnedNodes(allNodes: MindNode[], excludeIds: Set<string>): MindNode[] {
-  return allNodes.filter(node => 
-    node.metadata?.pin === true && !excludeIds.has(node.id)
+  return (
+    <details style={{
+      marginBottom: '8px',
+      padding: '6px 10px',
+      background: '#0f172a',
+      borderRadius: '6px',
+      border: `1px solid ${isTrimmed ? '#92400e' : '#334155'}`,
+      fontSize: '12px',
+      color: '#94a3b8'
+    }}>
+      <summary style={{ cursor: 'pointer' }}>
+        📚 文脈 {countOf('included')}件
+        {(isTrimmed || excludedCount > 0) && (
+          <span style={{ color: '#fbbf24' }}>
+            （{[
+              elidedCount > 0 && `省略 ${elidedCount}件`,
+              droppedCount > 0 && `上限超過 ${droppedCount}件`,
+              excludedCount > 0 && `手動で除外 ${excludedCount}件`
+            ].filter(Boolean).join('・')}）
+          </span>
+        )}
+        <span style={{ marginLeft: '8px', color: '#64748b' }}>
+          約 {context.usedTokens.toLocaleString()} / {context.contextWindow.toLocaleString()} トークン
+        </span>
+      </summary>
+      <div style={{ marginTop: '6px', maxHeight: '260px', overflow: 'auto' }}>
+        {(['pinned', 'main', 'sub'] as const).map(source => {
+          const items = context.items.filter(item => item.source === source);
+          if (items.length === 0) return null;
+          return (
+            <div key={source} style={{ marginBottom: '6px' }}>
+              <div style={{ color: '#cbd5e1', fontWeight: 'bold', margin: '4px 0 2px' }}>
+                {CONTEXT_SOURCE_LABELS[source]}
+              </div>
+              {items.map(item => {
+                const status = CONTEXT_STATUS_LABELS[item.status];
+                return (
+                  <label
+                    key={`${item.source}-${item.nodeId}`}
+                    title={status.label}
+                    style={{
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: '6px',
+                      padding: '2px 0',
+                      color: status.color,
+                      cursor: disabled ? 'default' : 'pointer'
+                    }}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={item.status !== 'excluded'}
+                      onChange={() => onToggle(item.nodeId)}
+                      disabled={disabled}
+                    />
+                    <span style={{ flexShrink: 0 }}>
+                      {item.role === 'user' ? '👤' : item.role === 'assistant' ? '🤖' : getNodeTypeIcon(item.nodeType)}
+                      {item.pinned && item.source !== 'pinned' && '📌'}
+                    </span>
+                    <span style={{ flexShrink: 0, color: '#64748b', fontFamily: 'monospace', fontSize: '11px' }}>
+                      #{item.shortId}
+                    </span>
+                    <span style={{
+                      flex: 1,
+                      overflow: 'hidden',
+                      textOverflow: 'ellipsis',
+                      whiteSpace: 'nowrap',
+                      textDecoration: item.status === 'excluded' || item.status === 'dropped' ? 'line-through' : 'none'
+                    }}>
+                      {item.preview}
+                    </span>
+                    {item.status !== 'included' && (
+                      <span style={{ flexShrink: 0, fontSize: '11px' }}>{status.label}</span>
+                    )}
+                    <span style={{ flexShrink: 0, color: '#64748b', fontSize: '11px' }}>
+                      {item.tokens.toLocaleString()} tok
+                    </span>
+                  </label>
+                );
+              })}
+            </div>
+          );
+        })}
+      </div>
+    </details>
   );
-}
-
-/**
- * ノードからコンテキストメッセージを生成
- */
-function nodeToContextMessage(node: MindNode): { role: 'user' | 'assistant' | 'system'; content: string; nodeType: string } | null {
-  if (node.type === 'message') {
-    return {
-      role: node.role,
-      content: node.content,
-      nodeType: 'message'
-    };
-  } else if (node.type === 'topic') {
-    return {
-      role: 'system' as const,
-      content: `[トピック] ${node.title || node.content}`,
-      nodeType: 'topic'
-    };
-  } else if (node.type === 'note') {
-    return {
-      role: 'system' as const,
-      content: `[メモ] ${node.title ? node.title + ': ' : ''}${node.content}`,
-      nodeType: 'note'
-    };
-  }
-  return null;
-}
-
-/**
- * メイン親チェーンを収集（rootまで）
- */
-function collectMainChain(nodes: MindNode[], startNode: MindNode): { messages: ContextResult['mainContext']; visitedIds: Set<string> } {
-  const messages: ContextResult['mainContext'] = [];
-  const visitedIds = new Set<string>();
-  
-  let current: MindNode | undefined = startNode;
-  
-  while (current && !visitedIds.has(current.id)) {
-    visitedIds.add(current.id);
-    
-    const msg = nodeToContextMessage(current);
-    if (msg) {
-      messages.unshift(msg);
-    }
-    
-    // メイン親を辿る
-    const mainParentId: string | undefined = current.parentIds[0];
-    if (mainParentId) {
-      current = nodes.find((n) => n.id === mainParentId);
-    } else {
-      break;
-    }
-  }
-  
-  return { messages, visitedIds };
-}
-
-/**
- * サブ親チェーンを収集（メイン親チェーンと合流するまで）
- */
-function collectSubChain(
-  nodes: MindNode[], 
-  subParentId: string, 
-  mainChainIds: Set<string>
-): ContextResult['subContexts'][0]['messages'] {
-  const messages: ContextResult['subContexts'][0]['messages'] = [];
-  const visited = new Set<string>();
-  
-  let current: MindNode | undefined = nodes.find((n) => n.id === subParentId);
-  
-  while (current && !visited.has(current.id)) {
-    // メイン親チェーンと合流したら終了
-    if (mainChainIds.has(current.id)) {
-      break;
-    }
-    
-    visited.add(current.id);
-    
-    const msg = nodeToContextMessage(current);
-    if (msg) {
-      messages.unshift(msg);
-    }
-    
-    // メイン親を辿る
-    const mainParentId: string | undefined = current.parentIds[0];
-    if (mainParentId) {
-      current = nodes.find((n) => n.id === mainParentId);
-    } else {
-      break;
-    }
-  }
-  
-  return messages;
-}
-
-/**
- * コンテキストを収集（メイン親 + サブ親）
- */
-function collectContextWithSubParents(nodes: MindNode[], startNode: MindNode): ContextResult {
-  // メイン親チェーンを収集
-  const { messages: mainContext, visitedIds: mainChainIds } = collectMainChain(nodes, startNode);
-  
-  // サブ親チェーンを収集
-  const subContexts: ContextResult['subContexts'] = [];
-  
-  // startNodeのサブ親（parentIds[1]以降）を処理
-  for (let i = 1; i < startNode.parentIds.length; i++) {
-    const subParentId = startNode.parentIds[i];
-    const subMessages = collectSubChain(nodes, subParentId, mainChainIds);
-    
-    if (subMessages.length > 0) {
-      subContexts.push({
-        parentNodeId: subParentId,
-        messages: subMessages
-      });
-    }
-  }
-  
-  return { mainContext, subContexts };
-}
-
-/**
- * コンテキストをLLM用のメッセージ配列に変換
- * @param contextResult - メイン・サブコンテキスト
- * @param allNodes - ボード全体のノード（pin留めノード収集用、省略可）
- */
-function formatContextForLLM(
-  contextResult: ContextResult,
-  allNodes?: MindNode[]
-): Array<{ role: 'user' | 'assistant' | 'system'; content: string }> {
-  const messages: Array<{ role: 'user' | 'assistant' | 'system'; content: string }> = [];
-  
-  // メインコンテキストに含まれるノードIDを収集（重複除外用）
-  const includedNodeIds = new Set<string>();
-  // ※ contextResultにはnodeIdが含まれていないため、contentベースでは判別できない
-  // ここではnodeTypeを頼りに判別し、別途allNodesからpin留めを検索する
-  
-  // pin留めノードを収集してコンテキストに追加（決定事項・重要な前提）
-  if (allNodes && allNodes.length > 0) {
-    // メイン・サブコンテキストで既に含まれているノードを特定するため、
-    // collectContextWithSubParentsでvisitedIdsを返すよう拡張が必要だが、
-    // 現状はシンプルにpin留めノードすべてを追加（重複は許容）
-    const pinnedNodes = collectPinnedNodes(allNodes, includedNodeIds);
-    
-    if (pinnedNodes.length > 0) {
-      const pinnedTexts = pinnedNodes.map(node => {
-        const typeLabel = node.type === 'note' ? 'メモ' : 
-                         node.type === 'topic' ? 'トピック' : 
-                         node.type === 'root' ? 'テーマ' : 'メッセージ';
-        const title = node.title ? `${node.title}: ` : '';
-        return `📌 [${typeLabel}] ${title}${node.content}`;
-      });
-      
-      messages.push({
-        role: 'system',
-        content: `--- 決定事項・重要な前提 ---\n${pinnedTexts.join('\n\n')}\n--- 決定事項ここまで ---`
-      });
-    }
-  }
-  
-  // メイン親チェーンを追加
-  for (const msg of contextResult.mainContext) {
-    messages.push({ role: msg.role, content: msg.content });
-  }
-  
-  // サブ親チェーンを追加（関連文脈として）
-  if (contextResult.subContexts.length > 0) {
-    let subContextText = '--- 関連する別の議論 ---\n';
-    for (const sub of contextResult.subContexts) {
-      for (const msg of sub.messages) {
-        subContextText += `[${msg.role}] ${msg.content}\n\n`;
-      }
-    }
-    subContextText += '--- 関連議論ここまで ---';
-    
-    messages.push({
-      role: 'system',
-      content: subContextText
-    });
-  }
-  
-  return messages;
-}
+};
 
-/**
- * 旧API互換: コンテキストメッセージを収集する
- * @param nodes - ノード一覧
- * @param startNode - 開始ノード
- * @deprecated collectContextWithSubParents + formatContextForLLM を使用してください
- */
-function collectContext(nodes: MindNode[], startNode: MindNode): Array<{ role: 'user' | 'assistant' | 'system'; content: string }> {
-  const result = collectContextWithSubParents(nodes, startNode);
-  // pin留めノードも含めてコンテキストを生成
-  return formatContextForLLM(result, nodes);
-}
+// ========================================
+// ヘルパー関数
+// ========================================
 
 function getNodeTypeIcon(type: NodeType): string {
   switch (type) {
@@ -1673,3 +2164,8 @@ const actionButtonStyle: React.CSSProperties = {
   alignItems: 'center',
   gap: '4px'
 };
+
+const stopButtonStyle: React.CSSProperties = {
+  ...actionButtonStyle,
+  background: '#dc2626'
+};
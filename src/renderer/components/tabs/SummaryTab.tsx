@@ -7,6 +7,7 @@ import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 import { useBoardStore } from '../../stores/boardStore';
 import { useSettingsStore } from '../../stores/settingsStore';
+import { parseLLMError, formatLLMError } from '@shared/llmError';
 import type { MindNode, NodeId } from '@shared/types';
 
 interface SummaryTabProps {
@@ -29,7 +30,10 @@ export const SummaryTab: React.FC<SummaryTabProps> = ({
     nodes, 
     selectedNodeId,
     getNodeById, 
-    addSummary 
+    addSummary,
+    recordUsage,
+    getBudgetContext,
+    setBudgetWarning
   } = useBoardStore();
 
   const [summary, setSummary] = useState<string>('');
@@ -51,11 +55,14 @@ export const SummaryTab: React.FC<SummaryTabProps> = ({
   }, [availableModels, loadAvailableModels]);
 
   // ボードのデフォルトモデルを初期選択モデルとして設定
+  // 別のボードを開いたときも選び直す（前のボードのモデル選択を持ち越さない）
+  const boardId = board?.id;
   useEffect(() => {
-    if (board && !selectedModel) {
-      setSelectedModel(board.settings.defaultModel);
+    const currentBoard = useBoardStore.getState().board;
+    if (currentBoard) {
+      setSelectedModel(currentBoard.settings.defaultModel);
     }
-  }, [board, selectedModel]);
+  }, [boardId]);
 
   /**
    * サマリーを生成
@@ -70,7 +77,7 @@ export const SummaryTab: React.FC<SummaryTabProps> = ({
       let targetNodes: MindNode[] = [];
       
       if (scope === 'board') {
-        targetNodes = nodes.filter(n => n.type !== 'root');
+        targetNodes = nodes.filter(n => n.type !== 'root' && !n.error);
       } else if (scope === 'nodeSubtree' && selectedNode) {
         // 選択ノード配下を収集（DFS）
         const collectSubtree = (nodeId: string, visited = new Set<string>()): MindNode[] => {
@@ -88,10 +95,13 @@ export const SummaryTab: React.FC<SummaryTabProps> = ({
           return result;
         };
         
-        targetNodes = collectSubtree(selectedNode.id);
+        targetNodes = collectSubtree(selectedNode.id).filter(n => !n.error);
       }
 
+      const summaryProvider = board.settings.defaultProvider;
+      const summaryModel = selectedModel || board.settings.defaultModel;
       const summaryRequest = {
+        provider: summaryProvider,
         boardId: board.id,
         scope,
         targetNodeId: scope === 'nodeSubtree' ? selectedNode?.id : undefined,
@@ -105,7 +115,9 @@ export const SummaryTab: React.FC<SummaryTabProps> = ({
           pin: n.metadata?.pin,
           tags: n.metadata?.tags
         })),
-        model: selectedModel || board.settings.defaultModel
+        model: summaryModel,
+        budget: getBudgetContext(),
+        promptTemplate: board.settings.promptTemplates?.summary
       };
 
       // デバッグ用: LLMに渡すサマリーリクエストをログ出力
@@ -126,7 +138,10 @@ export const SummaryTab: React.FC<SummaryTabProps> = ({
       console.log('Full Request:', summaryRequest);
       console.groupEnd();
 
-      const summaryContent = await window.electronAPI.generateSummary(summaryRequest);
+      const { content: summaryContent, usage, budgetWarning } = await window.electronAPI.generateSummary(summaryRequest);
+      if (budgetWarning) {
+        setBudgetWarning(budgetWarning);
+      }
 
       setSummary(summaryContent);
       setShowSummary(true);
@@ -137,17 +152,27 @@ export const SummaryTab: React.FC<SummaryTabProps> = ({
         scope,
         targetNodeId: scope === 'nodeSubtree' ? selectedNode?.id : undefined,
         content: summaryContent,
-        provider: board.settings.defaultProvider,
-        model: board.settings.defaultModel
+        provider: summaryProvider,
+        model: summaryModel,
+        usage
       });
+      if (usage) {
+        recordUsage({
+          kind: 'summary',
+          provider: summaryProvider,
+          model: summaryModel,
+          nodeId: summaryRequest.targetNodeId,
+          usage
+        });
+      }
     } catch (error) {
       console.error('Failed to generate summary:', error);
-      alert(`サマリー生成に失敗しました: ${error instanceof Error ? error.message : '不明なエラー'}`);
+      alert(`サマリー生成に失敗しました\n${formatLLMError(parseLLMError(error))}`);
     } finally {
       setIsLoading(false);
       setIsAiResponding(false);
     }
-  }, [board, nodes, selectedNode, getNodeById, addSummary, setIsAiResponding]);
+  }, [board, nodes, selectedNode, selectedModel, getNodeById, addSummary, recordUsage, getBudgetContext, setBudgetWarning, setIsAiResponding]);
 
   if (!board) {
     return (
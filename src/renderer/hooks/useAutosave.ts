@@ -0,0 +1,75 @@
+/**
+ * ボードの自動保存フック
+ * 未保存の変更（isDirty）があると、最後の変更から一定時間後に保存先フォルダへ保存する
+ */
+import { useEffect } from 'react';
+import { useBoardStore } from '../stores/boardStore';
+
+/** 最後の変更から自動保存するまでの待ち時間（ミリ秒） */
+const AUTOSAVE_DELAY_MS = 3000;
+
+/**
+ * 自動保存を有効にする（アプリで1回だけ呼ぶ）
+ * - 保存先が決まっていないボードは対象外（保存先の選択ダイアログを勝手に出さないため）
+ * - AI応答中は生成途中のノードを保存しないよう待ち、応答が終わってから保存する
+ * - 保存中に変更があった場合はダーティのまま残し、改めて保存する
+ */
+export function useAutosave(): void {
+  useEffect(() => {
+    let timer: ReturnType<typeof setTimeout> | null = null;
+    let isSaving = false;
+
+    const schedule = () => {
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+      const { isDirty, filePath, isAiResponding } = useBoardStore.getState();
+      if (isDirty && filePath && !isAiResponding) {
+        timer = setTimeout(save, AUTOSAVE_DELAY_MS);
+      }
+    };
+
+    const save = async () => {
+      timer = null;
+      const state = useBoardStore.getState();
+      if (isSaving || !state.isDirty || !state.filePath || state.isAiResponding) return;
+
+      const data = state.getBoardData();
+      if (!data) return;
+
+      isSaving = true;
+      try {
+        await window.electronAPI.saveBoard(data, state.filePath);
+        useBoardStore.getState().markClean(data);
+        isSaving = false;
+        // 保存中に加えられた変更を続けて保存する
+        schedule();
+      } catch (error) {
+        // 失敗した場合は次の変更まで再試行しない（同じエラーを繰り返さないため）
+        console.error('Failed to autosave board:', error);
+        isSaving = false;
+      }
+    };
+
+    const unsubscribe = useBoardStore.subscribe((state, prev) => {
+      if (
+        state.nodes !== prev.nodes ||
+        state.board !== prev.board ||
+        state.summaries !== prev.summaries ||
+        state.isDirty !== prev.isDirty ||
+        state.filePath !== prev.filePath ||
+        state.isAiResponding !== prev.isAiResponding
+      ) {
+        schedule();
+      }
+    });
+
+    return () => {
+      unsubscribe();
+      if (timer) {
+        clearTimeout(timer);
+      }
+    };
+  }, []);
+}
@@ -3,7 +3,10 @@
  */
 import { create } from 'zustand';
 import { v4 as uuidv4 } from 'uuid';
-import type { Board, MindNode, Summary, BoardData, NodeId, BoardId, NodeType, Role } from '@shared/types';
+import type { Board, MindNode, Summary, BoardData, NodeId, BoardId, NodeType, Role, UsageRecord } from '@shared/types';
+import type { BudgetContext } from '@shared/ipc';
+import { sumUsage } from '@shared/cost';
+import { checkGraphIntegrity, repairGraph, getParentConnectionError, wouldCreateCycle, type GraphIssue } from '@shared/graphIntegrity';
 
 interface BoardState {
   /** 現在のボード */
@@ -22,12 +25,20 @@ interface BoardState {
   isLoading: boolean;
   /** AI応答中フラグ（編集・削除操作を制限） */
   isAiResponding: boolean;
+  /** 実行中のAIリクエストID（停止ボタンからのキャンセル対象。別案の並列生成では複数になる） */
+  activeRequestIds: string[];
+  /** ユーザーが停止を要求したか（後続の処理を打ち切る判定に使用） */
+  isCancelRequested: boolean;
+  /** 予算の上限に近づいている場合の警告（メインプロセスから返されたもの） */
+  budgetWarning: string | null;
   /** 親ノード接続モード */
   isConnectingParent: boolean;
   /** 接続元ノードID */
   connectingFromNodeId: NodeId | null;
   /** フォーカス予約中のノードID（質問ノード作成時に入力欄へフォーカス） */
   pendingFocusNodeId: NodeId | null;
+  /** ノードのつながりの問題（読み込み時・検査時に見つかったもの。空なら表示しない） */
+  graphIssues: GraphIssue[];
 }
 
 interface BoardActions {
@@ -47,16 +58,22 @@ interface BoardActions {
   selectNode: (nodeId: NodeId | null) => void;
   /** ノード位置を更新 */
   updateNodePosition: (nodeId: NodeId, x: number, y: number) => void;
-  /** 親子関係を追加 */
+  /** 親子関係を追加（親子関係が循環する場合は追加しない） */
   addParentChild: (parentId: NodeId, childId: NodeId) => void;
   /** 保存パスをセット */
   setFilePath: (path: string) => void;
-  /** ダーティフラグをリセット */
-  markClean: () => void;
+  /** ダーティフラグをリセット（保存した内容を渡すと、保存中に変更があった場合はダーティのままにする） */
+  markClean: (savedData?: BoardData) => void;
   /** ローディング状態をセット */
   setLoading: (loading: boolean) => void;
   /** AI応答中状態をセット */
   setAiResponding: (responding: boolean) => void;
+  /** 実行中のAIリクエストIDをセット（nullでクリア） */
+  setActiveRequestId: (requestId: string | null) => void;
+  /** 並列に実行するAIリクエストIDを追加 */
+  addActiveRequestId: (requestId: string) => void;
+  /** 実行中のAIリクエストを停止 */
+  cancelAiRequest: () => void;
   /** サマリーを追加 */
   addSummary: (summary: Omit<Summary, 'id' | 'createdAt' | 'updatedAt'>) => void;
   /** ボードデータを取得（保存用） */
@@ -67,7 +84,9 @@ interface BoardActions {
   startConnectingParent: (nodeId: NodeId) => void;
   /** 親ノード接続モードをキャンセル */
   cancelConnectingParent: () => void;
-  /** 親ノードを接続 */
+  /** 回答を採用としてマーク（同じ質問の他の回答のマークは外す。preferred=falseで解除） */
+  setPreferredAnswer: (answerId: NodeId, preferred: boolean) => void;
+  /** 親ノードを接続（自分自身・既存の親・子孫は接続しない） */
   connectToParent: (childId: NodeId, parentId: NodeId) => void;
   /** 親子関係を削除 */
   removeParentChild: (parentId: NodeId, childId: NodeId) => void;
@@ -79,6 +98,18 @@ interface BoardActions {
   clearPendingFocusNodeId: () => void;
   /** ボード設定を更新 */
   updateBoardSettings: (updates: Partial<Board['settings']>) => void;
+  /** AI呼び出しの使用量をボードに記録 */
+  recordUsage: (record: Omit<UsageRecord, 'id' | 'createdAt'>) => void;
+  /** 予算チェック用のボード情報を取得（LLMリクエストに添付する） */
+  getBudgetContext: () => BudgetContext | undefined;
+  /** 予算警告をセット（nullでクリア） */
+  setBudgetWarning: (warning: string | null) => void;
+  /** ノードのつながりを検査する（見つかった問題はgraphIssuesに入る） */
+  checkGraph: () => GraphIssue[];
+  /** ノードのつながりの問題を修復する */
+  repairGraph: () => void;
+  /** ノードのつながりの問題の表示を閉じる（修復はしない） */
+  dismissGraphIssues: () => void;
 }
 
 export const useBoardStore = create<BoardState & BoardActions>((set, get) => ({
@@ -91,9 +122,13 @@ export const useBoardStore = create<BoardState & BoardActions>((set, get) => ({
   isDirty: false,
   isLoading: false,
   isAiResponding: false,
+  activeRequestIds: [],
+  isCancelRequested: false,
+  budgetWarning: null,
   isConnectingParent: false,
   connectingFromNodeId: null,
   pendingFocusNodeId: null,
+  graphIssues: [],
 
   // アクション
   createBoard: (title, description, defaultModel) => {
@@ -178,7 +213,9 @@ export const useBoardStore = create<BoardState & BoardActions>((set, get) => ({
       summaries: data.summaries,
       filePath: filePath || null,
       isDirty: false,
-      selectedNodeId: null
+      selectedNodeId: null,
+      // 読み込んだボードのつながりを検査し、問題があれば修復を提案する
+      graphIssues: checkGraphIntegrity(data.nodes, data.board.rootNodeId)
     });
   },
 
@@ -189,7 +226,8 @@ export const useBoardStore = create<BoardState & BoardActions>((set, get) => ({
       summaries: [],
       selectedNodeId: null,
       filePath: null,
-      isDirty: false
+      isDirty: false,
+      graphIssues: []
     });
   },
 
@@ -288,6 +326,8 @@ export const useBoardStore = create<BoardState & BoardActions>((set, get) => ({
   },
 
   addParentChild: (parentId, childId) => {
+    if (wouldCreateCycle(get().nodes, childId, parentId)) return;
+
     set((state) => ({
       nodes: state.nodes.map((n) => {
         if (n.id === parentId && !n.childrenIds.includes(childId)) {
@@ -306,7 +346,11 @@ export const useBoardStore = create<BoardState & BoardActions>((set, get) => ({
     set({ filePath: path });
   },
 
-  markClean: () => {
+  markClean: (savedData) => {
+    const state = get();
+    if (savedData && (savedData.board !== state.board || savedData.nodes !== state.nodes || savedData.summaries !== state.summaries)) {
+      return;
+    }
     set({ isDirty: false });
   },
 
@@ -315,7 +359,28 @@ export const useBoardStore = create<BoardState & BoardActions>((set, get) => ({
   },
 
   setAiResponding: (responding) => {
-    set({ isAiResponding: responding });
+    // 新しい応答の開始時に前回の停止要求をリセット
+    set(responding
+      ? { isAiResponding: true, isCancelRequested: false }
+      : { isAiResponding: false, activeRequestIds: [] });
+  },
+
+  setActiveRequestId: (requestId) => {
+    set({ activeRequestIds: requestId ? [requestId] : [] });
+  },
+
+  addActiveRequestId: (requestId) => {
+    set((state) => ({ activeRequestIds: [...state.activeRequestIds, requestId] }));
+  },
+
+  cancelAiRequest: () => {
+    const { activeRequestIds } = get();
+    set({ isCancelRequested: true });
+    for (const requestId of activeRequestIds) {
+      window.electronAPI.cancelLLMRequest(requestId).catch((error) => {
+        console.error('Failed to cancel LLM request:', error);
+      });
+    }
   },
 
   addSummary: (summaryData) => {
@@ -369,11 +434,8 @@ export const useBoardStore = create<BoardState & BoardActions>((set, get) => ({
     
     if (!childNode || !parentNode) return;
     
-    // 既に親として登録されている場合はスキップ
-    if (childNode.parentIds.includes(parentId)) return;
-    
-    // 自分自身を親にしようとしている場合はスキップ
-    if (childId === parentId) return;
+    // 自分自身・既に親として登録されているノード・子孫（親にすると循環する）の場合はスキップ
+    if (getParentConnectionError(state.nodes, childId, parentId)) return;
     
     const now = new Date().toISOString();
     
@@ -478,6 +540,33 @@ export const useBoardStore = create<BoardState & BoardActions>((set, get) => ({
     set({ pendingFocusNodeId: null });
   },
 
+  /**
+   * 回答を採用としてマーク（同じ質問の他の回答の採用は外す）
+   */
+  setPreferredAnswer: (answerId, preferred) => {
+    set((state) => {
+      const answer = state.nodes.find((n) => n.id === answerId);
+      if (!answer) return state;
+
+      // 同じ質問（メイン親）にぶら下がる回答の中で採用は1つだけ
+      const questionId = answer.parentIds[0];
+      const now = new Date().toISOString();
+      return {
+        nodes: state.nodes.map((n) => {
+          const isSibling = n.type === 'message' && n.role === 'assistant' && n.parentIds[0] === questionId;
+          if (n.id === answerId) {
+            return { ...n, metadata: { ...n.metadata, preferred: preferred || undefined }, updatedAt: now };
+          }
+          if (preferred && isSibling && n.metadata?.preferred) {
+            return { ...n, metadata: { ...n.metadata, preferred: undefined }, updatedAt: now };
+          }
+          return n;
+        }),
+        isDirty: true
+      };
+    });
+  },
+
   /**
    * ボード設定を更新
    */
@@ -496,5 +585,61 @@ export const useBoardStore = create<BoardState & BoardActions>((set, get) => ({
         isDirty: true
       };
     });
+  },
+
+  recordUsage: (recordData) => {
+    const record: UsageRecord = {
+      ...recordData,
+      id: uuidv4(),
+      createdAt: new Date().toISOString()
+    };
+
+    set((state) => {
+      if (!state.board) return state;
+      return {
+        board: {
+          ...state.board,
+          usageLog: [...(state.board.usageLog || []), record]
+        },
+        isDirty: true
+      };
+    });
+  },
+
+  getBudgetContext: () => {
+    const { board } = get();
+    if (!board) return undefined;
+    return {
+      boardId: board.id,
+      boardBudgetJPY: board.settings.budgetJPY,
+      boardSpentJPY: sumUsage((board.usageLog || []).map(r => r.usage)).costJPY ?? 0
+    };
+  },
+
+  setBudgetWarning: (warning) => {
+    set({ budgetWarning: warning });
+  },
+
+  checkGraph: () => {
+    const { board, nodes } = get();
+    if (!board) return [];
+    const graphIssues = checkGraphIntegrity(nodes, board.rootNodeId);
+    set({ graphIssues });
+    return graphIssues;
+  },
+
+  repairGraph: () => {
+    set((state) => {
+      if (!state.board) return state;
+      return {
+        nodes: repairGraph(state.nodes, state.board.rootNodeId),
+        graphIssues: [],
+        isDirty: true
+      };
+    });
+  },
+
+  dismissGraphIssues: () => {
+    set({ graphIssues: [] });
   }
 }));
@@ -5,6 +5,9 @@ import { create } from 'zustand';
 import type { AppSettings, AvailableModelsResponse } from '@shared/ipc';
 import type { ModelConfig, Provider } from '@shared/types';
 
+/** models.yamlにcontextWindowが定義されていないモデル（ローカルLLMなど）のコンテキストウィンドウ */
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
 interface SettingsState {
   settings: AppSettings;
   isLoaded: boolean;
@@ -23,6 +26,15 @@ interface SettingsActions {
   getModelsForProvider: (provider: Provider) => ModelConfig[];
   /** 指定プロバイダーのデフォルトモデルを取得 */
   getDefaultModelForProvider: (provider: Provider) => string;
+  /**
+   * トピック生成に使うモデルを取得
+   * 設定のトピック生成用モデルが指定プロバイダーに存在しない場合はfallbackModelを返す
+   */
+  getTopicModelForProvider: (provider: Provider, fallbackModel: string) => string;
+  /** 有効かつモデルが1つ以上あるプロバイダー一覧を取得 */
+  getSelectableProviders: () => Provider[];
+  /** 指定モデルのコンテキストウィンドウ（トークン数）を取得 */
+  getContextWindow: (provider: Provider, modelId: string) => number;
 }
 
 export const useSettingsStore = create<SettingsState & SettingsActions>((set, get) => ({
@@ -49,6 +61,10 @@ export const useSettingsStore = create<SettingsState & SettingsActions>((set, ge
     const newSettings = { ...get().settings, ...updates };
     await window.electronAPI.saveSettings(newSettings);
     set({ settings: newSettings });
+    // プロバイダーの有効/無効やローカルエンドポイントが変わるとモデル一覧も変わるため再読み込み
+    if (updates.enabledProviders || 'localEndpoint' in updates || 'localApiKey' in updates) {
+      await get().loadAvailableModels();
+    }
   },
 
   loadAvailableModels: async () => {
@@ -70,5 +86,27 @@ export const useSettingsStore = create<SettingsState & SettingsActions>((set, ge
     const models = get().getModelsForProvider(provider);
     const defaultModel = models.find(m => m.isDefault);
     return defaultModel?.id || models[0]?.id || 'gpt-5-mini';
+  },
+
+  getTopicModelForProvider: (provider: Provider, fallbackModel: string) => {
+    const topicModel = get().settings.topicGenerationModel;
+    if (topicModel && get().getModelsForProvider(provider).some(m => m.id === topicModel)) {
+      return topicModel;
+    }
+    return fallbackModel;
+  },
+
+  getSelectableProviders: () => {
+    const { availableModels } = get();
+    if (!availableModels) return [];
+    return (Object.keys(availableModels.providers) as Provider[]).filter((provider) => {
+      const config = availableModels.providers[provider];
+      return config?.enabled && config.models.length > 0;
+    });
+  },
+
+  getContextWindow: (provider: Provider, modelId: string) => {
+    const model = get().getModelsForProvider(provider).find(m => m.id === modelId);
+    return model?.contextWindow || DEFAULT_CONTEXT_WINDOW;
   }
 }));
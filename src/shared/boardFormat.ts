@@ -0,0 +1,51 @@
+/**
+ * ボードファイルの形式バージョンと読み込みエラーの受け渡し用ヘルパー
+ */
+
+/**
+ * 現在のボードファイルの形式バージョン（board.json の formatVersion）
+ * MindNode・Board などの保存形式を変えるときは1つ上げ、メインプロセスのマイグレーションを追加する
+ */
+export const BOARD_FORMAT_VERSION = 1;
+
+/**
+ * ボードファイルの形式の問題1件
+ */
+export interface BoardFormatIssue {
+  /** 問題のあるファイル（board.json / nodes.json / summaries.json） */
+  file: string;
+  /** ファイル内の位置（例: [3]（id: 1a2b3c4d）.parentIds[0]） */
+  path: string;
+  /** 問題の内容 */
+  message: string;
+}
+
+/** 読み込みエラーを埋め込む際の目印 */
+const BOARD_LOAD_ERROR_PATTERN = /\[BoardLoadError\]\s*([\s\S]*)$/;
+
+/**
+ * 読み込みエラーであることをメッセージに埋め込む（メインプロセス側で使用）
+ * IPCで例外を送るとメッセージの前に呼び出し元の情報が付くため、目印の後ろだけを取り出せるようにする
+ * @param message - エラーメッセージ
+ */
+export function encodeBoardLoadError(message: string): string {
+  return `[BoardLoadError] ${message}`;
+}
+
+/**
+ * IPC経由で受け取った例外から読み込みエラーのメッセージを取り出す（レンダラー側で使用）
+ * @param error - 捕捉した例外
+ * @returns 読み込みエラーのメッセージ（読み込みエラーでなければnull）
+ */
+export function parseBoardLoadError(error: unknown): string | null {
+  const raw = error instanceof Error ? error.message : String(error ?? '');
+  return raw.match(BOARD_LOAD_ERROR_PATTERN)?.[1] ?? null;
+}
+
+/**
+ * 形式の問題を表示用の1行にする
+ * @param issue - 形式の問題
+ */
+export function formatBoardFormatIssue(issue: BoardFormatIssue): string {
+  return `${issue.file} ${issue.path}: ${issue.message}`;
+}
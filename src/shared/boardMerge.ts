@@ -0,0 +1,91 @@
+/**
+ * 同じボードの複数の保存データを1つにまとめるヘルパー
+ * 以前の保存処理で同じボードが複数のフォルダに保存されてしまった場合の統合に使う
+ */
+import type { BoardData, MindNode, NodeId } from './types';
+
+/**
+ * 同じボード（同じboard.id）の保存データを統合する
+ * - ノード・サマリーは和集合をとり、同じIDのものは更新日時が新しい方を使う
+ *   （削除の記録は残っていないため、片方で削除したノードも残る）
+ * - ボード本体は更新日時が最も新しいものを使い、使用量の記録は和集合をとる（実際に発生した費用のため）
+ * - childrenIdsは統合後のparentIdsと食い違わないよう付け直す
+ * @param versions - 統合する保存データ（1件以上）
+ */
+export function mergeBoardData(versions: BoardData[]): BoardData {
+  if (versions.length === 0) {
+    throw new Error('統合するボードデータがありません');
+  }
+
+  const latest = [...versions].sort((a, b) => newerFirst(a.board.updatedAt, b.board.updatedAt))[0];
+  const usageLog = uniqueById(versions.flatMap(v => v.board.usageLog ?? []))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+  return {
+    board: {
+      ...latest.board,
+      ...(usageLog.length > 0 ? { usageLog } : {})
+    },
+    nodes: relinkChildren(newestById(versions.flatMap(v => v.nodes))),
+    summaries: newestById(versions.flatMap(v => v.summaries))
+  };
+}
+
+/**
+ * IDごとに更新日時が最も新しいものを残す（最初に現れた順を保つ）
+ */
+function newestById<T extends { id: string; updatedAt: string }>(items: T[]): T[] {
+  const byId = new Map<string, T>();
+  for (const item of items) {
+    const current = byId.get(item.id);
+    if (!current || item.updatedAt > current.updatedAt) {
+      byId.set(item.id, item);
+    }
+  }
+  return Array.from(byId.values());
+}
+
+/**
+ * IDの重複を除く（最初に現れたものを残す）
+ */
+function uniqueById<T extends { id: string }>(items: T[]): T[] {
+  const seen = new Set<string>();
+  return items.filter(item => {
+    if (seen.has(item.id)) return false;
+    seen.add(item.id);
+    return true;
+  });
+}
+
+/**
+ * parentIdsからchildrenIdsを付け直す
+ * 既存の並び順を保ち、存在しない子・親として参照していない子は除き、足りない子は末尾に加える
+ */
+function relinkChildren(nodes: MindNode[]): MindNode[] {
+  const nodeIds = new Set(nodes.map(n => n.id));
+  const childrenByParent = new Map<NodeId, NodeId[]>();
+  for (const node of nodes) {
+    for (const parentId of node.parentIds) {
+      if (!nodeIds.has(parentId)) continue;
+      const children = childrenByParent.get(parentId) ?? [];
+      children.push(node.id);
+      childrenByParent.set(parentId, children);
+    }
+  }
+
+  return nodes.map(node => {
+    const children = childrenByParent.get(node.id) ?? [];
+    const ordered = node.childrenIds.filter(id => children.includes(id));
+    const childrenIds = [...ordered, ...children.filter(id => !ordered.includes(id))];
+    const unchanged = childrenIds.length === node.childrenIds.length &&
+      childrenIds.every((id, i) => id === node.childrenIds[i]);
+    return unchanged ? node : { ...node, childrenIds };
+  });
+}
+
+/**
+ * 更新日時の新しい順に並べる比較関数
+ */
+function newerFirst(a: string, b: string): number {
+  return b.localeCompare(a);
+}
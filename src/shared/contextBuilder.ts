@@ -0,0 +1,487 @@
+/**
+ * LLMに渡す文脈の組み立て
+ * メイン親チェーン・サブ親チェーン・pin留めノードを重複なく収集し、
+ * モデルのコンテキストウィンドウに収まるよう古い祖先を要約（省略）または除外する
+ * プロンプト内の各ノードは短いID（[#xxxxxxxx]）で参照する
+ */
+import { estimateTokens, estimateMessagesTokens } from './tokenEstimate';
+import type { MindNode, NodeId, NodeType, Role } from './types';
+
+/** 予算に関わらず全文で残す直近のメッセージ数（直近のやり取り） */
+const RECENT_MESSAGES_TO_KEEP = 4;
+
+/** 省略時に残す先頭の文字数 */
+const ELIDED_PREVIEW_CHARS = 80;
+
+/** 一覧表示用のプレビュー文字数 */
+const ITEM_PREVIEW_CHARS = 40;
+
+/** プロンプトで使うノードIDの長さ（UUIDの先頭） */
+const SHORT_ID_LENGTH = 8;
+
+/** 短いIDの説明（文脈の先頭に付ける） */
+const SHORT_ID_NOTE = '（各項目の [#xxxxxxxx] は参照用のノードIDです。回答に含める必要はありません）';
+
+/** 省略した古い議論を囲む見出し */
+const ELIDED_HEADER = '--- これより前の議論（トークン上限のため一部省略） ---\n';
+const ELIDED_FOOTER = '\n--- 省略した議論ここまで ---';
+
+/** サブ親チェーン（関連議論）を囲む見出し */
+const SUB_HEADER = '--- 関連する別の議論 ---\n';
+const SUB_FOOTER = '\n\n--- 関連議論ここまで ---';
+
+/**
+ * 文脈メッセージ（元になったノードIDつき）
+ */
+export interface ContextMessage {
+  nodeId: NodeId;
+  role: Role;
+  content: string;
+  nodeType: NodeType;
+}
+
+/**
+ * 収集した文脈（メイン親チェーン + サブ親チェーン）
+ */
+export interface ContextResult {
+  mainContext: ContextMessage[];
+  subContexts: Array<{
+    parentNodeId: NodeId;
+    messages: ContextMessage[];
+  }>;
+  /** メイン・サブチェーンで収集したノードID（pin留めの決定事項ブロックとの重複除外に使う） */
+  collectedNodeIds: Set<NodeId>;
+}
+
+/** 文脈項目の出どころ */
+export type ContextItemSource = 'pinned' | 'main' | 'sub';
+
+/** 文脈項目の扱い（全文 / 要約して含む / トークン上限で除外 / ユーザーが除外） */
+export type ContextItemStatus = 'included' | 'elided' | 'dropped' | 'excluded';
+
+/**
+ * 文脈に含めた（または除外した）ノード1件の情報
+ * 送信前にユーザーへ何が含まれるかを示すために使う
+ */
+export interface ContextItem {
+  nodeId: NodeId;
+  source: ContextItemSource;
+  role: Role;
+  nodeType: NodeType;
+  /** 内容の先頭（表示用） */
+  preview: string;
+  /** プロンプト内で参照する短いID */
+  shortId: string;
+  /** pin留めノードか（チェーン内のpin留めノードは常に全文で含める） */
+  pinned: boolean;
+  /** 全文で含めた場合のトークン数（概算） */
+  tokens: number;
+  status: ContextItemStatus;
+}
+
+/**
+ * 組み立てた文脈
+ */
+export interface BuiltContext {
+  /** LLMに送るメッセージ（システムプロンプトと質問文は含まない） */
+  messages: Array<{ role: Role; content: string }>;
+  /** 含めた・省略した・除外したノードの一覧（pin留め → メイン → サブの順） */
+  items: ContextItem[];
+  /** 文脈に使ったトークン数（概算） */
+  usedTokens: number;
+  /** 文脈に使えるトークン数 */
+  availableTokens: number;
+}
+
+/**
+ * 文脈の組み立てオプション
+ */
+export interface BuildContextOptions {
+  /** モデルのコンテキストウィンドウ（トークン数） */
+  contextWindow: number;
+  /** 文脈以外に確保するトークン数（出力・システムプロンプト・質問文など） */
+  reservedTokens: number;
+  /** 開始ノード自身を文脈から除く（質問文として別途送る場合） */
+  excludeStartNode?: boolean;
+  /** ユーザーがこのリクエストに限って除外したノードID */
+  excludedNodeIds?: ReadonlySet<NodeId>;
+}
+
+/**
+ * 開始ノードから文脈を収集し、コンテキストウィンドウに収まるよう組み立てる
+ * @param allNodes - ボード内の全ノード
+ * @param startNode - 文脈の起点となるノード
+ * @param options - 組み立てオプション
+ */
+export function buildContextForNode(
+  allNodes: MindNode[],
+  startNode: MindNode,
+  options: BuildContextOptions
+): BuiltContext {
+  const contextResult = collectContextWithSubParents(allNodes, startNode);
+  // 起点ノードを質問文として別途送る場合も、collectedNodeIdsには残して決定事項ブロックに重複させない
+  if (options.excludeStartNode) {
+    contextResult.mainContext = contextResult.mainContext.filter(msg => msg.nodeId !== startNode.id);
+  }
+  return buildContext(contextResult, allNodes, options);
+}
+
+/**
+ * 収集した文脈をトークン予算内のメッセージ配列に変換する
+ * - pin留めノード（決定事項）は常に含める。メイン・サブチェーンに含まれるものはその位置に全文で含め、
+ *   決定事項ブロックには重複させない
+ * - メイン親チェーンの直近のメッセージは常に全文で含める
+ * - それより古い祖先は新しい順に予算が許す限り全文で含め、溢れた分は先頭だけ残して省略し、
+ *   それも収まらなければ除外する
+ * - サブ親チェーンは予算が許す範囲で含める（複数のサブ親で共通する祖先は1回だけ）
+ * - ユーザーが除外したノードはどこにも含めず、予算にも数えない
+ * @param contextResult - メイン・サブコンテキスト
+ * @param allNodes - ボード全体のノード（pin留めノード収集用）
+ * @param options - コンテキストウィンドウと確保するトークン数
+ */
+export function buildContext(
+  contextResult: ContextResult,
+  allNodes: MindNode[],
+  options: Omit<BuildContextOptions, 'excludeStartNode'>
+): BuiltContext {
+  const availableTokens = Math.max(0, options.contextWindow - options.reservedTokens);
+  const excludedIds = options.excludedNodeIds ?? new Set<NodeId>();
+  const pinnedIds = new Set(collectPinnedNodes(allNodes, new Set()).map(node => node.id));
+  const initialStatus = (msg: ContextMessage): ContextItemStatus => excludedIds.has(msg.nodeId) ? 'excluded' : 'dropped';
+  const items: ContextItem[] = [];
+  let usedTokens = estimateMessagesTokens([{ content: SHORT_ID_NOTE }]);
+
+  // pin留めノード（決定事項・重要な前提）のうち、チェーンに含まれないものは予算に関わらず決定事項ブロックに含める
+  const pinnedNodes = collectPinnedNodes(allNodes, contextResult.collectedNodeIds);
+  const pinnedTexts = pinnedNodes.map(pinnedNodeText);
+  const activePinnedTexts = pinnedTexts.filter((_, index) => !excludedIds.has(pinnedNodes[index].id));
+  const pinnedMessage = activePinnedTexts.length > 0
+    ? { role: 'system' as const, content: `--- 決定事項・重要な前提 ---\n${activePinnedTexts.join('\n\n')}\n--- 決定事項ここまで ---` }
+    : null;
+  if (pinnedMessage) {
+    usedTokens += estimateMessagesTokens([pinnedMessage]);
+  }
+  pinnedNodes.forEach((node, index) => {
+    items.push({
+      nodeId: node.id,
+      source: 'pinned',
+      role: node.role,
+      nodeType: node.type,
+      preview: toPreview(node.title || node.content),
+      shortId: toShortNodeId(node.id),
+      pinned: true,
+      tokens: estimateTokens(pinnedTexts[index]),
+      status: excludedIds.has(node.id) ? 'excluded' : 'included'
+    });
+  });
+
+  // メイン親チェーン: pin留めノードと直近のメッセージは必ず全文で含める
+  const main = contextResult.mainContext;
+  const mainTexts = main.map(msg => `[#${toShortNodeId(msg.nodeId)}] ${msg.content}`);
+  const mainStatuses: ContextItemStatus[] = main.map(initialStatus);
+  const mainTokens = mainTexts.map(text => estimateMessagesTokens([{ content: text }]));
+  main.forEach((msg, i) => {
+    if (mainStatuses[i] !== 'excluded' && pinnedIds.has(msg.nodeId)) {
+      mainStatuses[i] = 'included';
+      usedTokens += mainTokens[i];
+    }
+  });
+
+  // 残りは新しい方から順に全文で含め、収まらなくなった位置より古いものは後で省略を試みる
+  let overflowIndex = -1;
+  let recentCount = 0;
+  for (let i = main.length - 1; i >= 0; i--) {
+    if (mainStatuses[i] === 'excluded') continue;
+    if (mainStatuses[i] === 'included') {
+      recentCount++;
+      continue;
+    }
+    if (recentCount < RECENT_MESSAGES_TO_KEEP || usedTokens + mainTokens[i] <= availableTokens) {
+      mainStatuses[i] = 'included';
+      usedTokens += mainTokens[i];
+      recentCount++;
+    } else {
+      overflowIndex = i;
+      break;
+    }
+  }
+
+  // サブ親チェーン: 共通の祖先を1回だけにし、合流点に近い（新しい）方から収まるものだけ含める
+  const mainIds = new Set(main.map(msg => msg.nodeId));
+  const seenSubIds = new Set<NodeId>();
+  const subMessages = contextResult.subContexts
+    .flatMap(sub => sub.messages)
+    .filter(msg => {
+      if (mainIds.has(msg.nodeId) || seenSubIds.has(msg.nodeId)) return false;
+      seenSubIds.add(msg.nodeId);
+      return true;
+    });
+  const subLines = subMessages.map(msg => `[#${toShortNodeId(msg.nodeId)}][${msg.role}] ${msg.content}`);
+  const subStatuses: ContextItemStatus[] = subMessages.map(initialStatus);
+  const subOverhead = estimateMessagesTokens([{ content: SUB_HEADER + SUB_FOOTER }]);
+  let subUsed = 0;
+  for (let i = subMessages.length - 1; i >= 0; i--) {
+    if (subStatuses[i] === 'excluded') continue;
+    const tokens = estimateTokens(subLines[i]);
+    const overhead = subUsed === 0 ? subOverhead : 0;
+    if (pinnedIds.has(subMessages[i].nodeId) || usedTokens + overhead + tokens <= availableTokens) {
+      subStatuses[i] = 'included';
+      usedTokens += overhead + tokens;
+      subUsed += tokens;
+    }
+  }
+
+  // 溢れた古い祖先: 先頭だけの1行に省略して含め、それも収まらなければそこから先は除外する
+  const elidedLines: string[] = [];
+  let droppedCount = 0;
+  if (overflowIndex >= 0) {
+    usedTokens += estimateMessagesTokens([{ content: ELIDED_HEADER + ELIDED_FOOTER }]);
+    for (let i = overflowIndex; i >= 0; i--) {
+      if (mainStatuses[i] === 'excluded' || mainStatuses[i] === 'included') continue;
+      const line = `[#${toShortNodeId(main[i].nodeId)}][${main[i].role}] ${truncate(main[i].content.replace(/\s+/g, ' ').trim(), ELIDED_PREVIEW_CHARS)}`;
+      const tokens = estimateTokens(line);
+      if (droppedCount === 0 && usedTokens + tokens <= availableTokens) {
+        mainStatuses[i] = 'elided';
+        elidedLines.unshift(line);
+        usedTokens += tokens;
+      } else {
+        droppedCount++;
+      }
+    }
+  }
+
+  // メッセージを組み立てる（決定事項 → 省略した古い議論 → メイン親チェーン → 関連議論）
+  const messages: BuiltContext['messages'] = [];
+  if (pinnedMessage) {
+    messages.push(pinnedMessage);
+  }
+  if (overflowIndex >= 0) {
+    const droppedNote = droppedCount > 0 ? `（さらに古い${droppedCount}件は含めていません）\n` : '';
+    messages.push({
+      role: 'system',
+      content: `${ELIDED_HEADER}${droppedNote}${elidedLines.join('\n')}${ELIDED_FOOTER}`
+    });
+  }
+  main.forEach((msg, i) => {
+    if (mainStatuses[i] === 'included') {
+      messages.push({ role: msg.role, content: mainTexts[i] });
+    }
+  });
+  if (subUsed > 0) {
+    const includedLines = subLines.filter((_, i) => subStatuses[i] === 'included');
+    messages.push({
+      role: 'system',
+      content: `${SUB_HEADER}${includedLines.join('\n\n')}${SUB_FOOTER}`
+    });
+  }
+  if (messages.length > 0) {
+    messages.unshift({ role: 'system', content: SHORT_ID_NOTE });
+  }
+
+  main.forEach((msg, i) => items.push(toItem(msg, 'main', pinnedIds.has(msg.nodeId), mainTokens[i], mainStatuses[i])));
+  subMessages.forEach((msg, i) => items.push(toItem(msg, 'sub', pinnedIds.has(msg.nodeId), estimateTokens(subLines[i]), subStatuses[i])));
+
+  return { messages, items, usedTokens, availableTokens };
+}
+
+/**
+ * ノードIDからプロンプト用の短いIDを作る
+ * UUIDの先頭を使うため、同じノードは常に同じIDになる
+ * @param nodeId - ノードID
+ */
+export function toShortNodeId(nodeId: NodeId): string {
+  return nodeId.replace(/-/g, '').slice(0, SHORT_ID_LENGTH);
+}
+
+/**
+ * ボード全体からpin留めノードを収集する
+ * @param allNodes - ボード内の全ノード
+ * @param excludeIds - 除外するノードID（既にコンテキストに含まれているもの）
+ * @returns pin留めノードの配列
+ */
+export function collectPinnedNodes(allNodes: MindNode[], excludeIds: Set<string>): MindNode[] {
+  return allNodes.filter(node =>
+    node.metadata?.pin === true && !excludeIds.has(node.id)
+  );
+}
+
+/**
+ * コンテキストを収集（メイン親 + サブ親）
+ * メイン親チェーン + サブ親チェーン（メイン親と合流するまで）を取得
+ * topic/noteも含める
+ */
+export function collectContextWithSubParents(nodes: MindNode[], startNode: MindNode): ContextResult {
+  // メイン親チェーンを収集
+  const { messages: mainContext, visitedIds: mainChainIds } = collectMainChain(nodes, startNode);
+
+  // サブ親チェーンを収集
+  const subContexts: ContextResult['subContexts'] = [];
+
+  // startNodeのサブ親（parentIds[1]以降）を処理
+  for (let i = 1; i < startNode.parentIds.length; i++) {
+    const subParentId = startNode.parentIds[i];
+    const subMessages = collectSubChain(nodes, subParentId, mainChainIds);
+
+    if (subMessages.length > 0) {
+      subContexts.push({
+        parentNodeId: subParentId,
+        messages: subMessages
+      });
+    }
+  }
+
+  // 決定事項ブロックとの重複除外用に、メッセージになったノードのIDをまとめる
+  const collectedNodeIds = new Set<NodeId>([
+    ...mainContext.map(msg => msg.nodeId),
+    ...subContexts.flatMap(sub => sub.messages.map(msg => msg.nodeId))
+  ]);
+
+  return { mainContext, subContexts, collectedNodeIds };
+}
+
+/**
+ * ノードからコンテキストメッセージを生成
+ */
+function nodeToContextMessage(node: MindNode): ContextMessage | null {
+  // 生成に失敗した回答ノードはLLMに渡さない
+  if (node.error) return null;
+  if (node.type === 'message') {
+    return {
+      nodeId: node.id,
+      role: node.role,
+      content: node.content,
+      nodeType: 'message'
+    };
+  } else if (node.type === 'topic') {
+    return {
+      nodeId: node.id,
+      role: 'system',
+      content: `[トピック] ${node.title || node.content}`,
+      nodeType: 'topic'
+    };
+  } else if (node.type === 'note') {
+    return {
+      nodeId: node.id,
+      role: 'system',
+      content: `[メモ] ${node.title ? node.title + ': ' : ''}${node.content}`,
+      nodeType: 'note'
+    };
+  }
+  return null;
+}
+
+/**
+ * メイン親チェーンを収集（rootまで）
+ */
+function collectMainChain(nodes: MindNode[], startNode: MindNode): { messages: ContextMessage[]; visitedIds: Set<string> } {
+  const messages: ContextMessage[] = [];
+  const visitedIds = new Set<string>();
+
+  let current: MindNode | undefined = startNode;
+
+  while (current && !visitedIds.has(current.id)) {
+    visitedIds.add(current.id);
+
+    const msg = nodeToContextMessage(current);
+    if (msg) {
+      messages.unshift(msg);
+    }
+
+    // メイン親を辿る
+    const mainParentId: string | undefined = current.parentIds[0];
+    if (mainParentId) {
+      current = nodes.find((n) => n.id === mainParentId);
+    } else {
+      break;
+    }
+  }
+
+  return { messages, visitedIds };
+}
+
+/**
+ * サブ親チェーンを収集（メイン親チェーンと合流するまで）
+ */
+function collectSubChain(
+  nodes: MindNode[],
+  subParentId: string,
+  mainChainIds: Set<string>
+): ContextMessage[] {
+  const messages: ContextMessage[] = [];
+  const visited = new Set<string>();
+
+  let current: MindNode | undefined = nodes.find((n) => n.id === subParentId);
+
+  while (current && !visited.has(current.id)) {
+    // メイン親チェーンと合流したら終了
+    if (mainChainIds.has(current.id)) {
+      break;
+    }
+
+    visited.add(current.id);
+
+    const msg = nodeToContextMessage(current);
+    if (msg) {
+      messages.unshift(msg);
+    }
+
+    // メイン親を辿る
+    const mainParentId: string | undefined = current.parentIds[0];
+    if (mainParentId) {
+      current = nodes.find((n) => n.id === mainParentId);
+    } else {
+      break;
+    }
+  }
+
+  return messages;
+}
+
+/**
+ * pin留めノードを決定事項ブロック内の1項目に変換する
+ */
+function pinnedNodeText(node: MindNode): string {
+  const typeLabel = node.type === 'note' ? 'メモ' :
+                   node.type === 'topic' ? 'トピック' :
+                   node.type === 'root' ? 'テーマ' : 'メッセージ';
+  const title = node.title ? `${node.title}: ` : '';
+  return `📌 [#${toShortNodeId(node.id)}][${typeLabel}] ${title}${node.content}`;
+}
+
+/**
+ * 文脈メッセージを一覧表示用の項目に変換する
+ */
+function toItem(
+  msg: ContextMessage,
+  source: ContextItemSource,
+  pinned: boolean,
+  tokens: number,
+  status: ContextItemStatus
+): ContextItem {
+  return {
+    nodeId: msg.nodeId,
+    source,
+    role: msg.role,
+    nodeType: msg.nodeType,
+    preview: toPreview(msg.content),
+    shortId: toShortNodeId(msg.nodeId),
+    pinned,
+    tokens,
+    status
+  };
+}
+
+/**
+ * 改行を詰めて先頭だけを取り出す
+ */
+function toPreview(text: string): string {
+  return truncate(text.replace(/\s+/g, ' ').trim(), ITEM_PREVIEW_CHARS);
+}
+
+/**
+ * 指定文字数を超える場合は末尾を「…」にする
+ */
+function truncate(text: string, maxChars: number): string {
+  const chars = Array.from(text);
+  return chars.length > maxChars ? `${chars.slice(0, maxChars).join('')}…` : text;
+}
@@ -0,0 +1,47 @@
+/**
+ * トークン使用量・コストの計算ヘルパー
+ */
+import type { ModelPricing, TokenUsage } from './types';
+
+/** 料金の単位（100万トークンあたり） */
+const TOKENS_PER_PRICE_UNIT = 1_000_000;
+
+/**
+ * 使用量と料金から円換算のコストを計算する
+ * @param usage - トークン使用量
+ * @param pricing - モデルの料金（100万トークンあたりのUSD）
+ * @param usdToJpy - 為替レート
+ */
+export function calculateCostJPY(usage: TokenUsage, pricing: ModelPricing, usdToJpy: number): number {
+  const usd =
+    (usage.promptTokens * pricing.input + usage.completionTokens * pricing.output) / TOKENS_PER_PRICE_UNIT;
+  return usd * usdToJpy;
+}
+
+/**
+ * 複数の使用量を合算する
+ * コストが計算できなかったものは0円として扱う
+ * @param usages - 使用量の配列
+ */
+export function sumUsage(usages: Array<TokenUsage | undefined>): TokenUsage {
+  return usages.reduce<TokenUsage>((total, usage) => {
+    if (!usage) return total;
+    return {
+      promptTokens: total.promptTokens + usage.promptTokens,
+      completionTokens: total.completionTokens + usage.completionTokens,
+      totalTokens: total.totalTokens + usage.totalTokens,
+      costJPY: (total.costJPY ?? 0) + (usage.costJPY ?? 0)
+    };
+  }, { promptTokens: 0, completionTokens: 0, totalTokens: 0, costJPY: 0 });
+}
+
+/**
+ * コストを表示用の文字列にする（1円未満は小数2桁まで表示）
+ * @param costJPY - 円換算のコスト
+ */
+export function formatCostJPY(costJPY: number): string {
+  if (costJPY < 1) {
+    return `¥${costJPY.toFixed(2)}`;
+  }
+  return `¥${costJPY.toLocaleString('ja-JP', { maximumFractionDigits: 1 })}`;
+}
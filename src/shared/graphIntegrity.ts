@@ -0,0 +1,325 @@
+/**
+ * ノードのつながり（parentIds / childrenIds）の整合性チェックと修復
+ * parentIdsとchildrenIdsは両方に同じ親子関係を持たせているため、食い違い・存在しないIDへの参照・
+ * rootから辿れないノード・循環がないかを調べ、必要なら修復したノード一覧を作る
+ * 親を接続する際に循環を作らないための判定もここで行う
+ */
+import type { MindNode, NodeId } from './types';
+
+/**
+ * 整合性の問題の種類
+ * - danglingParent: parentIdsに存在しないノードがある
+ * - danglingChild: childrenIdsに存在しないノードがある
+ * - duplicateLink: parentIds / childrenIdsに同じIDが重複している
+ * - asymmetricLink: 親子関係が片方（parentIdsかchildrenIds）にしかない
+ * - rootHasParent: rootノードに親がある
+ * - cycle: 親子関係が循環している
+ * - unreachable: rootから辿れない
+ * - missingRoot: ボードのrootノードが存在しない（修復できない）
+ */
+export type GraphIssueKind =
+  | 'danglingParent'
+  | 'danglingChild'
+  | 'duplicateLink'
+  | 'asymmetricLink'
+  | 'rootHasParent'
+  | 'cycle'
+  | 'unreachable'
+  | 'missingRoot';
+
+/**
+ * 整合性の問題1件
+ */
+export interface GraphIssue {
+  kind: GraphIssueKind;
+  /** 問題のあるノード */
+  nodeId: NodeId;
+  /** 関係する相手のノード（参照先のIDなど） */
+  relatedNodeId?: NodeId;
+  /** 利用者向けの説明 */
+  message: string;
+}
+
+/** 種類ごとの表示名 */
+export const GRAPH_ISSUE_LABELS: Record<GraphIssueKind, string> = {
+  danglingParent: '存在しない親',
+  danglingChild: '存在しない子',
+  duplicateLink: '重複した接続',
+  asymmetricLink: '片方だけの接続',
+  rootHasParent: 'rootの親',
+  cycle: '循環',
+  unreachable: 'rootから辿れない',
+  missingRoot: 'rootがない'
+};
+
+/** 問題の説明に使うノード名の文字数 */
+const LABEL_LENGTH = 20;
+
+/**
+ * 整合性の問題を調べる
+ * @param nodes - ボード内の全ノード
+ * @param rootNodeId - ボードのrootノードID
+ * @returns 見つかった問題（なければ空）
+ */
+export function checkGraphIntegrity(nodes: MindNode[], rootNodeId: NodeId): GraphIssue[] {
+  return analyzeGraph(nodes, rootNodeId).issues;
+}
+
+/**
+ * 整合性の問題を修復したノード一覧を作る
+ * - 存在しないIDへの参照・重複を取り除き、片方だけの親子関係はもう片方にも加える
+ * - rootの親と、循環のもとになる接続（rootから辿って戻ってくる接続）を外す
+ * - rootから辿れないノードのうち、親のないものをrootの子にする
+ * 変更したノードだけ更新日時を新しくし、それ以外は同じオブジェクトのまま返す
+ * @param nodes - ボード内の全ノード
+ * @param rootNodeId - ボードのrootノードID
+ */
+export function repairGraph(nodes: MindNode[], rootNodeId: NodeId): MindNode[] {
+  const { parents, children } = analyzeGraph(nodes, rootNodeId);
+  const now = new Date().toISOString();
+
+  return nodes.map((node) => {
+    const parentIds = parents.get(node.id) ?? node.parentIds;
+    const childrenIds = children.get(node.id) ?? node.childrenIds;
+    if (sameIds(parentIds, node.parentIds) && sameIds(childrenIds, node.childrenIds)) {
+      return node;
+    }
+    return { ...node, parentIds, childrenIds, updatedAt: now };
+  });
+}
+
+/**
+ * 親として接続できないノードと、その理由を求める
+ * 自分自身・既に親のノード・子孫（親にすると親子関係が循環する）は親にできない
+ * @param nodes - ボード内の全ノード
+ * @param childId - 親を追加するノード
+ * @returns 接続できないノードIDと理由
+ */
+export function findInvalidParentTargets(nodes: MindNode[], childId: NodeId): Map<NodeId, string> {
+  const invalid = new Map<NodeId, string>();
+  const child = nodes.find((n) => n.id === childId);
+  if (!child) return invalid;
+
+  for (const descendantId of collectDescendantIds(nodes, childId)) {
+    invalid.set(descendantId, 'このノードの子孫のため、親にすると親子関係が循環します');
+  }
+  for (const parentId of child.parentIds) {
+    invalid.set(parentId, '既に親として接続されています');
+  }
+  invalid.set(childId, '自分自身は親にできません');
+  return invalid;
+}
+
+/**
+ * 指定したノードを親として接続できない理由を求める
+ * @param nodes - ボード内の全ノード
+ * @param childId - 親を追加するノード
+ * @param parentId - 親にするノード
+ * @returns 接続できない理由（接続できる場合はnull）
+ */
+export function getParentConnectionError(nodes: MindNode[], childId: NodeId, parentId: NodeId): string | null {
+  return findInvalidParentTargets(nodes, childId).get(parentId) ?? null;
+}
+
+/**
+ * 親子関係を追加すると循環するか（親にするノードが自分自身か子孫の場合）
+ * @param nodes - ボード内の全ノード
+ * @param childId - 子になるノード
+ * @param parentId - 親になるノード
+ */
+export function wouldCreateCycle(nodes: MindNode[], childId: NodeId, parentId: NodeId): boolean {
+  return parentId === childId || collectDescendantIds(nodes, childId).has(parentId);
+}
+
+/**
+ * ノードの子孫（子を辿って届くノード）を集める
+ * childrenIdsとparentIdsが食い違っていても循環を見逃さないよう、両方の親子関係を辿る
+ */
+function collectDescendantIds(nodes: MindNode[], nodeId: NodeId): Set<NodeId> {
+  const childrenOf = new Map<NodeId, Set<NodeId>>();
+  const addChild = (parentId: NodeId, childId: NodeId) => {
+    const children = childrenOf.get(parentId) ?? new Set<NodeId>();
+    children.add(childId);
+    childrenOf.set(parentId, children);
+  };
+  for (const node of nodes) {
+    node.parentIds.forEach((parentId) => addChild(parentId, node.id));
+    node.childrenIds.forEach((childId) => addChild(node.id, childId));
+  }
+
+  const descendants = new Set<NodeId>();
+  const queue: NodeId[] = [nodeId];
+  while (queue.length > 0) {
+    for (const childId of childrenOf.get(queue.shift()!) ?? []) {
+      if (childId !== nodeId && !descendants.has(childId)) {
+        descendants.add(childId);
+        queue.push(childId);
+      }
+    }
+  }
+  return descendants;
+}
+
+/**
+ * 問題を調べながら、修復後の親子関係を組み立てる
+ */
+function analyzeGraph(nodes: MindNode[], rootNodeId: NodeId): {
+  issues: GraphIssue[];
+  parents: Map<NodeId, NodeId[]>;
+  children: Map<NodeId, NodeId[]>;
+} {
+  const issues: GraphIssue[] = [];
+  const byId = new Map(nodes.map((n) => [n.id, n]));
+  const parents = new Map<NodeId, NodeId[]>();
+  const children = new Map<NodeId, NodeId[]>();
+  const report = (kind: GraphIssueKind, nodeId: NodeId, message: string, relatedNodeId?: NodeId) => {
+    issues.push({ kind, nodeId, relatedNodeId, message });
+  };
+
+  // 存在しないIDへの参照と重複を取り除く
+  for (const node of nodes) {
+    parents.set(node.id, cleanIds(node.parentIds, (id, duplicated) => {
+      if (duplicated) {
+        report('duplicateLink', node.id, `${label(node)}の親に${label(byId.get(id))}が重複しています`, id);
+        return false;
+      }
+      if (!byId.has(id)) {
+        report('danglingParent', node.id, `${label(node)}の親（${id}）が存在しません`, id);
+        return false;
+      }
+      return true;
+    }));
+    children.set(node.id, cleanIds(node.childrenIds, (id, duplicated) => {
+      if (duplicated) {
+        report('duplicateLink', node.id, `${label(node)}の子に${label(byId.get(id))}が重複しています`, id);
+        return false;
+      }
+      if (!byId.has(id)) {
+        report('danglingChild', node.id, `${label(node)}の子（${id}）が存在しません`, id);
+        return false;
+      }
+      return true;
+    }));
+  }
+
+  // 片方にしかない親子関係をもう片方にも加える
+  for (const node of nodes) {
+    for (const childId of children.get(node.id)!) {
+      if (!parents.get(childId)!.includes(node.id)) {
+        report('asymmetricLink', childId, `${label(byId.get(childId))}の親に${label(node)}がありません（子としてだけ登録されています）`, node.id);
+        parents.get(childId)!.push(node.id);
+      }
+    }
+  }
+  for (const node of nodes) {
+    for (const parentId of parents.get(node.id)!) {
+      if (!children.get(parentId)!.includes(node.id)) {
+        report('asymmetricLink', parentId, `${label(byId.get(parentId))}の子に${label(node)}がありません（親としてだけ登録されています）`, node.id);
+        children.get(parentId)!.push(node.id);
+      }
+    }
+  }
+
+  const unlink = (parentId: NodeId, childId: NodeId) => {
+    parents.set(childId, parents.get(childId)!.filter((id) => id !== parentId));
+    children.set(parentId, children.get(parentId)!.filter((id) => id !== childId));
+  };
+
+  const root = byId.get(rootNodeId);
+  if (!root) {
+    report('missingRoot', rootNodeId, `ボードのrootノード（${rootNodeId}）が存在しません`);
+  } else {
+    for (const parentId of [...parents.get(rootNodeId)!]) {
+      report('rootHasParent', rootNodeId, `rootノードに親${label(byId.get(parentId))}があります`, parentId);
+      unlink(parentId, rootNodeId);
+    }
+  }
+
+  // 循環を探す（rootから、続いて残りのノードから深さ優先で辿り、辿っている途中のノードに戻る接続を外す）
+  const state = new Map<NodeId, 'visiting' | 'done'>();
+  const startIds = root ? [rootNodeId, ...nodes.map((n) => n.id)] : nodes.map((n) => n.id);
+  for (const startId of startIds) {
+    if (state.has(startId)) continue;
+    const stack: Array<{ id: NodeId; index: number }> = [{ id: startId, index: 0 }];
+    state.set(startId, 'visiting');
+    while (stack.length > 0) {
+      const frame = stack[stack.length - 1];
+      const childIds = children.get(frame.id)!;
+      if (frame.index >= childIds.length) {
+        state.set(frame.id, 'done');
+        stack.pop();
+        continue;
+      }
+      const childId = childIds[frame.index];
+      const childState = state.get(childId);
+      if (childState === 'visiting') {
+        report('cycle', childId, `${label(byId.get(frame.id))} → ${label(byId.get(childId))}の接続で親子関係が循環しています`, frame.id);
+        unlink(frame.id, childId);
+        continue;
+      }
+      frame.index++;
+      if (!childState) {
+        state.set(childId, 'visiting');
+        stack.push({ id: childId, index: 0 });
+      }
+    }
+  }
+
+  // rootから辿れないノードを探し、親のないものをrootの子にする
+  if (root) {
+    const reachable = new Set<NodeId>([rootNodeId]);
+    const queue: NodeId[] = [rootNodeId];
+    while (queue.length > 0) {
+      for (const childId of children.get(queue.shift()!)!) {
+        if (!reachable.has(childId)) {
+          reachable.add(childId);
+          queue.push(childId);
+        }
+      }
+    }
+
+    for (const node of nodes) {
+      if (reachable.has(node.id)) continue;
+      report('unreachable', node.id, `${label(node)}はrootから辿れません`);
+      if (parents.get(node.id)!.length === 0) {
+        parents.set(node.id, [rootNodeId]);
+        children.get(rootNodeId)!.push(node.id);
+      }
+    }
+  }
+
+  return { issues, parents, children };
+}
+
+/**
+ * IDの一覧から、重複と条件に合わないIDを取り除く
+ * @param keep - 残すかどうか（duplicated: それより前に同じIDがある）
+ */
+function cleanIds(ids: NodeId[], keep: (id: NodeId, duplicated: boolean) => boolean): NodeId[] {
+  const seen = new Set<NodeId>();
+  const result: NodeId[] = [];
+  for (const id of ids) {
+    if (keep(id, seen.has(id))) {
+      result.push(id);
+    }
+    seen.add(id);
+  }
+  return result;
+}
+
+/**
+ * IDの並びが同じか
+ */
+function sameIds(a: NodeId[], b: NodeId[]): boolean {
+  return a.length === b.length && a.every((id, i) => id === b[i]);
+}
+
+/**
+ * 問題の説明に使うノード名
+ */
+function label(node: MindNode | undefined): string {
+  if (!node) return '「（不明なノード）」';
+  const text = (node.title || node.content).replace(/\s+/g, ' ').trim() || node.id;
+  const chars = Array.from(text);
+  return `「${chars.length > LABEL_LENGTH ? `${chars.slice(0, LABEL_LENGTH).join('')}…` : text}」`;
+}
@@ -1,7 +1,8 @@
 /**
  * IPC通信用の型定義
  */
-import type { Board, BoardData, MindNode, ModelConfig, Provider } from './types';
+import type { Board, BoardData, MindNode, ModelConfig, Provider, TokenUsage } from './types';
+import type { PromptTemplate, PromptTemplates } from './promptTemplates';
 
 /**
  * 利用可能なモデル一覧のレスポンス
@@ -22,15 +23,54 @@ export interface AppSettings {
   openaiApiKey?: string;
   anthropicApiKey?: string;
   googleApiKey?: string;
+  /** ローカルLLMのOpenAI互換エンドポイント（例: http://localhost:11434/v1） */
   localEndpoint?: string;
+  /** ローカルエンドポイントの認証キー（不要なら未設定） */
+  localApiKey?: string;
   theme?: 'light' | 'dark' | 'system';
   parentFolderPath?: string; // ボードを管理する親フォルダ
   /** デフォルトのLLMプロバイダー */
-  defaultProvider?: 'openai' | 'anthropic' | 'google' | 'local';
+  defaultProvider?: Provider;
   /** デフォルトのモデル */
   defaultModel?: string;
   /** トピック生成用モデル */
   topicGenerationModel?: string;
+  /** プロバイダーの有効/無効（models.yamlのenabledを上書き） */
+  enabledProviders?: Partial<Record<Provider, boolean>>;
+  /** 月間予算（円）。全ボード合計の今月の利用額がこれを超える見込みの場合は送信しない */
+  monthlyBudgetJPY?: number;
+  /** LLM呼び出しのモード。未設定なら通常（実際のAPIを呼ぶ） */
+  llmMode?: LLMMode;
+  /** モック・記録モードで使う記録の保存先フォルダ。未設定ならユーザーデータの llm-recordings */
+  llmRecordingsPath?: string;
+}
+
+/**
+ * LLM呼び出しのモード
+ * - live: 実際のAPIを呼ぶ
+ * - mock: APIを呼ばず、記録済みの応答（なければ決まった応答）を返す（オフラインのデモ・テスト用）
+ * - record: 実際のAPIを呼び、リクエストと応答の組を記録する
+ */
+export type LLMMode = 'live' | 'mock' | 'record';
+
+/**
+ * 予算チェック用のボード情報（レンダラー → メイン）
+ */
+export interface BudgetContext {
+  boardId: string;
+  /** ボードの予算（円）。未設定なら上限なし */
+  boardBudgetJPY?: number;
+  /** ボードでこれまでに使った金額（円） */
+  boardSpentJPY: number;
+}
+
+/**
+ * 今月の利用額
+ */
+export interface MonthlyUsage {
+  /** 対象月（YYYY-MM） */
+  month: string;
+  costJPY: number;
 }
 
 /**
@@ -45,11 +85,59 @@ export interface BoardInfo {
   updatedAt: string;
 }
 
+/**
+ * 前回保存し終えなかったボード（一時ファイルが残っているもの）
+ */
+export interface InterruptedSave {
+  folderPath: string;
+  /** ボード名（読み取れない場合は空文字） */
+  title: string;
+  /** 一時ファイルの最終更新日時（ISO8601形式） */
+  savedAt: string;
+  /** 残っている一時ファイル（本来のファイル名と、JSONとして読めて復元できるか） */
+  files: Array<{ name: string; recoverable: boolean }>;
+  /** 一時ファイルが残っていないボードファイル（本来のファイル名） */
+  missingFiles: string[];
+  /**
+   * 復元できるか
+   * 一部のファイルだけを置き換えるとファイル間で内容が食い違うため、すべてのファイルの一時ファイルがそろって読める場合だけtrue
+   */
+  recoverable: boolean;
+}
+
+/** 保存し終えなかった一時ファイルの扱い（復元または破棄） */
+export type InterruptedSaveAction = 'recover' | 'discard';
+
+/**
+ * 親フォルダ内で複数のフォルダに保存されている同じボード（同じboard.id）
+ */
+export interface DuplicateBoardGroup {
+  boardId: string;
+  /** 最後に更新されたフォルダのボード名 */
+  title: string;
+  /** 保存されているフォルダ（更新日時の新しい順。先頭が統合先） */
+  folders: Array<BoardInfo & { nodeCount: number }>;
+}
+
+/**
+ * 重複したボードフォルダの統合結果
+ */
+export interface MergeDuplicateBoardsResult {
+  /** 統合先のフォルダ */
+  folderPath: string;
+  /** 統合後のノード数 */
+  nodeCount: number;
+  /** 統合元のフォルダの退避先 */
+  backupPaths: string[];
+}
+
 /**
  * LLMリクエスト
  */
 export interface LLMRequest {
-  provider: 'openai' | 'anthropic' | 'google' | 'local';
+  /** リクエスト識別子（ストリーミングの差分通知の照合とキャンセルに使用） */
+  requestId?: string;
+  provider: Provider;
   model: string;
   messages: Array<{
     role: 'user' | 'assistant' | 'system';
@@ -57,6 +145,8 @@ export interface LLMRequest {
   }>;
   temperature?: number;
   maxTokens?: number;
+  /** 予算チェック用のボード情報 */
+  budget?: BudgetContext;
 }
 
 /**
@@ -64,22 +154,73 @@ export interface LLMRequest {
  */
 export interface LLMResponse {
   content: string;
-  usage?: {
-    promptTokens: number;
-    completionTokens: number;
-    totalTokens: number;
-  };
+  /** トークン使用量（costJPYはメインプロセスでmodels.yamlの料金から計算） */
+  usage?: TokenUsage;
+  /** キャンセルにより途中で打ち切られた場合はtrue（contentはそれまでの部分回答、usageはそれまでの概算） */
+  aborted?: boolean;
+  /** 予算の上限に近づいている場合の警告 */
+  budgetWarning?: string;
+}
+
+/**
+ * ストリーミング中の差分通知（メイン → レンダラー）
+ */
+export interface LLMStreamDelta {
+  requestId: string;
+  /** 追加された差分テキスト */
+  delta: string;
 }
 
 /**
  * トピック生成リクエスト
  */
 export interface GenerateTopicsRequest {
+  /** リクエスト識別子（キャンセルに使用） */
+  requestId?: string;
+  /** 使用するプロバイダー（省略時はOpenAI） */
+  provider?: Provider;
   content: string;
   context?: string;
   maxTopics?: number;
   /** 使用するモデル */
   model?: string;
+  /** 予算チェック用のボード情報 */
+  budget?: BudgetContext;
+  /** ボードごとのプロンプトテンプレート（未指定ならユーザー設定のテンプレート） */
+  promptTemplate?: PromptTemplate;
+}
+
+/**
+ * フォローアップ質問の提案リクエスト
+ */
+export interface GenerateFollowUpsRequest {
+  /** リクエスト識別子（キャンセルに使用） */
+  requestId?: string;
+  /** 使用するプロバイダー（省略時はOpenAI） */
+  provider?: Provider;
+  /** 質問を提案する元の回答 */
+  content: string;
+  context?: string;
+  /** 提案する質問の最大数（省略時は4） */
+  maxQuestions?: number;
+  /** 使用するモデル */
+  model?: string;
+  /** 予算チェック用のボード情報 */
+  budget?: BudgetContext;
+  /** ボードごとのプロンプトテンプレート（未指定ならユーザー設定のテンプレート） */
+  promptTemplate?: PromptTemplate;
+}
+
+/**
+ * フォローアップ質問の提案結果
+ */
+export interface GenerateFollowUpsResponse {
+  /** 提案された質問文 */
+  questions: string[];
+  /** トークン使用量 */
+  usage?: TokenUsage;
+  /** 予算の上限に近づいている場合の警告 */
+  budgetWarning?: string;
 }
 
 /**
@@ -92,20 +233,54 @@ export interface GeneratedTopic {
   tags?: string[];
 }
 
+/**
+ * トピック生成の結果
+ */
+export interface GenerateTopicsResponse {
+  topics: GeneratedTopic[];
+  /** トークン使用量 */
+  usage?: TokenUsage;
+  /** 予算の上限に近づいている場合の警告 */
+  budgetWarning?: string;
+}
+
+/**
+ * ノート・サマリーなどテキスト生成の結果
+ */
+export interface GenerateTextResponse {
+  content: string;
+  /** トークン使用量 */
+  usage?: TokenUsage;
+  /** 予算の上限に近づいている場合の警告 */
+  budgetWarning?: string;
+}
+
 /**
  * ノート生成リクエスト
  */
 export interface GenerateNoteRequest {
+  /** リクエスト識別子（キャンセルに使用） */
+  requestId?: string;
+  /** 使用するプロバイダー（省略時はOpenAI） */
+  provider?: Provider;
   content: string;
   context?: string;
   /** 使用するモデル */
   model?: string;
+  /** 予算チェック用のボード情報 */
+  budget?: BudgetContext;
+  /** ボードごとのプロンプトテンプレート（未指定ならユーザー設定のテンプレート） */
+  promptTemplate?: PromptTemplate;
 }
 
 /**
  * サマリー生成リクエスト
  */
 export interface GenerateSummaryRequest {
+  /** リクエスト識別子（キャンセルに使用） */
+  requestId?: string;
+  /** 使用するプロバイダー（省略時はOpenAI） */
+  provider?: Provider;
   boardId: string;
   scope: 'board' | 'nodeSubtree';
   targetNodeId?: string;
@@ -121,6 +296,10 @@ export interface GenerateSummaryRequest {
   }>;
   /** 使用するモデル */
   model?: string;
+  /** 予算チェック用のボード情報 */
+  budget?: BudgetContext;
+  /** ボードごとのプロンプトテンプレート（未指定ならユーザー設定のテンプレート） */
+  promptTemplate?: PromptTemplate;
 }
 
 /**
@@ -128,24 +307,48 @@ export interface GenerateSummaryRequest {
  */
 export interface ElectronAPI {
   // ファイル操作
+  /** フォルダを選んでボードを開く（キャンセル時はnull。読み込めない場合は読み込みエラーを投げる） */
   openBoard: () => Promise<BoardData | null>;
   saveBoard: (data: BoardData, filePath?: string) => Promise<string | null>;
-  loadBoardFromPath: (filePath: string) => Promise<BoardData | null>;
+  /** 指定パスからボードを読み込む（読み込めない場合は parseBoardLoadError で読める読み込みエラーを投げる） */
+  loadBoardFromPath: (filePath: string) => Promise<BoardData>;
   
   // ボード管理
   getBoardList: () => Promise<BoardInfo[]>; // 親フォルダ内のボード一覧を取得
   selectParentFolder: () => Promise<string | null>; // 親フォルダを選択
+  /** 親フォルダ内で前回保存し終えなかったボードを探す */
+  findInterruptedSaves: () => Promise<InterruptedSave[]>;
+  /** 保存し終えなかった一時ファイルを復元または破棄する */
+  resolveInterruptedSave: (folderPath: string, action: InterruptedSaveAction) => Promise<void>;
+  /** 親フォルダ内で複数のフォルダに保存されている同じボードを探す */
+  findDuplicateBoards: () => Promise<DuplicateBoardGroup[]>;
+  /** 同じボードのフォルダを最後に更新されたフォルダに統合する（統合元は退避フォルダに移す） */
+  mergeDuplicateBoards: (boardId: string) => Promise<MergeDuplicateBoardsResult>;
   
   // 設定
   getSettings: () => Promise<AppSettings>;
   saveSettings: (settings: AppSettings) => Promise<void>;
   getAvailableModels: () => Promise<AvailableModelsResponse>;
+  /** 今月の利用額（全ボード合計）を取得 */
+  getMonthlyUsage: () => Promise<MonthlyUsage>;
+  /** ユーザー設定のプロンプトテンプレートを取得（未編集の種類は既定） */
+  getPromptTemplates: () => Promise<PromptTemplates>;
+  /** ユーザー設定のプロンプトテンプレートを保存 */
+  savePromptTemplates: (templates: PromptTemplates) => Promise<void>;
   
   // LLM
   sendLLMRequest: (request: LLMRequest) => Promise<LLMResponse>;
-  generateTopics: (request: GenerateTopicsRequest) => Promise<GeneratedTopic[]>;
-  generateNote: (request: GenerateNoteRequest) => Promise<string>;
-  generateSummary: (request: GenerateSummaryRequest) => Promise<string>;
+  /** ストリーミングでリクエストし、差分テキストをonDeltaで受け取る */
+  sendLLMRequestStream: (request: LLMRequest, onDelta: (delta: string) => void) => Promise<LLMResponse>;
+  generateTopics: (request: GenerateTopicsRequest) => Promise<GenerateTopicsResponse>;
+  /** 回答に対するフォローアップ質問を提案させる */
+  generateFollowUps: (request: GenerateFollowUpsRequest) => Promise<GenerateFollowUpsResponse>;
+  generateNote: (request: GenerateNoteRequest) => Promise<GenerateTextResponse>;
+  generateSummary: (request: GenerateSummaryRequest) => Promise<GenerateTextResponse>;
+  /** 実行中のリクエストをrequestIdで中断する */
+  cancelLLMRequest: (requestId: string) => Promise<void>;
+  /** まとめて送るチャットリクエストの見込みコストの合計で予算をチェックする（超える場合は種別 budget のエラー。戻り値は警告） */
+  checkLLMBudget: (requests: LLMRequest[]) => Promise<string | undefined>;
   
   // ダイアログ
   showSaveDialog: () => Promise<string | null>;
@@ -0,0 +1,73 @@
+/**
+ * LLMエラーの受け渡し用ヘルパー
+ * IPCで例外を送るとメッセージ文字列しか届かないため、種別（と失敗までの使用量）をメッセージ先頭に埋め込んで受け渡す
+ */
+import type { LLMErrorInfo, LLMErrorKind, TokenUsage } from './types';
+
+/** 種別・使用量を埋め込む際の目印 */
+const ERROR_KIND_PATTERN = /\[LLMError:(\w+)\](?:\[usage:(\{[^\]]*\})\])?\s*([\s\S]*)$/;
+
+/** 種別ごとの表示名 */
+export const LLM_ERROR_LABELS: Record<LLMErrorKind, string> = {
+  auth: '認証エラー',
+  quota: '利用上限エラー',
+  rateLimit: 'レート制限',
+  contextLength: 'コンテキスト長超過',
+  network: 'ネットワークエラー',
+  server: 'サーバーエラー',
+  budget: '予算超過',
+  cancelled: 'キャンセル',
+  invalidResponse: '応答形式エラー',
+  unknown: 'エラー'
+};
+
+/** 種別ごとの対処方法 */
+export const LLM_ERROR_HINTS: Record<LLMErrorKind, string> = {
+  auth: '設定画面でAPIキーが正しいか確認してください。',
+  quota: 'プロバイダーの管理画面で利用上限・残高を確認してください。',
+  rateLimit: 'しばらく待ってから再送信してください。',
+  contextLength: '親ノードを減らすか、コンテキスト長の大きいモデルを選んで再送信してください。',
+  network: 'ネットワーク接続やエンドポイントの設定を確認してから再送信してください。',
+  server: 'プロバイダー側で障害が発生している可能性があります。時間をおいて再送信してください。',
+  budget: '設定画面の月間予算、またはボード情報のボード予算を見直してください。',
+  cancelled: '',
+  invalidResponse: 'モデルの出力が期待した形式になりませんでした。再実行するか、別のモデルを選んでください。',
+  unknown: '時間をおいて再送信してください。'
+};
+
+/**
+ * エラー種別をメッセージに埋め込む（メインプロセス側で使用）
+ * @param kind - エラー種別
+ * @param message - エラーメッセージ
+ * @param usage - 失敗までに発生した使用量
+ */
+export function encodeLLMError(kind: LLMErrorKind, message: string, usage?: TokenUsage): string {
+  return `[LLMError:${kind}]${usage ? `[usage:${JSON.stringify(usage)}]` : ''} ${message}`;
+}
+
+/**
+ * IPC経由で受け取った例外からエラー情報を取り出す（レンダラー側で使用）
+ * 種別が埋め込まれていない場合は unknown として扱う
+ * @param error - 捕捉した例外
+ */
+export function parseLLMError(error: unknown): LLMErrorInfo {
+  const raw = error instanceof Error ? error.message : String(error ?? '');
+  const match = raw.match(ERROR_KIND_PATTERN);
+  if (match && match[1] in LLM_ERROR_LABELS) {
+    return {
+      kind: match[1] as LLMErrorKind,
+      message: match[3],
+      ...(match[2] && { usage: JSON.parse(match[2]) as TokenUsage })
+    };
+  }
+  return { kind: 'unknown', message: raw || '不明なエラー' };
+}
+
+/**
+ * エラー情報を利用者向けの1行メッセージにする
+ * @param info - エラー情報
+ */
+export function formatLLMError(info: LLMErrorInfo): string {
+  const hint = LLM_ERROR_HINTS[info.kind];
+  return `${LLM_ERROR_LABELS[info.kind]}: ${info.message}${hint ? `\n${hint}` : ''}`;
+}
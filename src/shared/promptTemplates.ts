@@ -0,0 +1,142 @@
+/**
+ * トピック・フォローアップ質問・ノート・サマリー生成のプロンプトテンプレート
+ * 既定のテンプレートと、変数の差し込み（{{name}}）・条件付きブロック（{{#name}}…{{/name}}）を扱う
+ * ユーザー設定（ユーザーデータ）とボードごとの設定で上書きできる
+ */
+
+/** テンプレートの種類 */
+export type PromptTemplateKind = 'topics' | 'followUps' | 'note' | 'summary';
+
+/**
+ * system / user プロンプトのテンプレート
+ */
+export interface PromptTemplate {
+  system: string;
+  user: string;
+}
+
+/** 種類ごとのテンプレート */
+export type PromptTemplates = Record<PromptTemplateKind, PromptTemplate>;
+
+/** テンプレートの種類の表示名 */
+export const PROMPT_TEMPLATE_LABELS: Record<PromptTemplateKind, string> = {
+  topics: 'トピック生成',
+  followUps: '質問の提案',
+  note: 'ノート生成',
+  summary: 'サマリー生成'
+};
+
+/** 種類ごとに使える変数と説明 */
+export const PROMPT_TEMPLATE_VARIABLES: Record<PromptTemplateKind, Record<string, string>> = {
+  topics: {
+    content: 'トピックを抽出する内容（回答など）',
+    context: 'これまでの文脈（ない場合は空）',
+    maxTopics: '抽出するトピックの最大数'
+  },
+  followUps: {
+    content: '質問を提案する元の回答',
+    context: 'これまでの文脈（ない場合は空）',
+    maxQuestions: '提案する質問の最大数'
+  },
+  note: {
+    content: 'まとめる内容',
+    context: 'これまでの文脈（ない場合は空）'
+  },
+  summary: {
+    scope: '対象範囲（「ボード全体」または「選択されたノード配下」）',
+    nodes: '重要度順に選んだノードの一覧'
+  }
+};
+
+/** 既定のテンプレート */
+export const DEFAULT_PROMPT_TEMPLATES: PromptTemplates = {
+  topics: {
+    system: `あなたは思考整理の専門家です。与えられた内容からトピックを抽出してください。
+出力は以下の形式のJSONのみとしてください：
+{
+  "topics": [
+    {
+      "title": "トピックのタイトル（簡潔に）",
+      "description": "トピックの説明",
+      "importance": 1〜5の整数の重要度,
+      "tags": ["タグ1", "タグ2"]
+    }
+  ]
+}
+
+トピックは最大{{maxTopics}}個としてください。`,
+    user: `{{#context}}以下の文脈を踏まえて：
+{{context}}
+
+{{/context}}次の内容からトピックを抽出：
+{{content}}`
+  },
+  followUps: {
+    system: `あなたは思考整理の専門家です。与えられた回答を読んだユーザーが次に尋ねると理解が深まる、具体的なフォローアップ質問を提案してください。
+- 回答の内容を踏まえた具体的な質問にする（「詳しく教えて」のような漠然とした質問は避ける）
+- 深掘り・具体例・リスクや反論・次の行動など、それぞれ異なる観点から考える
+- ユーザーがそのまま送信できる一文の質問にする
+
+出力は以下の形式のJSONのみとしてください：
+{
+  "questions": ["質問1", "質問2"]
+}
+
+質問は2〜{{maxQuestions}}個としてください。`,
+    user: `{{#context}}以下の文脈を踏まえて：
+{{context}}
+
+{{/context}}次の回答に対するフォローアップ質問を提案：
+{{content}}`
+  },
+  note: {
+    system: `あなたは思考整理の専門家です。与えられた内容から、決定事項や重要なポイントをまとめたメモを作成してください。
+簡潔で分かりやすい箇条書き形式を推奨します。`,
+    user: `{{#context}}以下の文脈を踏まえて：
+{{context}}
+
+{{/context}}次の内容をまとめてください：
+{{content}}`
+  },
+  summary: {
+    system: `あなたは思考整理の専門家です。与えられたノード情報から、以下の観点で要約を作成してください：
+
+1. **重要なトピック**: 検討されている主要なテーマ
+2. **決定事項**: 📌ピン留めされたノードから抽出（ピン留め = 確定・決定を意味する）
+3. **メモ・検討内容**: noteノードの内容を要約
+4. **未解決の課題**: topicノードから抽出
+5. **次のアクション**: 今後検討すべき事項
+
+各セクションは該当する情報がある場合のみ出力してください。
+簡潔で分かりやすいMarkdown形式で出力してください。
+重要: \`\`\`markdown などのコードブロックで囲まないでください。直接Markdownを出力してください。`,
+    user: `{{scope}}の情報から要約を作成してください：
+
+{{nodes}}`
+  }
+};
+
+/**
+ * テンプレートに変数を差し込む
+ * - {{name}} は値に置き換える（未定義の変数は空文字）
+ * - {{#name}}…{{/name}} は値が空でない場合のみ残す
+ * @param template - テンプレート文字列
+ * @param variables - 変数の値
+ */
+export function renderPromptTemplate(template: string, variables: Record<string, string | number | undefined>): string {
+  const valueOf = (name: string) => {
+    const value = variables[name];
+    return value === undefined ? '' : String(value);
+  };
+
+  return template
+    .replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (_, name: string, inner: string) => valueOf(name) ? inner : '')
+    .replace(/\{\{(\w+)\}\}/g, (_, name: string) => valueOf(name));
+}
+
+/**
+ * 2つのテンプレートが同じ内容かを判定する
+ */
+export function isSamePromptTemplate(a: PromptTemplate | undefined, b: PromptTemplate | undefined): boolean {
+  return a?.system === b?.system && a?.user === b?.user;
+}
@@ -0,0 +1,70 @@
+/**
+ * 回答生成時のシステムプロンプト（ボードごとのペルソナ）
+ * ボード設定の systemPrompt が未設定の場合は標準のアシスタントとして振る舞う
+ */
+import type { Board } from './types';
+
+/** システムプロンプト中でボード名に置き換えるプレースホルダー */
+export const BOARD_TITLE_PLACEHOLDER = '{{title}}';
+
+/**
+ * ペルソナのプリセット
+ */
+export interface PersonaPreset {
+  id: string;
+  /** 表示名 */
+  label: string;
+  /** システムプロンプト（{{title}} はボード名に置き換える） */
+  prompt: string;
+}
+
+/** 標準のシステムプロンプト */
+export const DEFAULT_SYSTEM_PROMPT = 'あなたは「{{title}}」というテーマについて、ユーザーの思考を整理する手助けをするアシスタントです。的確で具体的な回答を心がけてください。';
+
+/** ペルソナのプリセット一覧（先頭が標準） */
+export const PERSONA_PRESETS: PersonaPreset[] = [
+  {
+    id: 'assistant',
+    label: '🤝 アシスタント（標準）',
+    prompt: DEFAULT_SYSTEM_PROMPT
+  },
+  {
+    id: 'coach',
+    label: '🧭 コーチ',
+    prompt: 'あなたは「{{title}}」に取り組むユーザーを支えるコーチです。答えを押し付けず、ユーザー自身の考えや目標を引き出し、次の一歩を具体的な行動として提案してください。前向きで励ますトーンを保ってください。'
+  },
+  {
+    id: 'critic',
+    label: '🔍 批評家',
+    prompt: 'あなたは「{{title}}」について率直な意見を述べる批評家です。ユーザーの案の弱点・リスク・見落としている前提・反対意見を遠慮なく指摘し、それぞれに改善の方向性を添えてください。'
+  },
+  {
+    id: 'expert',
+    label: '🎓 専門家',
+    prompt: 'あなたは「{{title}}」の分野に精通した専門家です。専門用語は必要に応じて説明しつつ、根拠・事例・定量的な目安を交えて、実務で使える正確な回答をしてください。不確かな点は不確かだと明示してください。'
+  },
+  {
+    id: 'socratic',
+    label: '❓ ソクラテス式の問いかけ役',
+    prompt: 'あなたは「{{title}}」についてユーザーの思考を深めるための問いかけ役です。直接の答えはできるだけ示さず、前提を確かめる質問・定義を明確にする質問・反例を考えさせる質問を2〜4個投げかけ、ユーザー自身が結論にたどり着けるよう導いてください。'
+  }
+];
+
+/**
+ * システムプロンプトに一致するプリセットを探す
+ * @param systemPrompt - ボード設定のシステムプロンプト（未設定なら標準）
+ * @returns 一致するプリセット（カスタムの場合はundefined）
+ */
+export function findPersonaPreset(systemPrompt: string | undefined): PersonaPreset | undefined {
+  const prompt = systemPrompt?.trim() || DEFAULT_SYSTEM_PROMPT;
+  return PERSONA_PRESETS.find(preset => preset.prompt === prompt);
+}
+
+/**
+ * ボードの回答用システムプロンプトを組み立てる
+ * @param board - 対象ボード
+ */
+export function resolveSystemPrompt(board: Pick<Board, 'title' | 'settings'>): string {
+  const prompt = board.settings.systemPrompt?.trim() || DEFAULT_SYSTEM_PROMPT;
+  return prompt.split(BOARD_TITLE_PLACEHOLDER).join(board.title);
+}
@@ -0,0 +1,38 @@
+/**
+ * トークン数の概算
+ * 送信前の予算チェックやコンテキストの見積もりに使う（厳密な値ではない）
+ */
+
+/** 英数字などは約4文字で1トークンとみなす */
+const ASCII_CHARS_PER_TOKEN = 4;
+
+/** 日本語（かな・漢字など）は1文字で約1トークンとみなす */
+const NON_ASCII_TOKENS_PER_CHAR = 1;
+
+/** メッセージ1件あたりのロール表記などのオーバーヘッド */
+const TOKENS_PER_MESSAGE = 4;
+
+/**
+ * テキストのトークン数を概算する
+ * @param text - 対象テキスト
+ */
+export function estimateTokens(text: string): number {
+  let asciiChars = 0;
+  let nonAsciiChars = 0;
+  for (const char of text) {
+    if (char.charCodeAt(0) < 0x80) {
+      asciiChars++;
+    } else {
+      nonAsciiChars++;
+    }
+  }
+  return Math.ceil(asciiChars / ASCII_CHARS_PER_TOKEN + nonAsciiChars * NON_ASCII_TOKENS_PER_CHAR);
+}
+
+/**
+ * メッセージ配列のトークン数を概算する
+ * @param messages - LLMに送るメッセージ
+ */
+export function estimateMessagesTokens(messages: Array<{ content: string }>): number {
+  return messages.reduce((total, msg) => total + estimateTokens(msg.content) + TOKENS_PER_MESSAGE, 0);
+}
@@ -0,0 +1,50 @@
+/**
+ * トピック抽出のボード設定
+ * 回答後の自動抽出の有無・抽出数・残す重要度の下限を扱う（未設定の項目は既定値）
+ */
+import type { BoardSettings } from './types';
+import type { GeneratedTopic } from './ipc';
+
+/** 抽出するトピック数の既定値 */
+export const DEFAULT_MAX_TOPICS = 5;
+
+/** 抽出するトピック数の上限（ボード設定で選べる範囲） */
+export const MAX_TOPICS_LIMIT = 10;
+
+/** 重要度が付いていない・解釈できないトピックの重要度 */
+export const DEFAULT_TOPIC_IMPORTANCE = 3;
+
+/**
+ * 解決済みのトピック抽出設定
+ */
+export interface TopicSettings {
+  /** 回答後に自動でトピックを抽出するか */
+  autoGenerate: boolean;
+  /** 抽出するトピックの最大数 */
+  maxTopics: number;
+  /** 残すトピックの重要度の下限（1なら全て残す） */
+  minImportance: number;
+}
+
+/**
+ * ボード設定からトピック抽出設定を解決する
+ * @param settings - ボード設定
+ */
+export function resolveTopicSettings(
+  settings: Pick<BoardSettings, 'autoGenerateTopics' | 'maxTopics' | 'minTopicImportance'>
+): TopicSettings {
+  return {
+    autoGenerate: settings.autoGenerateTopics ?? true,
+    maxTopics: Math.min(MAX_TOPICS_LIMIT, Math.max(1, Math.round(settings.maxTopics ?? DEFAULT_MAX_TOPICS))),
+    minImportance: Math.min(5, Math.max(1, Math.round(settings.minTopicImportance ?? 1)))
+  };
+}
+
+/**
+ * 重要度の下限に満たないトピックを除く
+ * @param topics - 生成されたトピック
+ * @param minImportance - 重要度の下限
+ */
+export function filterTopicsByImportance(topics: GeneratedTopic[], minImportance: number): GeneratedTopic[] {
+  return topics.filter(topic => (topic.importance ?? DEFAULT_TOPIC_IMPORTANCE) >= minImportance);
+}
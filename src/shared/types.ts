@@ -2,6 +2,7 @@
  * データモデルの型定義
  * README.mdのデータモデル仕様に基づく
  */
+import type { PromptTemplates } from './promptTemplates';
 
 /** LLMプロバイダー種別 */
 export type Provider = 'openai' | 'anthropic' | 'google' | 'local';
@@ -18,6 +19,20 @@ export interface ModelConfig {
   description?: string;
   /** デフォルトモデルかどうか */
   isDefault?: boolean;
+  /** 料金（未定義の場合はコストを計算しない） */
+  pricing?: ModelPricing;
+  /** コンテキストウィンドウ（トークン数、未定義の場合は既定値で切り詰める） */
+  contextWindow?: number;
+}
+
+/**
+ * モデルの料金（100万トークンあたりのUSD）
+ */
+export interface ModelPricing {
+  /** 入力（プロンプト）トークンの料金 */
+  input: number;
+  /** 出力（生成）トークンの料金 */
+  output: number;
 }
 
 /**
@@ -37,6 +52,10 @@ export interface ProviderConfig {
  */
 export interface ModelsConfigFile {
   providers: Record<Provider, ProviderConfig>;
+  /** 為替レート（コストを円換算する際に使用） */
+  exchangeRate?: {
+    usdToJpy: number;
+  };
 }
 
 /** メッセージのロール */
@@ -59,6 +78,20 @@ export interface BoardSettings {
   defaultModel: string;
   /** 生成温度（0〜1） */
   temperature: number;
+  /** ボードの予算（円）。未設定なら上限なし */
+  budgetJPY?: number;
+  /** 回答生成時のシステムプロンプト（{{title}} はボード名に置換）。未設定なら標準のアシスタント */
+  systemPrompt?: string;
+  /** トピック・ノート・サマリー生成のプロンプトテンプレート（未設定の種類はユーザー設定を使う） */
+  promptTemplates?: Partial<PromptTemplates>;
+  /** 回答後にトピックを自動抽出するか。未設定なら有効 */
+  autoGenerateTopics?: boolean;
+  /** 抽出するトピックの最大数。未設定なら5 */
+  maxTopics?: number;
+  /** 残すトピックの重要度の下限（1〜5）。未設定なら全て残す */
+  minTopicImportance?: number;
+  /** 回答後にフォローアップ質問を自動で提案するか。未設定なら有効 */
+  autoSuggestFollowUps?: boolean;
 }
 
 /**
@@ -66,6 +99,8 @@ export interface BoardSettings {
  */
 export interface Board {
   id: BoardId;
+  /** ボードファイルの形式バージョン（保存時にメインプロセスが付ける。ない場合は導入前の形式） */
+  formatVersion?: number;
   /** ボード名（例: 新規アプリ構想） */
   title: string;
   /** テーマ/悩みの全体説明 */
@@ -77,6 +112,28 @@ export interface Board {
   /** ISO8601形式 */
   updatedAt: string;
   settings: BoardSettings;
+  /** AI呼び出しごとの使用量・コストの記録（ボード単位の集計に使用） */
+  usageLog?: UsageRecord[];
+}
+
+/** 使用量を記録するAI呼び出しの種類 */
+export type UsageKind = 'chat' | 'topics' | 'followUps' | 'note' | 'summary';
+
+/**
+ * AI呼び出し1回分の使用量記録
+ * ノードを削除しても記録は残す（実際に発生した費用のため）
+ */
+export interface UsageRecord {
+  id: string;
+  /** 呼び出しの種類 */
+  kind: UsageKind;
+  provider: Provider;
+  model: string;
+  /** 関連するノード（回答ノード・トピック生成元・ノートなど） */
+  nodeId?: NodeId;
+  usage: TokenUsage;
+  /** ISO8601形式 */
+  createdAt: string;
 }
 
 /**
@@ -89,6 +146,8 @@ export interface NodeMetadata {
   tags?: string[];
   /** ピン留め（決定事項や特に重要なノード） */
   pin?: boolean;
+  /** 採用した回答（同じ質問に複数の回答がある場合に1つだけ付ける） */
+  preferred?: boolean;
 }
 
 /**
@@ -98,9 +157,46 @@ export interface TokenUsage {
   promptTokens: number;
   completionTokens: number;
   totalTokens: number;
+  /** 料金（円）。models.yamlに料金が定義されていないモデルでは未設定 */
   costJPY?: number;
 }
 
+/**
+ * LLM呼び出しのエラー種別
+ * - auth: APIキーが無効・未設定
+ * - quota: 利用上限・残高不足
+ * - rateLimit: レート制限（リトライしても解消しなかった）
+ * - contextLength: 入力がモデルのコンテキスト長を超えた
+ * - network: 接続できない・タイムアウト
+ * - server: プロバイダー側の障害（5xx）
+ * - budget: 予算を超える見込みのため送信しなかった
+ * - cancelled: ユーザーが停止した
+ * - invalidResponse: 応答が期待した形式（JSONスキーマなど）に合わなかった
+ * - unknown: 上記以外
+ */
+export type LLMErrorKind =
+  | 'auth'
+  | 'quota'
+  | 'rateLimit'
+  | 'contextLength'
+  | 'network'
+  | 'server'
+  | 'budget'
+  | 'cancelled'
+  | 'invalidResponse'
+  | 'unknown';
+
+/**
+ * ノードに記録するLLMエラー情報
+ */
+export interface LLMErrorInfo {
+  kind: LLMErrorKind;
+  /** エラーメッセージ（プロバイダーからの詳細） */
+  message: string;
+  /** 失敗までに発生した使用量（形式不正で再要求した呼び出しなど、応答を受け取った分） */
+  usage?: TokenUsage;
+}
+
 /**
  * ノード位置
  */
@@ -135,8 +231,12 @@ export interface MindNode {
   provider?: Provider;
   /** 使用モデル */
   model?: string;
+  /** 生成温度（別案として生成した回答のみ記録） */
+  temperature?: number;
   /** トークン使用量 */
   usage?: TokenUsage;
+  /** 回答から提案されたフォローアップ質問（assistantノード用。使ったものは取り除く） */
+  suggestedQuestions?: string[];
 
   /** 作成者 */
   createdBy: 'user' | 'ai';
@@ -156,6 +256,9 @@ export interface MindNode {
 
   /** ローディング中かどうか（AI回答待ち状態） */
   isLoading?: boolean;
+
+  /** AI回答の生成に失敗した場合のエラー情報（エラーノードはコンテキストに含めない） */
+  error?: LLMErrorInfo;
 }
 
 /** サマリーのスコープ */
@@ -177,6 +280,8 @@ export interface Summary {
 
   provider: Provider;
   model: string;
+  /** トークン使用量 */
+  usage?: TokenUsage;
   /** ISO8601形式 */
   createdAt: string;
   /** ISO8601形式 */